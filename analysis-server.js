@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/**
+ * Analysis Server
+ * 服务端分析接口：判定在服务端完成，避免被攻击者的浏览器跳过或篡改
+ * 用法: node analysis-server.js  (PORT 环境变量，默认 3000)
+ *       POLICY=strict 或 POLICY=./my-policy.json 指定阈值策略
+ *       SCORING=model 使用内置评分模型，SCORING=./my-model.json 加载评分模型（默认为加权计分，见 scoring-model.js）
+ *       TELEMETRY_SECRET=... 固定签名密钥（默认每次启动随机生成）
+ *       TELEMETRY=optional 接受未签名的提交（用于分析导出的文件），默认必须签名
+ *
+ * GET  /v1/nonce     签发 nonce 与会话密钥: { nonce, key, issuedAt, expiresAt }（见 telemetry-envelope.js）
+ *                    同一 IP 同时有效的 nonce 超过上限时返回 429
+ *                    重放记录已满时返回 503，/v1/analyze 对新 nonce 的提交同样返回 503
+ * POST /v1/analyze   body: Export JSON 的格式 { stats, account, ... }，附带 telemetry 签名；account（用户名）用于重放检测
+ *                    可选 locale（"en" | "zh-CN"）决定 reasons 与 findings 文本的语言，不参与签名
+ *                    返回: { verdict, isBot, confidence, reasons, findings, scores, telemetry }（findings 格式见 rule-engine.js）
+ *                    以及 scoring、probability（P(bot) 与 95% 区间，additive 模式下为 null）、legacyConfidence
+ *                    签名缺失、nonce 伪造或过期、内容被修改、序号重复时判为 bot，reasons 中给出原因
+ * GET  /             提供 index.html 及同目录下的 .js，方便同源调用
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const TypingParser = require("./typing-parser");
+const AutomationDetector = require("./automation-detector");
+const ThresholdPolicy = require("./threshold-policy");
+const TelemetryEnvelope = require("./telemetry-envelope");
+const ReplayStore = require("./replay-store");
+
+const AnalysisServer = {
+
+  config: {
+    port: 3000,
+    maxBodyBytes: 1024 * 1024,   // 1MB
+    staticRoot: __dirname,
+    allowOrigin: "*",
+    telemetry: "required"        // "required" | "optional"
+  },
+
+  // nonce 签发与校验状态（TelemetryEnvelope.createVerifier）
+  verifier: null,
+
+  getVerifier() {
+    if (!this.verifier) this.verifier = TelemetryEnvelope.createVerifier();
+    return this.verifier;
+  },
+
+  contentTypes: {
+    ".html": "text/html; charset=utf-8",
+    ".js": "application/javascript; charset=utf-8",
+    ".json": "application/json; charset=utf-8"
+  },
+
+  // ============================================================
+  // 分析
+  // ============================================================
+  // telemetry: TelemetryEnvelope.verify 的结果；未通过时不分析 stats，直接判为 bot
+  analyzePayload(payload, telemetry = null) {
+    // 只使用原始 stats，忽略客户端附带的 analysis 结果
+    const stats = payload && payload.stats;
+    if (!stats || typeof stats !== "object" || Array.isArray(stats)) {
+      return { error: "Payload must contain a stats object" };
+    }
+
+    // 可选模式下接受未签名的提交，其余校验失败一律拒绝
+    const rejected = telemetry && !telemetry.valid &&
+      !(telemetry.code === "missing" && this.config.telemetry === "optional");
+    if (rejected) {
+      return {
+        verdict: "bot",
+        isBot: true,
+        confidence: 100,
+        reasons: [telemetry.reason],
+        // 签名校验失败单独决定结果，不经过规则计分
+        findings: [{
+          rule: "telemetry.rejected",
+          category: "telemetry",
+          type: "bot",
+          weight: null,
+          field: null,
+          observed: telemetry.code,
+          threshold: null,
+          contribution: 100,
+          reason: telemetry.reason,
+          text: telemetry.reason
+        }],
+        scores: null,
+        scoring: null,
+        probability: null,
+        legacyConfidence: null,
+        policy: { ...AutomationDetector.policy },
+        telemetry: { valid: false, code: telemetry.code },
+        analyzedAt: new Date().toISOString()
+      };
+    }
+
+    // 重放检测：与之前提交的击键节奏比较（内存存储）；nonce 作为会话 id
+    // 只保存判定为人类的节奏，bot 的提交不进入比较集合（避免攻击者用大量提交挤掉真实登录的记录）
+    const account = typeof payload.account === "string" ? payload.account : null;
+    const session = telemetry && telemetry.valid ? telemetry.nonce : null;
+    const locale = typeof payload.locale === "string" ? payload.locale : null;
+    const result = AutomationDetector.analyze(stats, TypingParser, { account, session, replayStore: ReplayStore, locale });
+    if (!result.isBot) ReplayStore.record(ReplayStore.fromStats(stats, TypingParser), account, session);
+
+    return {
+      verdict: result.isBot ? "bot" : "human",
+      isBot: result.isBot,
+      confidence: result.confidence,
+      reasons: result.reasons,
+      findings: result.findings,
+      scores: result.scores,
+      scoring: result.scoring,
+      probability: result.probability
+        ? { value: result.probability.value, interval: result.probability.interval, model: result.probability.model }
+        : null,
+      legacyConfidence: result.legacyConfidence,
+      policy: result.policy,
+      locale: result.locale,
+      telemetry: telemetry && telemetry.valid ? { valid: true, seq: telemetry.seq } : { valid: false, code: "missing" },
+      analyzedAt: new Date().toISOString()
+    };
+  },
+
+  // 校验请求体中的签名，返回 Promise（TelemetryEnvelope.verify 的结果）
+  verifyTelemetry(payload) {
+    return TelemetryEnvelope.verify(this.getVerifier(), payload);
+  },
+
+  // ============================================================
+  // HTTP 处理
+  // ============================================================
+  handleRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    res.setHeader("Access-Control-Allow-Origin", this.config.allowOrigin);
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (url.pathname === "/v1/nonce") {
+      if (req.method !== "GET" && req.method !== "POST") {
+        this.sendJson(res, 405, { error: "Method not allowed" });
+        return;
+      }
+      this.handleNonce(req, res);
+      return;
+    }
+
+    if (url.pathname === "/v1/analyze") {
+      if (req.method !== "POST") {
+        this.sendJson(res, 405, { error: "Method not allowed" });
+        return;
+      }
+      this.handleAnalyze(req, res);
+      return;
+    }
+
+    if (req.method === "GET") {
+      this.serveStatic(url.pathname, res);
+      return;
+    }
+
+    this.sendJson(res, 404, { error: "Not found" });
+  },
+
+  handleAnalyze(req, res) {
+    this.readJsonBody(req, (err, payload) => {
+      if (err) {
+        this.sendJson(res, err.status, { error: err.message });
+        return;
+      }
+
+      this.verifyTelemetry(payload).then(telemetry => {
+        // 重放记录已满：不是 bot 信号，让客户端稍后重试
+        if (telemetry.code === "full") {
+          this.sendJson(res, 503, { error: telemetry.reason });
+          return;
+        }
+        let result;
+        try {
+          result = this.analyzePayload(payload, telemetry);
+        } catch (e) {
+          // stats 中字段类型不对等无法分析的提交
+          this.sendJson(res, 400, { error: `Cannot analyze stats: ${e.message}` });
+          return;
+        }
+        if (result.error) {
+          this.sendJson(res, 400, result);
+          return;
+        }
+        this.sendJson(res, 200, result);
+      }).catch(e => {
+        this.sendJson(res, 500, { error: `Telemetry verification failed: ${e.message}` });
+      });
+    });
+  },
+
+  // 按连接的 IP 限制同时有效的 nonce 数
+  handleNonce(req, res) {
+    const statuses = { full: 503, rateLimited: 429 };
+    TelemetryEnvelope.issue(this.getVerifier(), req.socket.remoteAddress || null).then(session => {
+      res.setHeader("Cache-Control", "no-store");
+      this.sendJson(res, 200, session);
+    }).catch(e => {
+      this.sendJson(res, statuses[e.code] || 500, { error: `Cannot issue nonce: ${e.message}` });
+    });
+  },
+
+  readJsonBody(req, callback) {
+    const chunks = [];
+    let size = 0;
+    let done = false;
+
+    const finish = (err, payload) => {
+      if (done) return;
+      done = true;
+      callback(err, payload);
+    };
+
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > this.config.maxBodyBytes) {
+        finish({ status: 413, message: "Payload too large" });
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      try {
+        finish(null, JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (e) {
+        finish({ status: 400, message: "Invalid JSON" });
+      }
+    });
+
+    req.on("error", () => finish({ status: 400, message: "Request error" }));
+  },
+
+  serveStatic(pathname, res) {
+    const name = pathname === "/" ? "index.html" : decodeURIComponent(pathname.slice(1));
+    const ext = path.extname(name);
+
+    // 只提供根目录下的页面与脚本，禁止目录穿越
+    if (name.includes("/") || name.includes("\\") || !this.contentTypes[ext]) {
+      this.sendJson(res, 404, { error: "Not found" });
+      return;
+    }
+
+    fs.readFile(path.join(this.config.staticRoot, name), (err, data) => {
+      if (err) {
+        this.sendJson(res, 404, { error: "Not found" });
+        return;
+      }
+      res.writeHead(200, { "Content-Type": this.contentTypes[ext] });
+      res.end(data);
+    });
+  },
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify(body));
+  },
+
+  // ============================================================
+  // 启动
+  // ============================================================
+  createServer() {
+    return http.createServer((req, res) => this.handleRequest(req, res));
+  },
+
+  // 预设名或 JSON 文件路径
+  loadPolicy(source) {
+    const policy = ThresholdPolicy.presets[source] ? source : fs.readFileSync(source, "utf8");
+    const applied = ThresholdPolicy.apply(AutomationDetector, policy);
+    if (!applied.valid) {
+      throw new Error(`Invalid policy ${source}: ${applied.errors.join("; ")}`);
+    }
+    return applied.policy;
+  },
+
+  // "model" | "additive" 或模型 JSON 文件路径（使用 model 模式）
+  loadScoring(source) {
+    const applied = AutomationDetector.SCORING_MODES.includes(source)
+      ? AutomationDetector.setScoring(source)
+      : AutomationDetector.setScoring("model", fs.readFileSync(source, "utf8"));
+    if (!applied.valid) {
+      throw new Error(`Invalid scoring ${source}: ${applied.errors.join("; ")}`);
+    }
+    return AutomationDetector.scoring;
+  },
+
+  start(port = this.config.port) {
+    const server = this.createServer();
+    server.listen(port, () => {
+      console.log(`Analysis server listening on http://localhost:${port}`);
+    });
+    return server;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AnalysisServer;
+}
+
+if (require.main === module) {
+  if (process.env.POLICY) {
+    const policy = AnalysisServer.loadPolicy(process.env.POLICY);
+    console.log(`Using policy ${policy.name} v${policy.version}`);
+  }
+  if (process.env.SCORING) {
+    const scoring = AnalysisServer.loadScoring(process.env.SCORING);
+    console.log(`Using ${scoring.mode} scoring${scoring.model ? ` (${scoring.model.name})` : ""}`);
+  }
+  if (process.env.TELEMETRY_SECRET) {
+    AnalysisServer.verifier = TelemetryEnvelope.createVerifier({ secret: process.env.TELEMETRY_SECRET });
+  }
+  if (process.env.TELEMETRY === "optional") AnalysisServer.config.telemetry = "optional";
+  AnalysisServer.start(parseInt(process.env.PORT) || AnalysisServer.config.port);
+}
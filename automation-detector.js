@@ -1,11 +1,16 @@
 /**
  * Automation Detector
  * 负责检测自动化脚本/机器人行为
- * 依赖: typing-parser.js
+ * 依赖: typing-parser.js, rule-engine.js, detection-rules.js, messages.js, scoring-model.js
+ * 设备类型来自 touch-capture.js 采集的 stats.device / stats.touch
+ * 重放检测使用 replay-store.js（浏览器中的全局 ReplayStore，或 analyze 的 options.replayStore）
  */
 
 const AutomationDetector = {
 
+  // 当前生效的阈值策略（通过 ThresholdPolicy.apply 切换）
+  policy: { name: "balanced", version: "1.0.0" },
+
   // ============================================================
   // 阈值配置
   // ============================================================
@@ -45,65 +50,206 @@ const AutomationDetector = {
       trajectorySmoothMax: 0.8,
       trajectoryCorrectionMin: 0.1,
       trajectoryIntervalCVMax: 0.3,
+      trajectorySpeedCVMin: 0.25,      // 每段移动内速度的变异系数 < 0.25 视为匀速
+      trajectoryStraightnessMax: 0.99, // 直线度（起止距离 / 路径长度）> 0.99 视为直线插值
+      trajectoryFittsMinRatio: 0.5,    // 先加速后减速的移动段占比 < 50% 视为缺少人类的指向过程
       cvMin: 0.15,
       cvMax: 0.35
     },
+    // 按键重叠（rollover）阈值
+    rollover: {
+      minKeystrokes: 12,          // 两个字段合计至少 12 个字符键才判断"完全没有重叠"
+      humanOverlapRatio: 0.15     // 重叠比例 >= 15% 视为自然的人类 rollover
+    },
+    // 纠错（Backspace/Delete）阈值
+    correction: {
+      minFixLatency: 150          // 打错到开始删除 < 150ms 不是"发现错误"的反应时间
+    },
+    // 触屏点击阈值
+    touch: {
+      minTaps: 2,                 // 至少 2 次点击才判断
+      minTapMs: 30                // 手指按下到抬起 < 30ms 不像真实点击
+    },
+    // 离开页面（切换到密码管理器等）阈值
+    focus: {
+      minAwayMs: 1000,            // 离开 1s ~ 2min 后回来继续输入，视为查看密码管理器
+      maxAwayMs: 120000
+    },
+    // 重放检测阈值（与之前登录的击键节奏比较）
+    replay: {
+      maxDistance: 4,             // 对齐后平均差 <= 4ms 视为同一段录制的节奏
+      minKeystrokes: 8            // 至少 8 个键重叠才比较
+    },
     // 最终判定阈值
     decision: {
       botProbabilityThreshold: 70  // Bot Probability > 70% 才判定为自动化
     }
   },
 
+  // 设备档案：触屏设备（手机 / 平板）与桌面的基线不同，只列出要覆盖的阈值（在当前策略的阈值之上叠加）
+  // 虚拟键盘的按键时长取决于系统实现（Android 上 keyup 紧跟 keydown），没有 Shift 键与按键重叠，
+  // 输入事件总带有 inputType，也没有鼠标轨迹，依赖这些特征的规则在移动端不执行
+  deviceProfiles: {
+    mobile: {
+      thresholds: {
+        pressTime: { botMax: 0, uniformStdMax: 0 },
+        trajectory: { minPoints: 0, minDistance: 0 }
+      },
+      // 虚拟键盘的"下一项"按钮切换字段时没有点击也没有 Tab
+      skipRules: ["password.mismatch", "rollover.none", "inputType.noNullInput", "focus.programmatic"]
+    }
+  },
+
+  // 规则注册表（内置规则见 detection-rules.js），首次使用时创建
+  // 例: AutomationDetector.getRules().disable("automation.noPlugins")
+  rules: null,
+
+  // 评分方式（见 scoring-model.js），通过 setScoring 切换
+  //   "additive"  加权计分（默认）：confidence = botScore / (botScore + humanScore)
+  //   "model"     校准的概率模型：confidence = P(bot) × 100，并给出 95% 区间
+  // model: 加载的模型，null 时使用 ScoringModel.DEFAULT_MODEL
+  scoring: { mode: "additive", model: null },
+
+  SCORING_MODES: ["model", "additive"],
+
+  // 命中即判定为 Bot（confidence 记为 100）的规则，不论其余规则如何计分
+  // 重放的是一次真实登录的节奏，人类特征的规则照样会命中，加权后会被抵消
+  decisiveRules: ["replay.duplicateTiming"],
+
   // ============================================================
-  // 检测高斯分布模式（机器人特征）
+  // 规则注册表
   // ============================================================
-  detectGaussianPattern(distribution) {
-    if (!distribution || !distribution.valid) return [];
-    
-    const flags = [];
-    const th = this.thresholds.antiBot;
-    
-    // 1. 分布太接近正态分布
-    const isNearNormal = Math.abs(distribution.skewness) < th.skewnessThreshold && 
-                         distribution.kurtosis > th.kurtosisMin && 
-                         distribution.kurtosis < th.kurtosisMax;
-    
-    if (isNearNormal) {
-      flags.push({
-        type: "bot",
-        weight: 2,
-        reason: `Distribution too close to Gaussian (skew=${distribution.skewness}, kurtosis=${distribution.kurtosis})`
-      });
+  getEngine() {
+    return typeof RuleEngine !== "undefined" ? RuleEngine : require("./rule-engine");
+  },
+
+  getRules() {
+    if (!this.rules) {
+      const _definitions = typeof DetectionRules !== "undefined" ? DetectionRules : require("./detection-rules");
+      this.rules = this.getEngine().createRegistry(_definitions);
     }
-    
-    // 2. 圆整数过多
-    if (distribution.roundNumberRatio > th.roundNumberRatio) {
-      flags.push({
-        type: "bot",
-        weight: 2,
-        reason: `Too many round numbers (${Math.round(distribution.roundNumberRatio * 100)}% are multiples of 10ms)`
-      });
+    return this.rules;
+  },
+
+  // 执行指定分类的规则（按设备档案选择阈值、跳过不适用的规则）
+  runRules(ctx, categories = null) {
+    const device = this.getDeviceProfile(ctx.stats, { inferDevice: ctx.inferDevice });
+    const fullCtx = {
+      stats: {}, thresholds: device.thresholds, fields: [], device: device.deviceClass, deviceMismatch: device.mismatch, ...ctx
+    };
+    const filter = { exclude: device.skipRules };
+    if (categories) filter.categories = categories;
+    return this.getRules().run(fullCtx, filter);
+  },
+
+  // ============================================================
+  // 评分模型
+  // ============================================================
+  getScoringModel() {
+    return typeof ScoringModel !== "undefined" ? ScoringModel : require("./scoring-model");
+  },
+
+  // 加载评分模型并要求覆盖注册表中的每条规则；返回 { valid, errors, model }
+  loadScoringModel(source) {
+    return this.getScoringModel().load(source, this.getRules().list().map(r => r.id));
+  },
+
+  // mode: "model" | "additive"；source: 模型 JSON 字符串或对象（缺省时保留当前模型）
+  // 返回 { valid, errors }，无效时不改变当前设置
+  setScoring(mode, source = null) {
+    if (!this.SCORING_MODES.includes(mode)) {
+      return { valid: false, errors: [`Unknown scoring mode "${mode}" (expected one of: ${this.SCORING_MODES.join(", ")})`] };
+    }
+    // 策略的判定阈值与规则权重按它声明的评分方式拟合（见 threshold-policy.js）
+    if (this.policy.scoring && this.policy.scoring !== mode) {
+      return { valid: false, errors: [`Policy "${this.policy.name}" is for ${this.policy.scoring} scoring; load another policy before switching to ${mode} scoring`] };
+    }
+    let model = this.scoring.model;
+    if (source) {
+      const loaded = this.loadScoringModel(source);
+      if (!loaded.valid) return { valid: false, errors: loaded.errors };
+      model = loaded.model;
+    } else if (mode === "model") {
+      // 注册了新规则后，当前模型（或内置模型）可能不再覆盖全部规则
+      const loaded = this.loadScoringModel(model || this.getScoringModel().DEFAULT_MODEL);
+      if (!loaded.valid) return { valid: false, errors: loaded.errors };
+    }
+    this.scoring = { mode, model };
+    return { valid: true, errors: [] };
+  },
+
+  // ============================================================
+  // 设备类型与设备档案
+  // ============================================================
+
+  // stats.device 由客户端提交，可以伪造，而 mobile 档案会跳过规则、放宽阈值
+  // 只有声明与采集到的信号一致时才采用声明的类型，否则按 desktop 判断，不一致的检查项由 touch.deviceMismatch 计为 bot 信号
+  //   maxTouchPoints  mobile / tablet 必须支持触屏
+  //   userAgent       mobile 的 UA 必须是移动端；tablet 的 UA 是移动端或为 coarse pointer（iPadOS 使用桌面 UA）
+  //   touchEvents     必须有触屏（或触控笔）点击
+  //   deviceClass     未知的设备类型
+  // 没有 stats.device 时按 desktop 判断；options.inferDevice 为 true 时（重新分析没有 device 的旧导出文件），
+  // 只有触屏点击、没有鼠标点击视为 mobile。实时提交的数据不能这样推断，否则删掉 device 就能绕过上面的检查
+  // 返回 { deviceClass, declared, mismatch: [检查项] }
+  checkDevice(stats, options = {}) {
+    const device = stats && stats.device;
+    const types = (stats && stats.touch && stats.touch.pointerTypes) || {};
+    const touchTaps = (types.touch || 0) + (types.pen || 0);
+
+    if (!device || !device.deviceClass) {
+      const inferred = options.inferDevice && types.touch > 0 && !types.mouse;
+      return { deviceClass: inferred ? "mobile" : "desktop", declared: null, mismatch: [] };
     }
-    
-    // 3. 连续相似值
-    if (distribution.maxConsecutiveSimilar > th.consecutiveSimilarMax) {
-      flags.push({
-        type: "bot",
-        weight: 2,
-        reason: `${distribution.maxConsecutiveSimilar} consecutive similar intervals detected`
-      });
+
+    const declared = device.deviceClass;
+    if (declared === "desktop") return { deviceClass: "desktop", declared, mismatch: [] };
+
+    const mismatch = [];
+    if (declared !== "mobile" && declared !== "tablet") {
+      mismatch.push("deviceClass");
+    } else {
+      if (!(device.maxTouchPoints > 0)) mismatch.push("maxTouchPoints");
+      if (declared === "mobile" ? !device.mobileUA : !(device.mobileUA || device.coarsePointer)) mismatch.push("userAgent");
+      if (!touchTaps) mismatch.push("touchEvents");
+    }
+    return { deviceClass: mismatch.length ? "desktop" : declared, declared, mismatch };
+  },
+
+  getDeviceClass(stats, options = {}) {
+    return this.checkDevice(stats, options).deviceClass;
+  },
+
+  // 平板与手机同样使用触屏和虚拟键盘，共用 mobile 档案
+  getDeviceProfile(stats, options = {}) {
+    const { deviceClass, mismatch } = this.checkDevice(stats, options);
+    const profile = deviceClass === "desktop" ? null : this.deviceProfiles.mobile;
+    if (!profile) {
+      return { deviceClass, name: "desktop", thresholds: this.thresholds, skipRules: [], mismatch };
     }
-    
-    // 4. 变异系数在可疑范围
-    if (distribution.cv > th.cvMin && distribution.cv < th.cvMax) {
-      flags.push({
-        type: "bot",
-        weight: 2,
-        reason: `Coefficient of variation suggests programmatic randomness (CV=${distribution.cv})`
+
+    // 只覆盖 thresholds 中已有的键
+    const thresholds = JSON.parse(JSON.stringify(this.thresholds));
+    Object.keys(profile.thresholds).forEach(section => {
+      if (!thresholds[section]) return;
+      Object.keys(profile.thresholds[section]).forEach(key => {
+        if (key in thresholds[section]) thresholds[section][key] = profile.thresholds[section][key];
       });
-    }
+    });
+    return { deviceClass, name: "mobile", thresholds, skipRules: profile.skipRules || [], mismatch };
+  },
+
+  toFlags(findings) {
+    return findings.map(f => ({ type: f.type, weight: f.weight, reason: f.reason, rule: f.rule }));
+  },
+
+  // ============================================================
+  // 检测高斯分布模式（机器人特征）
+  // ============================================================
+  detectGaussianPattern(distribution) {
+    if (!distribution || !distribution.valid) return [];
     
-    return flags;
+    const field = { name: null, seekDistribution: distribution };
+    return this.toFlags(this.runRules({ fields: [field] }, ["distribution"]).findings);
   },
 
   // ============================================================
@@ -112,110 +258,93 @@ const AutomationDetector = {
   detectTrajectoryAutomation(trajectoryAnalysis) {
     if (!trajectoryAnalysis || !trajectoryAnalysis.valid) return [];
     
-    const flags = [];
-    const th = this.thresholds.antiBot;
-    
-    // 1. 轨迹太平滑（贝塞尔曲线特征）
-    if (trajectoryAnalysis.smoothRatio > th.trajectorySmoothMax) {
-      flags.push({
-        type: "bot",
-        weight: 3,
-        reason: `Mouse trajectory too smooth (${Math.round(trajectoryAnalysis.smoothRatio * 100)}%), likely Bezier curve`
-      });
-    }
-    
-    // 2. 缺少微修正
-    if (trajectoryAnalysis.correctionRatio < th.trajectoryCorrectionMin && trajectoryAnalysis.points > 10) {
-      flags.push({
-        type: "bot",
-        weight: 2,
-        reason: `No micro-corrections in mouse movement (${Math.round(trajectoryAnalysis.correctionRatio * 100)}%)`
-      });
-    }
-    
-    // 3. 时间间隔太均匀
-    if (trajectoryAnalysis.intervalStats && 
-        trajectoryAnalysis.intervalStats.valid && 
-        trajectoryAnalysis.intervalStats.cv < th.trajectoryIntervalCVMax) {
-      flags.push({
-        type: "bot",
-        weight: 2,
-        reason: `Mouse movement timing too uniform (CV=${trajectoryAnalysis.intervalStats.cv})`
-      });
-    }
-    
-    return flags;
+    return this.toFlags(this.runRules({ trajectoryAnalysis }, ["trajectoryAutomation"]).findings);
   },
 
   // ============================================================
   // 检测 WebDriver/自动化工具
   // ============================================================
   detectWebDriver(stats) {
-    const flags = [];
-    
-    // 1. navigator.webdriver
-    if (stats.webdriverDetected) {
-      flags.push({
-        type: "bot",
-        weight: 5,
-        reason: "WebDriver automation detected (navigator.webdriver)"
-      });
-    }
-    
-    // 2. 自动化工具特征
-    if (stats.automationFlags) {
-      if (stats.automationFlags.hasChromiumAutomation) {
-        flags.push({ type: "bot", weight: 3, reason: "Chromium automation flags detected" });
-      }
-      if (stats.automationFlags.hasSelenium) {
-        flags.push({ type: "bot", weight: 5, reason: "Selenium WebDriver detected" });
-      }
-      if (stats.automationFlags.hasPhantom) {
-        flags.push({ type: "bot", weight: 5, reason: "PhantomJS detected" });
-      }
-      if (stats.automationFlags.headlessChrome) {
-        flags.push({ type: "bot", weight: 4, reason: "HeadlessChrome detected" });
-      }
-      if (stats.automationFlags.noPlugins) {
-        // 降低权重，因为某些正常浏览器也可能没有插件
-        flags.push({ type: "bot", weight: 0, reason: "No browser plugins (possible headless)" });
-      }
-      if (stats.automationFlags.zeroWindowSize) {
-        flags.push({ type: "bot", weight: 3, reason: "Zero window size (headless browser)" });
-      }
-    }
-    
-    return flags;
+    return this.toFlags(this.runRules({ stats }, ["automation"]).findings);
   },
 
   // ============================================================
   // 检测合成事件 (event.isTrusted)
   // ============================================================
   detectSyntheticEvents(stats) {
-    const flags = [];
-    
-    // 不可信事件
-    if (stats.untrustedEvents > 0) {
-      flags.push({
-        type: "bot",
-        weight: 3,
-        reason: `Detected ${stats.untrustedEvents} untrusted (synthetic) events`
-      });
-    }
-    
-    // 合成键盘事件比例
-    if (stats.syntheticKeyEvents !== undefined && stats.totalKeyEvents > 0) {
-      const syntheticRatio = stats.syntheticKeyEvents / stats.totalKeyEvents;
-      if (syntheticRatio > 0.3) {
-        flags.push({
-          type: "bot",
-          weight: 4,
-          reason: `High ratio of synthetic keyboard events (${Math.round(syntheticRatio * 100)}%)`
-        });
-      }
-    }
-    
-    return flags;
+    return this.toFlags(this.runRules({ stats }, ["events"]).findings);
+  },
+
+  // ============================================================
+  // 检测触屏点击与设备伪装
+  // ============================================================
+  detectTouch(stats, parser = null) {
+    const _parser = parser || (typeof TypingParser !== "undefined" ? TypingParser : require("./typing-parser"));
+    const flags = this.toFlags(this.runRules({ stats, touch: _parser.analyzeTouch(stats.touch) }, ["touch"]).findings);
+    return {
+      humanFlags: flags.filter(f => f.type === "human"),
+      botFlags: flags.filter(f => f.type === "bot")
+    };
+  },
+
+  // ============================================================
+  // 检测焦点来源与页面切换
+  // 无用户操作的 .focus()、没有获得焦点就收到击键是脚本特征；离开页面后回来继续输入是人类特征
+  // ============================================================
+  detectFocus(stats, parser = null) {
+    const _parser = parser || (typeof TypingParser !== "undefined" ? TypingParser : require("./typing-parser"));
+    const focus = _parser.analyzeFocus(stats.focus, stats.keystrokes);
+    const flags = this.toFlags(this.runRules({ stats, focus }, ["focus"]).findings);
+    return {
+      humanFlags: flags.filter(f => f.type === "human"),
+      botFlags: flags.filter(f => f.type === "bot")
+    };
+  },
+
+  // ============================================================
+  // 重放检测：录制一次真人的击键节奏后反复重放，与之前某次登录（同一账号或其他账号）几乎相同
+  // 只检查不记录；记录由调用方在分析之后调用 ReplayStore.record
+  // ============================================================
+  checkReplay(userPattern, passPattern, options = {}) {
+    if (options.replayStore === false) return null;
+    const store = options.replayStore || (typeof ReplayStore !== "undefined" ? ReplayStore : null);
+    if (!store) return null;
+    return store.check(store.fingerprint(userPattern, passPattern), options.account,
+      { ...this.thresholds.replay, session: options.session });
+  },
+
+  // ============================================================
+  // 检测纠错行为（需要内置采集的原生数据）
+  // 打错后停顿再删除、移动光标修改是人类特征；脚本几乎不会打错，模拟的打错会被立即删除
+  // ============================================================
+  detectCorrections(stats, parser = null) {
+    const _parser = parser || (typeof TypingParser !== "undefined" ? TypingParser : require("./typing-parser"));
+    const fields = ["username", "password"].map(name => ({
+      name,
+      corrections: _parser.analyzeCorrections(stats.keystrokes?.[name])
+    }));
+    const flags = this.toFlags(this.runRules({ stats, fields }, ["correction"]).findings);
+    return {
+      humanFlags: flags.filter(f => f.type === "human"),
+      botFlags: flags.filter(f => f.type === "bot")
+    };
+  },
+
+  // ============================================================
+  // 检测按键重叠与长按重复（需要内置采集的原生数据）
+  // 全程严格"按下-抬起-按下"是脚本特征；自然的重叠与长按重复是人类特征
+  // ============================================================
+  detectRollover(stats, parser = null) {
+    const _parser = parser || (typeof TypingParser !== "undefined" ? TypingParser : require("./typing-parser"));
+    const fields = ["username", "password"].map(name => ({
+      name,
+      rollover: _parser.analyzeRollover(stats.keystrokes?.[name])
+    }));
+    const flags = this.toFlags(this.runRules({ stats, fields }, ["rollover"]).findings);
+    return {
+      humanFlags: flags.filter(f => f.type === "human"),
+      botFlags: flags.filter(f => f.type === "bot")
+    };
   },
 
   // ============================================================
@@ -223,29 +352,11 @@ const AutomationDetector = {
   // inputType = null 是人类真实输入的特征
   // ============================================================
   detectInputType(stats) {
-    const result = { humanFlags: [], botFlags: [] };
-    
-    if (stats.totalInputEvents > 0) {
-      const nullRatio = stats.nullInputTypeCount / stats.totalInputEvents;
-      
-      // inputType === null 是人类特征
-      if (stats.nullInputTypeCount > 0) {
-        result.humanFlags.push({
-          weight: 2,
-          reason: `Human input detected (${stats.nullInputTypeCount}/${stats.totalInputEvents} events with inputType=null)`
-        });
-      }
-      
-      // 如果完全没有 null inputType，可能是自动化脚本
-      if (stats.nullInputTypeCount === 0 && stats.totalInputEvents > 3) {
-        result.botFlags.push({
-          weight: 2,
-          reason: `No null inputType events (possible automation - all events have specific inputType)`
-        });
-      }
-    }
-    
-    return result;
+    const flags = this.toFlags(this.runRules({ stats }, ["inputType"]).findings);
+    return {
+      humanFlags: flags.filter(f => f.type === "human"),
+      botFlags: flags.filter(f => f.type === "bot")
+    };
   },
 
   // ============================================================
@@ -256,87 +367,68 @@ const AutomationDetector = {
       return { valid: false, botFlags: [], humanFlags: [] };
     }
 
-    const botFlags = [];
-    const humanFlags = [];
-    const th = this.thresholds;
-    
-    // SeekTime 分析
-    if (pattern.seekTime.avg < th.seekTime.tooFast) {
-      botFlags.push({ weight: 3, reason: `Extremely short key interval (${pattern.seekTime.avg}ms < ${th.seekTime.tooFast}ms)` });
-    } else if (pattern.seekTime.avg < th.seekTime.botMax) {
-      botFlags.push({ weight: 2, reason: `Key interval too short (${pattern.seekTime.avg}ms < ${th.seekTime.botMax}ms)` });
-    }
-    
-    if (pattern.seekTime.std < th.seekTime.uniformStdMax && pattern.keystrokeCount > 3) {
-      botFlags.push({ weight: 2, reason: `Key interval too uniform (std=${pattern.seekTime.std}ms)` });
-    }
-    
-    // PressTime 分析
-    if (pattern.pressTime.avg > 0 && pattern.pressTime.avg < th.pressTime.botMax) {
-      botFlags.push({ weight: 2, reason: `Extremely short key press (${pattern.pressTime.avg}ms < ${th.pressTime.botMax}ms)` });
-    }
-    
-    if (pattern.pressTime.std < th.pressTime.uniformStdMax && pattern.keystrokeCount > 3 && pattern.pressTime.avg > 0) {
-      botFlags.push({ weight: 2, reason: `Key press too uniform (std=${pattern.pressTime.std}ms)` });
-    }
-    
-    // SeekTime 范围太窄
-    if (pattern.seekTime.range < th.antiBot.seekTimeMinRange && pattern.keystrokeCount > 5) {
-      botFlags.push({ weight: 2, reason: `SeekTime range too narrow (${pattern.seekTime.range}ms < ${th.antiBot.seekTimeMinRange}ms)` });
-    }
-    
-    // 人类指标
-    if (pattern.seekTime.avg > th.seekTime.humanMin) {
-      humanFlags.push({ weight: 1, reason: `Normal key interval (${pattern.seekTime.avg}ms)` });
-    }
-    
-    if (pattern.pressTime.avg > th.pressTime.humanMin) {
-      humanFlags.push({ weight: 1, reason: `Normal key press (${pattern.pressTime.avg}ms)` });
-    }
-    
-    if (pattern.longPauses > 0) {
-      humanFlags.push({ weight: 2, reason: `Has long pauses (${pattern.longPauses}x > 500ms)` });
-    }
-    
-    return { valid: true, botFlags, humanFlags };
+    const field = { name: null, typing: pattern };
+    const flags = this.toFlags(this.runRules({ fields: [field] }, ["typing"]).findings);
+    return {
+      valid: true,
+      botFlags: flags.filter(f => f.type === "bot"),
+      humanFlags: flags.filter(f => f.type === "human")
+    };
   },
 
   // ============================================================
   // 检测密码复杂度与击键行为不匹配
   // ============================================================
   detectPasswordMismatch(stats) {
-    const flags = [];
+    return {
+      flags: this.toFlags(this.runRules({ stats }, ["password"]).findings),
+      details: this.passwordDetails(stats)
+    };
+  },
+
+  passwordDetails(stats) {
     const password = stats.password || "";
-    const shiftCount = stats.passwordShiftCount || stats.shiftCount || 0;
-    const capsLockCount = stats.passwordCapsLockCount || stats.capsLockCount || 0;
-    const pastePass = stats.pastePass || 0;
-    
-    if (!password) return { flags, details: null };
+    if (!password) return null;
     
     const hasUpperCase = /[A-Z]/.test(password);
     const hasSpecialChar = /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?`~]/.test(password);
     const needsShift = hasUpperCase || hasSpecialChar;
-    const usedShiftOrCaps = shiftCount > 0 || capsLockCount > 0;
-    const usedPaste = pastePass > 0;
+    const usedShiftOrCaps = (stats.passwordShiftCount || stats.shiftCount || 0) > 0 ||
+                            (stats.passwordCapsLockCount || stats.capsLockCount || 0) > 0;
+    const usedPaste = (stats.pastePass || 0) > 0;
     
-    if (needsShift && !usedShiftOrCaps && !usedPaste) {
-      flags.push({
-        type: "bot",
-        weight: 3,
-        reason: "Password has uppercase/special chars but no Shift/CapsLock and not pasted"
-      });
+    return { hasUpperCase, hasSpecialChar, needsShift, usedShiftOrCaps, usedPaste };
+  },
+
+  // ============================================================
+  // 构建单字段的规则上下文
+  // ============================================================
+  buildField(name, label, pattern, parser, native = null) {
+    const field = {
+      name,
+      label,
+      pattern,
+      typing: pattern && pattern.keystrokeCount > 0 ? pattern : null,
+      seekDistribution: null,
+      rollover: parser.analyzeRollover(native),
+      corrections: parser.analyzeCorrections(native)
+    };
+    
+    // 分布分析
+    if (pattern && pattern.raw.seekTimes.length > 4) {
+      field.seekDistribution = parser.analyzeDistribution(pattern.raw.seekTimes);
     }
     
-    return {
-      flags,
-      details: { hasUpperCase, hasSpecialChar, needsShift, usedShiftOrCaps, usedPaste }
-    };
+    return field;
   },
 
   // ============================================================
   // 完整登录行为分析
   // ============================================================
-  analyze(stats, parser = null) {
+  // options: { account: 用户名, session: 会话 id, replayStore: ReplayStore }（用于重放检测，缺省时使用全局 ReplayStore，false 时不检测）
+  //          locale: 说明文字的语言（"en" | "zh-CN"，缺省时使用 Messages.locale）
+  //          inferDevice: 没有 stats.device 时按触屏点击推断设备类型（只用于旧导出文件，见 checkDevice）
+  analyze(stats, parser = null, options = {}) {
     // 如果没有传入 parser，使用全局的 TypingParser
     const _parser = parser || (typeof TypingParser !== "undefined" ? TypingParser : null);
     if (!_parser) {
@@ -344,232 +436,285 @@ const AutomationDetector = {
       return { isBot: false, confidence: 0, reasons: [] };
     }
 
+    const locale = this.getEngine().getMessages().resolveLocale(options.locale);
     const result = {
       isBot: false,
       confidence: 0,
       reasons: [],
+      findings: [],
       details: {},
-      scores: { bot: 0, human: 0 }
+      scores: { bot: 0, human: 0 },
+      policy: { ...this.policy },
+      locale
     };
     
-    let botScore = 0;
-    let humanScore = 0;
-    
     // ==================== 1. 解析打字数据 ====================
     const userPattern = _parser.parsePattern(stats.typingdna?.lastUserTp);
     const passPattern = _parser.parsePattern(stats.typingdna?.lastPassTp);
     result.details.userPattern = userPattern;
     result.details.passPattern = passPattern;
     
-    // ==================== 2. 分析打字特征 ====================
+    const fields = [];
     if (userPattern) {
-      const userAnalysis = this.analyzeFieldTyping(userPattern);
-      result.details.userAnalysis = userAnalysis;
-      
-      userAnalysis.botFlags.forEach(f => {
-        botScore += f.weight;
-        result.reasons.push(`[Username] ${f.reason}`);
-      });
-      userAnalysis.humanFlags.forEach(f => humanScore += f.weight);
-      
-      // 分布分析
-      if (userPattern.raw.seekTimes.length > 4) {
-        const dist = _parser.analyzeDistribution(userPattern.raw.seekTimes);
-        const gaussFlags = this.detectGaussianPattern(dist);
-        result.details.userSeekDistribution = dist;
-        gaussFlags.forEach(f => {
-          botScore += f.weight;
-          result.reasons.push(`[Username SeekTime] ${f.reason}`);
-        });
-      }
+      const field = this.buildField("username", "Username", userPattern, _parser, stats.keystrokes?.username);
+      if (field.seekDistribution) result.details.userSeekDistribution = field.seekDistribution;
+      fields.push(field);
     }
-    
     if (passPattern) {
-      const passAnalysis = this.analyzeFieldTyping(passPattern);
-      result.details.passAnalysis = passAnalysis;
-      
-      passAnalysis.botFlags.forEach(f => {
-        botScore += f.weight;
-        result.reasons.push(`[Password] ${f.reason}`);
-      });
-      passAnalysis.humanFlags.forEach(f => humanScore += f.weight);
-      
-      // 分布分析
-      if (passPattern.raw.seekTimes.length > 4) {
-        const dist = _parser.analyzeDistribution(passPattern.raw.seekTimes);
-        const gaussFlags = this.detectGaussianPattern(dist);
-        result.details.passSeekDistribution = dist;
-        gaussFlags.forEach(f => {
-          botScore += f.weight;
-          result.reasons.push(`[Password SeekTime] ${f.reason}`);
-        });
-      }
+      const field = this.buildField("password", "Password", passPattern, _parser, stats.keystrokes?.password);
+      if (field.seekDistribution) result.details.passSeekDistribution = field.seekDistribution;
+      fields.push(field);
     }
     
-    // ==================== 3. 时间间隔分析 ====================
-    const th = this.thresholds;
-    
-    if (stats.usernameToPasswordMs != null && stats.usernameToPasswordMs < th.timing.userToPassMin) {
-      botScore += 2;
-      result.reasons.push(`Username to password too fast (${stats.usernameToPasswordMs}ms < ${th.timing.userToPassMin}ms)`);
-    }
-    
-    if (stats.passwordToLoginMs != null && stats.passwordToLoginMs < th.timing.passToLoginMin) {
-      botScore += 2;
-      result.reasons.push(`Password to login too fast (${stats.passwordToLoginMs}ms < ${th.timing.passToLoginMin}ms)`);
-    }
-    
-    // ==================== 4. 鼠标轨迹分析 ====================
+    // ==================== 2. 鼠标轨迹分析 ====================
+    let trajectoryAnalysis = null;
     if (stats.trajectory) {
-      const trajAnalysis = _parser.analyzeTrajectory(stats.trajectory);
-      result.details.trajectoryAnalysis = trajAnalysis;
-      
-      if (trajAnalysis.valid) {
-        // 基础检测
-        if (trajAnalysis.points < th.trajectory.minPoints) {
-          botScore += 1;
-          result.reasons.push(`Too few trajectory points (${trajAnalysis.points} < ${th.trajectory.minPoints})`);
-        }
-        if (trajAnalysis.distance < th.trajectory.minDistance && stats.trajectory.captured) {
-          botScore += 1;
-          result.reasons.push(`Mouse distance too short (${trajAnalysis.distance}px < ${th.trajectory.minDistance}px)`);
-        }
-        if (trajAnalysis.points > 5 && trajAnalysis.distance > 100) {
-          humanScore += 2;
-        }
-        
-        // 高级轨迹检测
-        const trajFlags = this.detectTrajectoryAutomation(trajAnalysis);
-        trajFlags.forEach(f => {
-          botScore += f.weight;
-          result.reasons.push(`[Trajectory] ${f.reason}`);
-        });
-      }
-    }
-    
-    // ==================== 5. 粘贴检测 ====================
-    if (stats.pasteUser > 0) {
-      botScore += 1;
-      result.reasons.push("Username was pasted");
-    }
-    if (stats.pastePass > 0) {
-      botScore += 1;
-      result.reasons.push("Password was pasted");
-    }
+      trajectoryAnalysis = _parser.analyzeTrajectory(stats.trajectory);
+      result.details.trajectoryAnalysis = trajectoryAnalysis;
+    }
+    
+    // 触屏点击
+    const touch = _parser.analyzeTouch(stats.touch);
+    if (touch.valid) result.details.touch = touch;
+    
+    // 焦点与页面切换
+    const focus = _parser.analyzeFocus(stats.focus, stats.keystrokes);
+    if (focus.valid) result.details.focus = focus;
+    
+    // 与之前登录的击键节奏比较
+    const replay = this.checkReplay(userPattern, passPattern, options);
+    if (replay && replay.valid) result.details.replay = replay;
+    
+    // ==================== 3. 执行规则 ====================
+    const inferDevice = options.inferDevice === true;
+    const outcome = this.runRules({ stats, fields, trajectoryAnalysis, touch, focus, replay, locale, inferDevice });
+    result.findings = outcome.findings;
+    result.reasons = outcome.findings.filter(f => f.type === "bot").map(f => f.text);
+    if (outcome.errors.length) result.details.ruleErrors = outcome.errors;
+    
+    // 单字段打字分析（兼容旧的 details 结构）
+    const fieldAnalysis = (name) => {
+      const flags = this.toFlags(outcome.findings.filter(f => f.field === name && f.category === "typing"));
+      return {
+        valid: true,
+        botFlags: flags.filter(f => f.type === "bot"),
+        humanFlags: flags.filter(f => f.type === "human")
+      };
+    };
+    if (userPattern) result.details.userAnalysis = fieldAnalysis("username");
+    if (passPattern) result.details.passAnalysis = fieldAnalysis("password");
     
-    // ==================== 6. IME 输入法检测（人类指标）====================
+    // ==================== 4. 其他特征细节 ====================
     const imeTotal = (stats.imeUser || 0) + (stats.imePass || 0);
-    if (imeTotal > 0) {
-      humanScore += 3;
-      result.details.ime = imeTotal;
+    if (imeTotal > 0) result.details.ime = imeTotal;
+    if (stats.shiftCount > 0) result.details.shift = stats.shiftCount;
+    if (stats.capsLockCount > 0) result.details.capsLock = stats.capsLockCount;
+    result.details.passwordAnalysis = this.passwordDetails(stats);
+    if (outcome.findings.some(f => f.rule === "inputType.nullInput")) {
+      result.details.inputType = stats.nullInputTypeCount;
     }
-    
-    // ==================== 7. Shift/CapsLock 检测（人类指标）====================
-    const shiftCount = stats.shiftCount || 0;
-    const capsLockCount = stats.capsLockCount || 0;
-    
-    if (shiftCount > 0) {
-      humanScore += 2;
-      result.details.shift = shiftCount;
+    const rollover = fields.filter(f => f.rollover.valid);
+    if (rollover.length) {
+      result.details.rollover = {};
+      rollover.forEach(f => { result.details.rollover[f.name] = f.rollover; });
     }
-    if (capsLockCount > 0) {
-      humanScore += 1;
-      result.details.capsLock = capsLockCount;
+    const corrections = fields.filter(f => f.corrections.valid);
+    if (corrections.length) {
+      result.details.corrections = {};
+      corrections.forEach(f => { result.details.corrections[f.name] = f.corrections; });
     }
     
-    // ==================== 8. 密码复杂度不匹配检测 ====================
-    const pwdMismatch = this.detectPasswordMismatch(stats);
-    result.details.passwordAnalysis = pwdMismatch.details;
-    pwdMismatch.flags.forEach(f => {
-      botScore += f.weight;
-      result.reasons.push(f.reason);
-    });
-    
-    // ==================== 9. WebDriver/自动化工具检测 ====================
-    const webdriverFlags = this.detectWebDriver(stats);
-    webdriverFlags.forEach(f => {
-      botScore += f.weight;
-      result.reasons.push(`[Automation] ${f.reason}`);
-    });
-    
-    // ==================== 10. 合成事件检测 ====================
-    const syntheticFlags = this.detectSyntheticEvents(stats);
-    syntheticFlags.forEach(f => {
-      botScore += f.weight;
-      result.reasons.push(`[Events] ${f.reason}`);
-    });
-    
-    // ==================== 11. InputType 检测（人类指标）====================
-    const inputTypeResult = this.detectInputType(stats);
-    inputTypeResult.humanFlags.forEach(f => {
-      humanScore += f.weight;
-      result.details.inputType = stats.nullInputTypeCount;
-    });
-    inputTypeResult.botFlags.forEach(f => {
-      botScore += f.weight;
-      result.reasons.push(`[InputType] ${f.reason}`);
-    });
+    const device = this.getDeviceProfile(stats, { inferDevice });
+    result.details.device = { deviceClass: device.deviceClass, profile: device.name };
     
     // ==================== 计算最终结果 ====================
+    const th = device.thresholds;
+    const botScore = outcome.scores.bot;
+    const humanScore = outcome.scores.human;
     const totalScore = botScore + humanScore;
-    result.confidence = totalScore > 0 ? Math.round((botScore / totalScore) * 100) : 0;
     result.scores = { bot: botScore, human: humanScore };
+    result.legacyConfidence = totalScore > 0 ? Math.round((botScore / totalScore) * 100) : 0;
+    
+    // 概率模型：probability = { value, interval: [low, high], logit, baseline, terms, model }
+    if (this.scoring.mode === "model") {
+      const scoring = this.getScoringModel();
+      result.probability = scoring.evaluate(this.scoring.model || scoring.DEFAULT_MODEL, outcome.findings);
+      this.getEngine().addModelContributions(outcome.findings, result.probability);
+      result.confidence = Math.round(result.probability.value * 100);
+      result.scoring = { mode: "model", model: result.probability.model.name };
+    } else {
+      result.confidence = result.legacyConfidence;
+      result.scoring = { mode: "additive", model: null };
+    }
     
     // 判定：仅当 confidence > 70% 时判定为 Bot
     result.isBot = result.confidence > th.decision.botProbabilityThreshold;
+    if (outcome.findings.some(f => this.decisiveRules.includes(f.rule))) {
+      result.isBot = true;
+      result.confidence = 100;
+    }
     
     return result;
   },
 
   // ============================================================
   // 生成分析报告
+  // options: 同 analyze（locale: "en" | "zh-CN"）
   // ============================================================
-  generateReport(stats, parser = null) {
-    const analysis = this.analyze(stats, parser);
+  generateReport(stats, parser = null, options = {}) {
+    const analysis = this.analyze(stats, parser, options);
+    const engine = this.getEngine();
+    const messages = engine.getMessages();
+    const locale = analysis.locale;
+    const t = (key, params) => messages.format(key, params, locale);
     const lines = [];
     
-    lines.push("=== Login Behavior Analysis Report ===\n");
+    lines.push(t("report.title") + "\n");
     
     // 结论
-    lines.push(`[Result]`);
-    lines.push(`- Verdict: ${analysis.isBot ? "🤖 Bot/Script" : "✅ Human"}`);
-    lines.push(`- Bot Probability: ${analysis.confidence}%`);
-    lines.push(`- Scores: Bot=${analysis.scores.bot}, Human=${analysis.scores.human}`);
+    lines.push(t("report.result"));
+    lines.push(t("report.verdict", { verdict: { message: analysis.isBot ? "verdict.bot" : "verdict.human" } }));
+    lines.push(t("report.botProbability", { confidence: analysis.confidence }));
+    if (analysis.probability) {
+      const [low, high] = analysis.probability.interval.map(v => Math.round(v * 100));
+      lines.push(t("report.probabilityInterval", { low, high, model: analysis.scoring.model }));
+      lines.push(t("report.legacyConfidence", { confidence: analysis.legacyConfidence }));
+    }
+    lines.push(t("report.scores", analysis.scores));
     lines.push("");
     
-    // 检测到的异常
-    if (analysis.reasons.length > 0) {
-      lines.push(`[Anomalies Detected]`);
-      analysis.reasons.forEach(r => lines.push(`  ⚠️ ${r}`));
+    // 命中的规则（规则 id、观测值、阈值、权重、对 Bot 概率的贡献）
+    const botFindings = analysis.findings.filter(f => f.type === "bot");
+    const humanFindings = analysis.findings.filter(f => f.type === "human");
+    if (botFindings.length > 0) {
+      lines.push(t("report.anomalies"));
+      botFindings.forEach(f => lines.push(`  ⚠️ ${engine.formatFinding(f, locale)}`));
       lines.push("");
     }
-    
-    // 打字特征
-    const userPattern = analysis.details.userPattern;
-    if (userPattern) {
-      lines.push(`[Username Typing]`);
-      lines.push(`- Keystrokes: ${userPattern.keystrokeCount}`);
-      lines.push(`- SeekTime: avg=${userPattern.seekTime.avg}ms, std=${userPattern.seekTime.std}ms, range=${userPattern.seekTime.range}ms`);
-      lines.push(`- PressTime: avg=${userPattern.pressTime.avg}ms, std=${userPattern.pressTime.std}ms`);
+    if (humanFindings.length > 0) {
+      lines.push(t("report.humanIndicators"));
+      humanFindings.forEach(f => lines.push(`  ✅ ${engine.formatFinding(f, locale)}`));
       lines.push("");
     }
     
-    const passPattern = analysis.details.passPattern;
-    if (passPattern) {
-      lines.push(`[Password Typing]`);
-      lines.push(`- Keystrokes: ${passPattern.keystrokeCount}`);
-      lines.push(`- SeekTime: avg=${passPattern.seekTime.avg}ms, std=${passPattern.seekTime.std}ms, range=${passPattern.seekTime.range}ms`);
-      lines.push(`- PressTime: avg=${passPattern.pressTime.avg}ms, std=${passPattern.pressTime.std}ms`);
+    // 打字特征
+    [["report.usernameTyping", analysis.details.userPattern], ["report.passwordTyping", analysis.details.passPattern]]
+      .forEach(([title, pattern]) => {
+        if (!pattern) return;
+        lines.push(t(title));
+        lines.push(t("report.keystrokes", { count: pattern.keystrokeCount }));
+        lines.push(t("report.seekTime", pattern.seekTime));
+        lines.push(t("report.pressTime", pattern.pressTime));
+        this.reportDigraphs(lines, pattern.digraphs, locale);
+        lines.push("");
+      });
+    
+    // 鼠标轨迹
+    const trajectory = analysis.details.trajectoryAnalysis;
+    if (trajectory && trajectory.valid) {
+      lines.push(t("report.mouse"));
+      lines.push(t("report.mousePoints", {
+        points: trajectory.points,
+        distance: trajectory.distance,
+        smooth: Math.round(trajectory.smoothRatio * 100),
+        corrections: Math.round(trajectory.correctionRatio * 100)
+      }));
+      const k = trajectory.kinematics;
+      if (k && k.valid) {
+        lines.push(t("report.mouseSpeed", {
+          speed: k.speed.avg,
+          speedMax: k.speed.max,
+          acceleration: k.acceleration.avg,
+          jerk: k.jerk.avg,
+          curvature: k.curvature.avg
+        }));
+        lines.push(t("report.mouseStrokes", {
+          count: k.strokes.count,
+          bellShaped: k.strokes.bellShaped,
+          straightness: k.strokes.straightness,
+          speedCV: k.strokes.speedCV,
+          pauses: k.pauses.count,
+          pauseMs: k.pauses.totalMs
+        }));
+      }
       lines.push("");
     }
     
     // 其他特征
-    lines.push(`[Other Features]`);
-    if (analysis.details.ime) lines.push(`- IME Usage: ${analysis.details.ime}x ✅`);
-    if (analysis.details.shift) lines.push(`- Shift Usage: ${analysis.details.shift}x ✅`);
-    if (analysis.details.capsLock) lines.push(`- CapsLock Usage: ${analysis.details.capsLock}x ✅`);
+    const fieldName = name => ({ message: `field.${name}` });
+    lines.push(t("report.other"));
+    if (analysis.details.ime) lines.push(t("report.ime", { count: analysis.details.ime }));
+    if (analysis.details.shift) lines.push(t("report.shift", { count: analysis.details.shift }));
+    if (analysis.details.capsLock) lines.push(t("report.capsLock", { count: analysis.details.capsLock }));
+    Object.entries(analysis.details.rollover || {}).forEach(([name, r]) => {
+      lines.push(t("report.rollover", { ...r, field: fieldName(name) }));
+    });
+    const device = analysis.details.device;
+    const replay = analysis.details.replay;
+    if (replay) {
+      lines.push(replay.match
+        ? t("report.replayMatch", { compared: replay.compared, at: replay.match.at, distance: replay.match.distance })
+        : t("report.replay", { compared: replay.compared }));
+    }
+    const environment = stats.environment;
+    if (environment && environment.checks) {
+      const flagged = Object.keys(environment.findings || {});
+      const params = { flagged: flagged.length, total: environment.checks.length, checks: flagged };
+      lines.push(t(flagged.length ? "report.environmentFlagged" : "report.environment", params));
+    }
+    if (device && device.deviceClass !== "desktop") lines.push(t("report.device", device));
+    const touch = analysis.details.touch;
+    if (touch) {
+      lines.push(t("report.touch", {
+        taps: touch.taps,
+        avg: touch.duration.avg,
+        width: touch.contact.width,
+        height: touch.contact.height,
+        sizes: touch.contactSizes,
+        pressure: touch.pressure.avg
+      }));
+    }
+    const focus = analysis.details.focus;
+    if (focus) {
+      const methods = Object.entries(focus.methods).map(([name, m]) => `${name}=${m.join(">")}`).join(", ");
+      lines.push(t("report.focus", {
+        methods: methods || { message: "report.none" },
+        switches: focus.switches.count,
+        switchSeconds: Math.round(focus.switches.totalMs / 100) / 10,
+        idle: focus.idle.count,
+        idleSeconds: Math.round(focus.idle.totalMs / 100) / 10
+      }));
+    }
+    Object.entries(analysis.details.corrections || {}).forEach(([name, c]) => {
+      lines.push(t("report.corrections", {
+        field: fieldName(name),
+        count: c.corrections,
+        backspace: c.backspace,
+        del: c.delete,
+        fix: c.corrections > 0 ? { message: "report.correctionsFix", params: { latency: c.fixLatency.avg } } : "",
+        navMoves: c.navMoves,
+        caretMoves: c.caretMoves,
+        replacements: c.replacements,
+        length: c.finalLength != null
+          ? { message: "report.correctionsLength", params: { finalLength: c.finalLength, keystrokes: c.keystrokes, ratio: c.lengthRatio } }
+          : ""
+      }));
+    });
     
     return lines.join("\n");
+  },
+
+  // 键对节奏摘要（仅 kc2 数据）
+  reportDigraphs(lines, digraphs, locale = null) {
+    if (!digraphs || !digraphs.valid) return;
+    lines.push(this.getEngine().getMessages().format("report.digraphs", {
+      count: digraphs.count,
+      kinds: Object.keys(digraphs.table).length,
+      alternate: digraphs.alternate.dd.avg,
+      alternateCount: digraphs.alternate.count,
+      sameHand: digraphs.sameHand.dd.avg,
+      sameHandCount: digraphs.sameHand.count
+    }, locale));
   }
 };
 
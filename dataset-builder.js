@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Dataset Builder
+ * 把一个目录的带标签导出数据（login-behavior-*.json）转成特征表，供项目外的训练工具使用
+ * 用法: node dataset-builder.js <目录> [--format csv|arff] [--out file] [--relation typinggene]
+ *
+ * 特征的名称、顺序与版本见 feature-extractor.js；标签规则与 evaluate-dataset.js 相同
+ *   csv   表头 file, label, 各特征；file 为相对 <目录> 的路径；缺失值为空单元格
+ *   arff  各特征为 NUMERIC，最后一列为 label {human,bot}；缺失值为 ?；特征版本与说明写在注释中
+ * 会话按文件路径排序，同一目录总是输出相同的行顺序
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const TypingParser = require("./typing-parser");
+const FeatureExtractor = require("./feature-extractor");
+const DatasetEvaluator = require("./evaluate-dataset");
+const ReportRenderers = require("./report-renderers");
+
+const DatasetBuilder = {
+
+  FORMATS: ["csv", "arff"],
+
+  // ============================================================
+  // 特征表
+  // ============================================================
+  // 返回 [{ file, label, values }]
+  rows(sessions, baseDir = null) {
+    return [...sessions]
+      .sort((a, b) => a.file.localeCompare(b.file))
+      .map(s => ({
+        file: baseDir ? path.relative(baseDir, s.file) : s.file,
+        label: s.label,
+        values: FeatureExtractor.extractFeatures(s.stats, TypingParser).values
+      }));
+  },
+
+  build(format, sessions, options = {}) {
+    const rows = this.rows(sessions, options.baseDir);
+    return format === "arff" ? this.renderArff(rows, options) : this.renderCsv(rows);
+  },
+
+  // ============================================================
+  // CSV
+  // ============================================================
+  renderCsv(rows) {
+    const lines = [["file", "label", ...FeatureExtractor.names()].join(",")];
+    rows.forEach(row => {
+      lines.push([row.file, row.label, ...row.values].map(v => ReportRenderers.csvCell(v)).join(","));
+    });
+    return lines.join("\n") + "\n";
+  },
+
+  // ============================================================
+  // ARFF (Weka)
+  // ============================================================
+  arffName(name) {
+    return /^[A-Za-z_][\w.-]*$/.test(name) ? name : `'${name.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+  },
+
+  renderArff(rows, options = {}) {
+    const lines = [
+      `% TypingGene login features v${FeatureExtractor.VERSION} (feature-extractor.js)`,
+      `% ${rows.length} sessions; missing values are ?`,
+      "",
+      `@RELATION ${this.arffName(options.relation || "typinggene")}`,
+      ""
+    ];
+    FeatureExtractor.FEATURES.forEach(feature => {
+      lines.push(`% ${feature.description}`);
+      lines.push(`@ATTRIBUTE ${this.arffName(feature.name)} NUMERIC`);
+    });
+    lines.push(`@ATTRIBUTE label {${DatasetEvaluator.LABELS.join(",")}}`);
+    lines.push("");
+    lines.push("@DATA");
+    rows.forEach(row => {
+      lines.push([...row.values.map(v => (v === null ? "?" : String(v))), row.label].join(","));
+    });
+    return lines.join("\n") + "\n";
+  },
+
+  // ============================================================
+  // 命令行
+  // ============================================================
+  parseArgs(argv) {
+    const args = { dir: null, format: "csv", out: null, relation: null };
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg === "--format") args.format = argv[++i];
+      else if (arg === "--out") args.out = argv[++i];
+      else if (arg === "--relation") args.relation = argv[++i];
+      else if (!args.dir) args.dir = arg;
+    }
+    return args;
+  },
+
+  main(argv) {
+    const args = this.parseArgs(argv);
+    if (!args.dir || !this.FORMATS.includes(args.format)) {
+      console.error("Usage: node dataset-builder.js <dir> [--format csv|arff] [--out file] [--relation typinggene]");
+      return 1;
+    }
+
+    const loaded = DatasetEvaluator.loadSessions(args.dir);
+    const { sessions, skipped } = DatasetEvaluator.dropFailing(loaded.sessions, s => FeatureExtractor.extractFeatures(s.stats, TypingParser));
+    [...loaded.skipped, ...skipped].forEach(s => console.error(`Skipped ${s.file}: ${s.reason}`));
+    if (!sessions.length) {
+      console.error(`No labeled login-behavior-*.json files found in ${args.dir}`);
+      return 1;
+    }
+
+    const output = this.build(args.format, sessions, { baseDir: args.dir, relation: args.relation });
+    if (args.out) {
+      fs.writeFileSync(args.out, output);
+      console.error(`Wrote ${sessions.length} sessions × ${FeatureExtractor.FEATURES.length} features (v${FeatureExtractor.VERSION}) to ${args.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return 0;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DatasetBuilder;
+}
+
+if (require.main === module) {
+  process.exitCode = DatasetBuilder.main(process.argv.slice(2));
+}
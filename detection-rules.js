@@ -0,0 +1,955 @@
+/**
+ * Detection Rules
+ * 内置检测规则定义（AutomationDetector 与 TypingAnalyzer 共用）
+ * 规则格式见 rule-engine.js；命中时返回 { params, observed, threshold }，observed 为参与比较的观测值，threshold 为对应阈值
+ * 说明文字由 messages.js 中 "rule." + 规则 id 的模板与 params 生成
+ *
+ * 规则上下文 ctx:
+ * {
+ *   stats,                  // 页面采集的原始数据（stats.environment: environment-probe.js 的检查结果）
+ *   thresholds,             // 当前阈值
+ *   fields: [{ name, label, typing, seekDistribution, rollover, corrections }],   // typing: parsePattern 结果（含 digraphs，无按键时为 null）
+ *                                                              // rollover / corrections: analyzeRollover / analyzeCorrections 结果（需要原生采集数据）
+ *   trajectoryAnalysis,     // TypingParser.analyzeTrajectory 结果（含 kinematics 运动学特征）
+ *   touch,                  // TypingParser.analyzeTouch 结果
+ *   focus,                  // TypingParser.analyzeFocus 结果
+ *   replay,                 // ReplayStore.check 结果（没有重放存储时为 null）
+ *   device                  // "desktop" | "mobile" | "tablet"（阈值已按设备档案调整）
+ * }
+ */
+
+const DetectionRules = [
+
+  // ============================================================
+  // 打字特征（每个字段）
+  // ============================================================
+  {
+    id: "typing.seekTooFast",
+    category: "typing",
+    type: "bot",
+    weight: 3,
+    scope: "field",
+    evaluate(ctx, field) {
+      const p = field.typing;
+      const th = ctx.thresholds.seekTime;
+      if (!p || p.seekTime.avg >= th.tooFast) return null;
+      return { params: { avg: p.seekTime.avg, threshold: th.tooFast }, observed: p.seekTime.avg, threshold: th.tooFast };
+    }
+  },
+  {
+    id: "typing.seekTooShort",
+    category: "typing",
+    type: "bot",
+    weight: 2,
+    scope: "field",
+    evaluate(ctx, field) {
+      const p = field.typing;
+      const th = ctx.thresholds.seekTime;
+      // 已命中 seekTooFast 时不重复计分
+      if (!p || p.seekTime.avg < th.tooFast || p.seekTime.avg >= th.botMax) return null;
+      return { params: { avg: p.seekTime.avg, threshold: th.botMax }, observed: p.seekTime.avg, threshold: th.botMax };
+    }
+  },
+  {
+    id: "typing.seekUniform",
+    category: "typing",
+    type: "bot",
+    weight: 2,
+    scope: "field",
+    evaluate(ctx, field) {
+      const p = field.typing;
+      const max = ctx.thresholds.seekTime.uniformStdMax;
+      if (!p || p.seekTime.std >= max || p.keystrokeCount <= 3) return null;
+      return { params: { std: p.seekTime.std }, observed: p.seekTime.std, threshold: max };
+    }
+  },
+  {
+    id: "typing.pressTooShort",
+    category: "typing",
+    type: "bot",
+    weight: 2,
+    scope: "field",
+    evaluate(ctx, field) {
+      const p = field.typing;
+      const th = ctx.thresholds.pressTime;
+      if (!p || !(p.pressTime.avg > 0 && p.pressTime.avg < th.botMax)) return null;
+      return { params: { avg: p.pressTime.avg, threshold: th.botMax }, observed: p.pressTime.avg, threshold: th.botMax };
+    }
+  },
+  {
+    id: "typing.pressUniform",
+    category: "typing",
+    type: "bot",
+    weight: 2,
+    scope: "field",
+    evaluate(ctx, field) {
+      const p = field.typing;
+      const max = ctx.thresholds.pressTime.uniformStdMax;
+      if (!p || p.pressTime.std >= max || p.keystrokeCount <= 3 || p.pressTime.avg <= 0) return null;
+      return { params: { std: p.pressTime.std }, observed: p.pressTime.std, threshold: max };
+    }
+  },
+  {
+    id: "typing.seekRangeNarrow",
+    category: "typing",
+    type: "bot",
+    weight: 2,
+    scope: "field",
+    evaluate(ctx, field) {
+      const p = field.typing;
+      const minRange = ctx.thresholds.antiBot.seekTimeMinRange;
+      if (!p || p.seekTime.range >= minRange || p.keystrokeCount <= 5) return null;
+      return { params: { range: p.seekTime.range, threshold: minRange }, observed: p.seekTime.range, threshold: minRange };
+    }
+  },
+  {
+    id: "typing.seekNormal",
+    category: "typing",
+    type: "human",
+    weight: 1,
+    scope: "field",
+    evaluate(ctx, field) {
+      const p = field.typing;
+      const min = ctx.thresholds.seekTime.humanMin;
+      if (!p || p.seekTime.avg <= min) return null;
+      return { params: { avg: p.seekTime.avg }, observed: p.seekTime.avg, threshold: min };
+    }
+  },
+  {
+    id: "typing.pressNormal",
+    category: "typing",
+    type: "human",
+    weight: 1,
+    scope: "field",
+    evaluate(ctx, field) {
+      const p = field.typing;
+      const min = ctx.thresholds.pressTime.humanMin;
+      if (!p || p.pressTime.avg <= min) return null;
+      return { params: { avg: p.pressTime.avg }, observed: p.pressTime.avg, threshold: min };
+    }
+  },
+  {
+    id: "typing.longPauses",
+    category: "typing",
+    type: "human",
+    weight: 2,
+    scope: "field",
+    evaluate(ctx, field) {
+      const p = field.typing;
+      if (!p || p.longPauses <= 0) return null;
+      return { params: { count: p.longPauses }, observed: p.longPauses, threshold: 0 };
+    }
+  },
+
+  // ============================================================
+  // SeekTime 分布（每个字段，高斯/程序化随机特征）
+  // ============================================================
+  {
+    id: "distribution.nearGaussian",
+    category: "distribution",
+    type: "bot",
+    weight: 2,
+    scope: "field",
+    tag: "SeekTime",
+    evaluate(ctx, field) {
+      const d = field.seekDistribution;
+      const th = ctx.thresholds.antiBot;
+      if (!d || !d.valid) return null;
+      const isNearNormal = Math.abs(d.skewness) < th.skewnessThreshold &&
+                           d.kurtosis > th.kurtosisMin &&
+                           d.kurtosis < th.kurtosisMax;
+      if (!isNearNormal) return null;
+      return {
+        params: { skewness: d.skewness, kurtosis: d.kurtosis },
+        observed: { skewness: d.skewness, kurtosis: d.kurtosis },
+        threshold: { skewness: th.skewnessThreshold, kurtosisMin: th.kurtosisMin, kurtosisMax: th.kurtosisMax }
+      };
+    }
+  },
+  {
+    id: "distribution.roundNumbers",
+    category: "distribution",
+    type: "bot",
+    weight: 2,
+    scope: "field",
+    tag: "SeekTime",
+    evaluate(ctx, field) {
+      const d = field.seekDistribution;
+      const max = ctx.thresholds.antiBot.roundNumberRatio;
+      if (!d || !d.valid || !(d.roundNumberRatio > max)) return null;
+      return { params: { percent: Math.round(d.roundNumberRatio * 100) }, observed: d.roundNumberRatio, threshold: max };
+    }
+  },
+  {
+    id: "distribution.consecutiveSimilar",
+    category: "distribution",
+    type: "bot",
+    weight: 2,
+    scope: "field",
+    tag: "SeekTime",
+    evaluate(ctx, field) {
+      const d = field.seekDistribution;
+      const max = ctx.thresholds.antiBot.consecutiveSimilarMax;
+      if (!d || !d.valid || !(d.maxConsecutiveSimilar > max)) return null;
+      return { params: { count: d.maxConsecutiveSimilar }, observed: d.maxConsecutiveSimilar, threshold: max };
+    }
+  },
+  {
+    id: "distribution.programmaticCV",
+    category: "distribution",
+    type: "bot",
+    weight: 2,
+    scope: "field",
+    tag: "SeekTime",
+    evaluate(ctx, field) {
+      const d = field.seekDistribution;
+      const th = ctx.thresholds.antiBot;
+      if (!d || !d.valid || !(d.cv > th.cvMin && d.cv < th.cvMax)) return null;
+      return { params: { cv: d.cv }, observed: d.cv, threshold: { min: th.cvMin, max: th.cvMax } };
+    }
+  },
+
+  // ============================================================
+  // 字段间时间间隔
+  // ============================================================
+  {
+    id: "timing.userToPass",
+    category: "timing",
+    type: "bot",
+    weight: 2,
+    evaluate(ctx) {
+      const ms = ctx.stats.usernameToPasswordMs;
+      const min = ctx.thresholds.timing.userToPassMin;
+      if (ms == null || ms >= min) return null;
+      return { params: { ms, threshold: min }, observed: ms, threshold: min };
+    }
+  },
+  {
+    id: "timing.passToLogin",
+    category: "timing",
+    type: "bot",
+    weight: 2,
+    evaluate(ctx) {
+      const ms = ctx.stats.passwordToLoginMs;
+      const min = ctx.thresholds.timing.passToLoginMin;
+      if (ms == null || ms >= min) return null;
+      return { params: { ms, threshold: min }, observed: ms, threshold: min };
+    }
+  },
+
+  // ============================================================
+  // 鼠标轨迹（基础）
+  // ============================================================
+  {
+    id: "trajectory.fewPoints",
+    category: "trajectory",
+    type: "bot",
+    weight: 1,
+    evaluate(ctx) {
+      const t = ctx.trajectoryAnalysis;
+      const min = ctx.thresholds.trajectory.minPoints;
+      if (!t || !t.valid || !(t.points < min)) return null;
+      return { params: { points: t.points, threshold: min }, observed: t.points, threshold: min };
+    }
+  },
+  {
+    id: "trajectory.shortDistance",
+    category: "trajectory",
+    type: "bot",
+    weight: 1,
+    evaluate(ctx) {
+      const t = ctx.trajectoryAnalysis;
+      const min = ctx.thresholds.trajectory.minDistance;
+      if (!t || !t.valid || !(t.distance < min) || !ctx.stats.trajectory?.captured) return null;
+      return { params: { distance: t.distance, threshold: min }, observed: t.distance, threshold: min };
+    }
+  },
+  {
+    id: "trajectory.humanMovement",
+    category: "trajectory",
+    type: "human",
+    weight: 2,
+    evaluate(ctx) {
+      const t = ctx.trajectoryAnalysis;
+      if (!t || !t.valid || !(t.points > 5 && t.distance > 100)) return null;
+      return {
+        params: { points: t.points, distance: t.distance },
+        observed: { points: t.points, distance: t.distance },
+        threshold: { points: 5, distance: 100 }
+      };
+    }
+  },
+
+  // ============================================================
+  // 鼠标轨迹自动化特征
+  // ============================================================
+  {
+    id: "trajectory.tooSmooth",
+    category: "trajectoryAutomation",
+    type: "bot",
+    weight: 3,
+    tag: "Trajectory",
+    evaluate(ctx) {
+      const t = ctx.trajectoryAnalysis;
+      const max = ctx.thresholds.antiBot.trajectorySmoothMax;
+      if (!t || !t.valid || !(t.smoothRatio > max)) return null;
+      return { params: { percent: Math.round(t.smoothRatio * 100) }, observed: t.smoothRatio, threshold: max };
+    }
+  },
+  {
+    id: "trajectory.noCorrections",
+    category: "trajectoryAutomation",
+    type: "bot",
+    weight: 2,
+    tag: "Trajectory",
+    evaluate(ctx) {
+      const t = ctx.trajectoryAnalysis;
+      const min = ctx.thresholds.antiBot.trajectoryCorrectionMin;
+      if (!t || !t.valid || !(t.correctionRatio < min && t.points > 10)) return null;
+      return { params: { percent: Math.round(t.correctionRatio * 100) }, observed: t.correctionRatio, threshold: min };
+    }
+  },
+  {
+    id: "trajectory.uniformTiming",
+    category: "trajectoryAutomation",
+    type: "bot",
+    weight: 2,
+    tag: "Trajectory",
+    evaluate(ctx) {
+      const t = ctx.trajectoryAnalysis;
+      const intervals = t && t.valid ? t.intervalStats : null;
+      const max = ctx.thresholds.antiBot.trajectoryIntervalCVMax;
+      if (!intervals || !intervals.valid || !(intervals.cv < max)) return null;
+      return { params: { cv: intervals.cv }, observed: intervals.cv, threshold: max };
+    }
+  },
+  {
+    id: "trajectory.constantSpeed",
+    category: "trajectoryAutomation",
+    type: "bot",
+    weight: 3,
+    tag: "Trajectory",
+    evaluate(ctx) {
+      const k = ctx.trajectoryAnalysis && ctx.trajectoryAnalysis.valid ? ctx.trajectoryAnalysis.kinematics : null;
+      const min = ctx.thresholds.antiBot.trajectorySpeedCVMin;
+      if (!k || !k.valid || k.strokes.count < 1 || !(k.strokes.speedCV < min)) return null;
+      return { params: { cv: k.strokes.speedCV }, observed: k.strokes.speedCV, threshold: min };
+    }
+  },
+  {
+    id: "trajectory.straightLine",
+    category: "trajectoryAutomation",
+    type: "bot",
+    weight: 2,
+    tag: "Trajectory",
+    evaluate(ctx) {
+      const k = ctx.trajectoryAnalysis && ctx.trajectoryAnalysis.valid ? ctx.trajectoryAnalysis.kinematics : null;
+      const max = ctx.thresholds.antiBot.trajectoryStraightnessMax;
+      if (!k || !k.valid || k.strokes.count < 1 || !(k.strokes.straightness > max)) return null;
+      return { params: { straightness: k.strokes.straightness }, observed: k.strokes.straightness, threshold: max };
+    }
+  },
+  {
+    id: "trajectory.noFittsProfile",
+    category: "trajectoryAutomation",
+    type: "bot",
+    weight: 2,
+    tag: "Trajectory",
+    evaluate(ctx) {
+      const k = ctx.trajectoryAnalysis && ctx.trajectoryAnalysis.valid ? ctx.trajectoryAnalysis.kinematics : null;
+      const min = ctx.thresholds.antiBot.trajectoryFittsMinRatio;
+      if (!k || !k.valid || k.strokes.count < 2 || !(k.strokes.bellShapedRatio < min)) return null;
+      return {
+        params: { bellShaped: k.strokes.bellShaped, count: k.strokes.count },
+        observed: k.strokes.bellShapedRatio,
+        threshold: min
+      };
+    }
+  },
+
+  // ============================================================
+  // 按键重叠（rollover）与长按重复（两个字段合计）
+  // ============================================================
+  {
+    id: "rollover.none",
+    category: "rollover",
+    type: "bot",
+    weight: 2,
+    tag: "Rollover",
+    evaluate(ctx) {
+      const r = ctx.fields.map(f => f.rollover).filter(x => x && x.valid);
+      const keys = r.reduce((sum, x) => sum + x.keystrokes, 0);
+      const overlaps = r.reduce((sum, x) => sum + x.overlaps, 0);
+      const minKeystrokes = ctx.thresholds.rollover.minKeystrokes;
+      if (!r.length || keys < minKeystrokes || overlaps > 0) return null;
+      return {
+        params: { keys },
+        observed: { keystrokes: keys, overlaps },
+        threshold: { minKeystrokes }
+      };
+    }
+  },
+  {
+    id: "rollover.natural",
+    category: "rollover",
+    type: "human",
+    weight: 2,
+    tag: "Rollover",
+    evaluate(ctx) {
+      const r = ctx.fields.map(f => f.rollover).filter(x => x && x.valid);
+      const keys = r.reduce((sum, x) => sum + x.keystrokes, 0);
+      const overlaps = r.reduce((sum, x) => sum + x.overlaps, 0);
+      const ratio = keys > 1 ? overlaps / (keys - 1) : 0;
+      const min = ctx.thresholds.rollover.humanOverlapRatio;
+      if (overlaps < 2 || ratio < min) return null;
+      return {
+        params: { overlaps, keys },
+        observed: Math.round(ratio * 1000) / 1000,
+        threshold: min
+      };
+    }
+  },
+  {
+    id: "rollover.keyRepeat",
+    category: "rollover",
+    type: "human",
+    weight: 1,
+    tag: "Rollover",
+    evaluate(ctx) {
+      const repeats = ctx.fields.reduce((sum, f) => sum + (f.rollover && f.rollover.valid ? f.rollover.repeats : 0), 0);
+      return repeats > 0 ? { params: { count: repeats }, observed: repeats, threshold: 0 } : null;
+    }
+  },
+
+  // ============================================================
+  // 纠错（每个字段）
+  // ============================================================
+  {
+    id: "correction.natural",
+    category: "correction",
+    type: "human",
+    weight: 2,
+    scope: "field",
+    tag: "Correction",
+    evaluate(ctx, field) {
+      const c = field.corrections;
+      const minFixLatency = ctx.thresholds.correction.minFixLatency;
+      if (!c || !c.valid) return null;
+      const parts = [];
+      if (c.fixes > 0 && c.fixLatency.avg >= minFixLatency) {
+        parts.push({ message: "correction.fixes", params: { count: c.corrections, latency: c.fixLatency.avg } });
+      }
+      if (c.navMoves > 0) parts.push({ message: "correction.navMoves", params: { count: c.navMoves } });
+      if (c.caretMoves > 0) parts.push({ message: "correction.caretMoves", params: { count: c.caretMoves } });
+      if (c.replacements > 0) parts.push({ message: "correction.replacements", params: { count: c.replacements } });
+      if (!parts.length) return null;
+      return {
+        params: { parts },
+        observed: { fixLatency: c.fixes > 0 ? c.fixLatency.avg : null, navMoves: c.navMoves, caretMoves: c.caretMoves, replacements: c.replacements },
+        threshold: { minFixLatency }
+      };
+    }
+  },
+  {
+    id: "correction.instantFix",
+    category: "correction",
+    type: "bot",
+    weight: 2,
+    scope: "field",
+    tag: "Correction",
+    evaluate(ctx, field) {
+      const c = field.corrections;
+      const th = ctx.thresholds.correction;
+      if (!c || !c.valid || c.fixes === 0 || c.fixLatency.avg >= th.minFixLatency) return null;
+      return { params: { latency: c.fixLatency.avg, threshold: th.minFixLatency }, observed: c.fixLatency.avg, threshold: th.minFixLatency };
+    }
+  },
+
+  // ============================================================
+  // 触屏点击与设备
+  // ============================================================
+  {
+    id: "touch.instantTaps",
+    category: "touch",
+    type: "bot",
+    weight: 3,
+    tag: "Touch",
+    evaluate(ctx) {
+      const t = ctx.touch;
+      const th = ctx.thresholds.touch;
+      if (!t || !t.valid || t.taps < th.minTaps || t.duration.avg >= th.minTapMs) return null;
+      return { params: { avg: t.duration.avg, threshold: th.minTapMs }, observed: t.duration.avg, threshold: th.minTapMs };
+    }
+  },
+  {
+    id: "touch.naturalTaps",
+    category: "touch",
+    type: "human",
+    weight: 2,
+    tag: "Touch",
+    evaluate(ctx) {
+      const t = ctx.touch;
+      const th = ctx.thresholds.touch;
+      if (!t || !t.valid || t.taps < th.minTaps || t.duration.avg < th.minTapMs) return null;
+      if (t.contactSizes < 2 && t.pressure.distinct < 2) return null;
+      return {
+        params: { taps: t.taps, avg: t.duration.avg, contactSizes: t.contactSizes },
+        observed: t.duration.avg,
+        threshold: th.minTapMs
+      };
+    }
+  },
+  {
+    id: "touch.emulatedMobile",
+    category: "touch",
+    type: "bot",
+    weight: 3,
+    tag: "Touch",
+    evaluate(ctx) {
+      const d = ctx.stats.device;
+      if (!d || !d.mobileUA || d.maxTouchPoints > 0) return null;
+      return { observed: { mobileUA: true, maxTouchPoints: d.maxTouchPoints } };
+    }
+  },
+  {
+    // 声明为 mobile / tablet，但触点数、UA 或触屏点击对不上（见 AutomationDetector.checkDevice），按 desktop 判断
+    id: "touch.deviceMismatch",
+    category: "touch",
+    type: "bot",
+    weight: 3,
+    tag: "Touch",
+    evaluate(ctx) {
+      const d = ctx.stats.device;
+      if (!d || !ctx.deviceMismatch || !ctx.deviceMismatch.length) return null;
+      return {
+        params: { declared: d.deviceClass, checks: ctx.deviceMismatch.join(", ") },
+        observed: { declared: d.deviceClass, mismatch: ctx.deviceMismatch }
+      };
+    }
+  },
+
+  // ============================================================
+  // 焦点与页面切换
+  // ============================================================
+  {
+    id: "focus.programmatic",
+    category: "focus",
+    type: "bot",
+    weight: 3,
+    tag: "Focus",
+    evaluate(ctx) {
+      const f = ctx.focus;
+      if (!f || !f.valid || !f.programmatic.length) return null;
+      return { params: { fields: f.programmatic }, observed: f.programmatic };
+    }
+  },
+  {
+    id: "focus.impossibleSequence",
+    category: "focus",
+    type: "bot",
+    weight: 3,
+    tag: "Focus",
+    evaluate(ctx) {
+      const f = ctx.focus;
+      if (!f || !f.valid) return null;
+      const typed = f.typedWithoutFocus.length ? { message: "focus.typedWithoutFocus", params: { fields: f.typedWithoutFocus } } : null;
+      const hidden = f.hiddenFocus.length ? { message: "focus.hiddenFocus", params: { fields: f.hiddenFocus } } : null;
+      if (!typed && !hidden) return null;
+      return {
+        params: { detail: typed && hidden ? { message: "focus.typedAndHidden", params: { typed, hidden } } : typed || hidden },
+        observed: { typedWithoutFocus: f.typedWithoutFocus, hiddenFocus: f.hiddenFocus }
+      };
+    }
+  },
+  {
+    id: "focus.passwordManager",
+    category: "focus",
+    type: "human",
+    weight: 2,
+    tag: "Focus",
+    evaluate(ctx) {
+      const f = ctx.focus;
+      const th = ctx.thresholds.focus;
+      if (!f || !f.valid) return null;
+      // 在输入框中离开页面一段时间，回来后继续输入
+      const trip = f.switches.list.find(s => s.field && s.inputAfter != null &&
+        s.duration >= th.minAwayMs && s.duration <= th.maxAwayMs);
+      if (!trip) return null;
+      return {
+        params: { field: trip.field, seconds: Math.round(trip.duration / 100) / 10 },
+        observed: trip.duration,
+        threshold: { min: th.minAwayMs, max: th.maxAwayMs }
+      };
+    }
+  },
+
+  // ============================================================
+  // 重放（与之前的登录比较）
+  // ============================================================
+  {
+    id: "replay.duplicateTiming",
+    category: "replay",
+    type: "bot",
+    weight: 10,
+    tag: "Replay",
+    evaluate(ctx) {
+      const m = ctx.replay?.match;
+      if (!m) return null;
+      return {
+        params: {
+          account: { message: m.sameAccount ? "replay.sameAccount" : "replay.otherAccount" },
+          distance: m.distance,
+          overlap: m.overlap
+        },
+        observed: m.distance,
+        threshold: ctx.thresholds.replay.maxDistance
+      };
+    }
+  },
+
+  // ============================================================
+  // 粘贴
+  // ============================================================
+  {
+    id: "paste.username",
+    category: "paste",
+    type: "bot",
+    weight: 1,
+    evaluate(ctx) {
+      return ctx.stats.pasteUser > 0 ? { observed: ctx.stats.pasteUser, threshold: 0 } : null;
+    }
+  },
+  {
+    id: "paste.password",
+    category: "paste",
+    type: "bot",
+    weight: 1,
+    evaluate(ctx) {
+      return ctx.stats.pastePass > 0 ? { observed: ctx.stats.pastePass, threshold: 0 } : null;
+    }
+  },
+
+  // ============================================================
+  // IME 输入法 / Shift / CapsLock（人类指标）
+  // ============================================================
+  {
+    id: "ime.used",
+    category: "ime",
+    type: "human",
+    weight: 3,
+    evaluate(ctx) {
+      const s = ctx.stats;
+      const total = (s.usernameIMECompositionCount || s.imeUser || 0) +
+                    (s.passwordIMECompositionCount || s.imePass || 0);
+      if (total <= 0) return null;
+      return { params: { count: total }, observed: total, threshold: 0 };
+    }
+  },
+  {
+    id: "keyboard.shift",
+    category: "keyboard",
+    type: "human",
+    weight: 2,
+    evaluate(ctx) {
+      const count = ctx.stats.passwordShiftCount || ctx.stats.shiftCount || 0;
+      return count > 0 ? { params: { count }, observed: count, threshold: 0 } : null;
+    }
+  },
+  {
+    id: "keyboard.capsLock",
+    category: "keyboard",
+    type: "human",
+    weight: 1,
+    evaluate(ctx) {
+      const count = ctx.stats.passwordCapsLockCount || ctx.stats.capsLockCount || 0;
+      return count > 0 ? { params: { count }, observed: count, threshold: 0 } : null;
+    }
+  },
+
+  // ============================================================
+  // 密码复杂度与击键行为不匹配
+  // ============================================================
+  {
+    id: "password.mismatch",
+    category: "password",
+    type: "bot",
+    weight: 3,
+    evaluate(ctx) {
+      const s = ctx.stats;
+      const password = s.password || "";
+      if (!password) return null;
+
+      const needsShift = /[A-Z]/.test(password) || /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?`~]/.test(password);
+      const usedShiftOrCaps = (s.passwordShiftCount || s.shiftCount || 0) > 0 ||
+                              (s.passwordCapsLockCount || s.capsLockCount || 0) > 0;
+      const usedPaste = (s.pastePass || 0) > 0;
+      if (!needsShift || usedShiftOrCaps || usedPaste) return null;
+      return {
+        observed: { needsShift, usedShiftOrCaps, usedPaste }
+      };
+    }
+  },
+
+  // ============================================================
+  // WebDriver / 自动化工具
+  // ============================================================
+  {
+    id: "automation.webdriver",
+    category: "automation",
+    type: "bot",
+    weight: 5,
+    tag: "Automation",
+    evaluate(ctx) {
+      return ctx.stats.webdriverDetected ? { observed: true } : null;
+    }
+  },
+  {
+    id: "automation.chromium",
+    category: "automation",
+    type: "bot",
+    weight: 3,
+    tag: "Automation",
+    evaluate(ctx) {
+      return ctx.stats.automationFlags?.hasChromiumAutomation ? { observed: true } : null;
+    }
+  },
+  {
+    id: "automation.selenium",
+    category: "automation",
+    type: "bot",
+    weight: 5,
+    tag: "Automation",
+    evaluate(ctx) {
+      return ctx.stats.automationFlags?.hasSelenium ? { observed: true } : null;
+    }
+  },
+  {
+    id: "automation.phantom",
+    category: "automation",
+    type: "bot",
+    weight: 5,
+    tag: "Automation",
+    evaluate(ctx) {
+      return ctx.stats.automationFlags?.hasPhantom ? { observed: true } : null;
+    }
+  },
+  {
+    id: "automation.headlessChrome",
+    category: "automation",
+    type: "bot",
+    weight: 4,
+    tag: "Automation",
+    evaluate(ctx) {
+      return ctx.stats.automationFlags?.headlessChrome ? { observed: true } : null;
+    }
+  },
+  {
+    // 权重为 0，因为某些正常浏览器也可能没有插件
+    id: "automation.noPlugins",
+    category: "automation",
+    type: "bot",
+    weight: 0,
+    tag: "Automation",
+    evaluate(ctx) {
+      return ctx.stats.automationFlags?.noPlugins ? { observed: true } : null;
+    }
+  },
+  {
+    id: "automation.zeroWindowSize",
+    category: "automation",
+    type: "bot",
+    weight: 3,
+    tag: "Automation",
+    evaluate(ctx) {
+      return ctx.stats.automationFlags?.zeroWindowSize ? { observed: true } : null;
+    }
+  },
+
+  // ============================================================
+  // 浏览器环境检查（environment-probe.js，stats.environment.findings）
+  // 每项检查一条规则；findings 中的值为检查给出的说明
+  // ============================================================
+  {
+    id: "automation.nativeToString",
+    category: "automation",
+    type: "bot",
+    weight: 4,
+    tag: "Automation",
+    evaluate(ctx) {
+      const d = ctx.stats.environment?.findings?.nativeToString;
+      return d ? { params: { detail: d }, observed: d } : null;
+    }
+  },
+  {
+    id: "automation.navigatorOverride",
+    category: "automation",
+    type: "bot",
+    weight: 3,
+    tag: "Automation",
+    evaluate(ctx) {
+      const d = ctx.stats.environment?.findings?.navigatorOverride;
+      return d ? { params: { detail: d }, observed: d } : null;
+    }
+  },
+  {
+    id: "automation.navigatorMismatch",
+    category: "automation",
+    type: "bot",
+    weight: 3,
+    tag: "Automation",
+    evaluate(ctx) {
+      const d = ctx.stats.environment?.findings?.navigatorMismatch;
+      return d ? { params: { detail: d }, observed: d } : null;
+    }
+  },
+  {
+    // 权重较低：虚拟机、远程桌面也会使用软件渲染
+    id: "automation.webglSoftware",
+    category: "automation",
+    type: "bot",
+    weight: 2,
+    tag: "Automation",
+    evaluate(ctx) {
+      const d = ctx.stats.environment?.findings?.webglSoftware;
+      return d ? { params: { detail: d }, observed: d } : null;
+    }
+  },
+  {
+    id: "automation.permissionsMismatch",
+    category: "automation",
+    type: "bot",
+    weight: 3,
+    tag: "Automation",
+    evaluate(ctx) {
+      return ctx.stats.environment?.findings?.permissionsMismatch ? { observed: true } : null;
+    }
+  },
+  {
+    // stealth 插件只修补了顶层窗口
+    id: "automation.iframeAnomaly",
+    category: "automation",
+    type: "bot",
+    weight: 4,
+    tag: "Automation",
+    evaluate(ctx) {
+      const d = ctx.stats.environment?.findings?.iframeAnomaly;
+      return d ? { params: { detail: d }, observed: d } : null;
+    }
+  },
+  {
+    // 打开了开发者工具的正常用户也会命中
+    id: "automation.cdpRuntime",
+    category: "automation",
+    type: "bot",
+    weight: 3,
+    tag: "Automation",
+    evaluate(ctx) {
+      const d = ctx.stats.environment?.findings?.cdpRuntime;
+      return d ? { params: { detail: d }, observed: d } : null;
+    }
+  },
+  {
+    id: "automation.automationGlobals",
+    category: "automation",
+    type: "bot",
+    weight: 5,
+    tag: "Automation",
+    evaluate(ctx) {
+      const d = ctx.stats.environment?.findings?.automationGlobals;
+      return d ? { params: { detail: d }, observed: d } : null;
+    }
+  },
+  {
+    id: "automation.pluginsFake",
+    category: "automation",
+    type: "bot",
+    weight: 3,
+    tag: "Automation",
+    evaluate(ctx) {
+      const d = ctx.stats.environment?.findings?.pluginsFake;
+      return d ? { params: { detail: d }, observed: d } : null;
+    }
+  },
+  {
+    // 权重低：全屏 / kiosk 模式也会命中
+    id: "automation.noWindowChrome",
+    category: "automation",
+    type: "bot",
+    weight: 1,
+    tag: "Automation",
+    evaluate(ctx) {
+      const d = ctx.stats.environment?.findings?.noWindowChrome;
+      return d ? { params: { detail: d }, observed: d } : null;
+    }
+  },
+
+  // ============================================================
+  // 合成事件 (event.isTrusted)
+  // ============================================================
+  {
+    id: "events.untrusted",
+    category: "events",
+    type: "bot",
+    weight: 3,
+    tag: "Events",
+    evaluate(ctx) {
+      const count = ctx.stats.untrustedEvents;
+      return count > 0 ? { params: { count }, observed: count, threshold: 0 } : null;
+    }
+  },
+  {
+    id: "events.syntheticRatio",
+    category: "events",
+    type: "bot",
+    weight: 4,
+    tag: "Events",
+    evaluate(ctx) {
+      const s = ctx.stats;
+      if (s.syntheticKeyEvents === undefined || !(s.totalKeyEvents > 0)) return null;
+      const ratio = s.syntheticKeyEvents / s.totalKeyEvents;
+      if (ratio <= 0.3) return null;
+      return { params: { percent: Math.round(ratio * 100) }, observed: Math.round(ratio * 1000) / 1000, threshold: 0.3 };
+    }
+  },
+
+  // ============================================================
+  // InputType（inputType = null 是人类真实输入的特征）
+  // ============================================================
+  {
+    id: "inputType.nullInput",
+    category: "inputType",
+    type: "human",
+    weight: 2,
+    tag: "InputType",
+    evaluate(ctx) {
+      const s = ctx.stats;
+      if (!(s.totalInputEvents > 0) || !(s.nullInputTypeCount > 0)) return null;
+      return {
+        params: { count: s.nullInputTypeCount, total: s.totalInputEvents },
+        observed: s.nullInputTypeCount,
+        threshold: 0
+      };
+    }
+  },
+  {
+    // 完全没有 null inputType，可能是自动化脚本
+    id: "inputType.noNullInput",
+    category: "inputType",
+    type: "bot",
+    weight: 2,
+    tag: "InputType",
+    evaluate(ctx) {
+      const s = ctx.stats;
+      if (!(s.totalInputEvents > 3) || s.nullInputTypeCount !== 0) return null;
+      return {
+        observed: { nullInputType: 0, totalInputEvents: s.totalInputEvents },
+        threshold: { totalInputEvents: 3 }
+      };
+    }
+  }
+];
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DetectionRules;
+}
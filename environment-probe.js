@@ -0,0 +1,298 @@
+/**
+ * Environment Probe
+ * 浏览器环境检查：无头浏览器与 puppeteer-extra-stealth 等伪装插件留下的痕迹
+ * 每项检查独立运行，命中时返回说明文字，结果写入 stats.environment.findings（检查 id -> 说明）
+ * 评分见 detection-rules.js 中的 automation.* 规则，每项检查对应一条规则、各有权重
+ */
+
+const EnvironmentProbe = {
+
+  VERSION: 1,
+
+  // ============================================================
+  // 配置
+  // ============================================================
+  config: {
+    asyncTimeoutMs: 1000      // 异步检查（Permissions API）的超时，超时记为 error
+  },
+
+  // stats.environment 初始结构
+  // checks: 已运行的检查 id；findings: 命中的检查 id -> 说明；errors: 检查抛出的异常
+  create() {
+    return {
+      version: this.VERSION,
+      checks: [],
+      findings: {},
+      errors: {}
+    };
+  },
+
+  // 运行全部检查，返回 Promise（含异步检查）
+  collect() {
+    const result = this.create();
+    if (typeof window === "undefined") return Promise.resolve(result);
+
+    const pending = this.probes.map(probe => {
+      result.checks.push(probe.id);
+      let outcome;
+      try {
+        outcome = probe.run.call(this);
+      } catch (e) {
+        result.errors[probe.id] = String((e && e.message) || e);
+        return null;
+      }
+      return this.withTimeout(Promise.resolve(outcome)).then(
+        detail => { if (detail) result.findings[probe.id] = detail; },
+        e => { result.errors[probe.id] = String((e && e.message) || e); }
+      );
+    });
+    return Promise.all(pending).then(() => result);
+  },
+
+  withTimeout(promise) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("timeout")), this.config.asyncTimeoutMs);
+      promise.then(
+        value => { clearTimeout(timer); resolve(value); },
+        e => { clearTimeout(timer); reject(e); }
+      );
+    });
+  },
+
+  // ============================================================
+  // 工具函数
+  // ============================================================
+  // 原生函数：toString 为 [native code]、没有 prototype 属性、name 与预期一致
+  // stealth 插件用 JS 函数替换原生实现后，通常只伪造了其中一部分
+  isNative(fn, name) {
+    if (typeof fn !== "function") return false;
+    const source = Function.prototype.toString.call(fn);
+    if (!/\{\s*\[native code\]\s*\}$/.test(source)) return false;
+    if (Object.prototype.hasOwnProperty.call(fn, "prototype")) return false;
+    return name === undefined || fn.name === name;
+  },
+
+  getter(proto, prop) {
+    const descriptor = proto && Object.getOwnPropertyDescriptor(proto, prop);
+    return descriptor ? descriptor.get : undefined;
+  },
+
+  // UA 中声明的操作系统
+  uaPlatform(ua) {
+    if (/Android/i.test(ua)) return "android";
+    if (/iPhone|iPad|iPod/i.test(ua)) return "ios";
+    if (/Windows/i.test(ua)) return "windows";
+    if (/Macintosh|Mac OS X/i.test(ua)) return "mac";
+    if (/CrOS/i.test(ua)) return "chromeos";
+    if (/Linux/i.test(ua)) return "linux";
+    return null;
+  },
+
+  // navigator.platform 能对应的 UA 操作系统（Android 的 platform 为 "Linux armv8l" 等）
+  platformMatches(uaPlatform, platform) {
+    const p = (platform || "").toLowerCase();
+    switch (uaPlatform) {
+      case "windows": return p.startsWith("win");
+      case "mac": return p.startsWith("mac");
+      case "ios": return /iphone|ipad|ipod|mac/.test(p);
+      case "android": return p.startsWith("linux") || p === "";
+      case "linux":
+      case "chromeos": return p.startsWith("linux") || p.includes("x11");
+      default: return true;
+    }
+  },
+
+  // ============================================================
+  // 检查项
+  // run() 返回说明文字（命中）或 null，可以返回 Promise
+  // ============================================================
+  probes: [
+    {
+      // 被替换的原生函数：stealth 插件会重写这些函数与 getter
+      id: "nativeToString",
+      run() {
+        const nav = Object.getPrototypeOf(navigator);
+        const targets = [
+          ["Function.prototype.toString", Function.prototype.toString, "toString"],
+          ["navigator.webdriver", this.getter(nav, "webdriver"), "get webdriver"],
+          ["navigator.plugins", this.getter(nav, "plugins"), "get plugins"],
+          ["navigator.languages", this.getter(nav, "languages"), "get languages"],
+          ["navigator.hardwareConcurrency", this.getter(nav, "hardwareConcurrency"), "get hardwareConcurrency"],
+          ["permissions.query", navigator.permissions && navigator.permissions.query, "query"],
+          ["HTMLCanvasElement.toDataURL", window.HTMLCanvasElement && HTMLCanvasElement.prototype.toDataURL, "toDataURL"],
+          ["WebGLRenderingContext.getParameter", window.WebGLRenderingContext && WebGLRenderingContext.prototype.getParameter, "getParameter"]
+        ];
+        // 不存在的 getter（如旧浏览器没有 webdriver）不算
+        const tampered = targets.filter(([, fn, name]) => fn !== undefined && !this.isNative(fn, name)).map(([label]) => label);
+        return tampered.length ? tampered.join(", ") : null;
+      }
+    },
+    {
+      // navigator 实例上不应该有自有属性，Object.defineProperty(navigator, ...) 会留下痕迹
+      id: "navigatorOverride",
+      run() {
+        const own = Object.getOwnPropertyNames(navigator);
+        const chromium = /Chrome\//.test(navigator.userAgent) && !/Edg\//.test(navigator.userAgent);
+        // Chromium 的 Navigator.prototype 一定有 webdriver，被删除说明做过隐藏
+        if (chromium && !("webdriver" in navigator)) own.push("webdriver (deleted)");
+        return own.length ? own.join(", ") : null;
+      }
+    },
+    {
+      // UA、platform、languages、userAgentData 之间互相矛盾（只改了其中一个）
+      id: "navigatorMismatch",
+      run() {
+        const issues = [];
+        const ua = navigator.userAgent || "";
+        const uaPlatform = this.uaPlatform(ua);
+        const chromeVersion = Number((ua.match(/Chrome\/(\d+)/) || [])[1] || 0);
+        // Android WebView（UA 含 "; wv)"）没有 window.chrome
+        const webView = /; wv\)/.test(ua);
+
+        if (!this.platformMatches(uaPlatform, navigator.platform)) {
+          issues.push(`UA says ${uaPlatform}, platform is "${navigator.platform}"`);
+        }
+        const languages = navigator.languages;
+        if (!languages || languages.length === 0) {
+          issues.push("navigator.languages is empty");
+        } else if (navigator.language && languages[0] !== navigator.language) {
+          issues.push(`language "${navigator.language}" is not languages[0] "${languages[0]}"`);
+        }
+        const uaData = navigator.userAgentData;
+        if (uaData) {
+          const brands = (uaData.brands || []).map(b => b.brand);
+          if (brands.some(b => /Headless/i.test(b))) issues.push(`userAgentData brand "${brands.join(", ")}"`);
+          const dataPlatform = this.uaPlatform(uaData.platform === "macOS" ? "Macintosh" : uaData.platform || "");
+          if (uaData.platform && dataPlatform && uaPlatform && dataPlatform !== uaPlatform) {
+            issues.push(`userAgentData.platform "${uaData.platform}" does not match UA`);
+          }
+        } else if (chromeVersion >= 90 && !webView && window.isSecureContext) {
+          // Chromium 90+ 在安全上下文中总有 userAgentData，UA 声称是 Chrome 却没有
+          issues.push("Chrome UA without navigator.userAgentData");
+        }
+        if (chromeVersion && !webView && !window.chrome) issues.push("Chrome UA without window.chrome");
+        return issues.length ? issues.join("; ") : null;
+      }
+    },
+    {
+      // 软件渲染的 WebGL：无头 Chrome 默认用 SwiftShader，Linux 服务器上多为 llvmpipe
+      // 虚拟机、远程桌面、禁用了 GPU 的正常浏览器也会命中，权重较低
+      id: "webglSoftware",
+      run() {
+        const canvas = document.createElement("canvas");
+        const gl = canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+        if (!gl) return null;
+        const ext = gl.getExtension("WEBGL_debug_renderer_info");
+        const renderer = String(gl.getParameter(ext ? ext.UNMASKED_RENDERER_WEBGL : gl.RENDERER) || "");
+        return /SwiftShader|llvmpipe|softpipe|Software|Mesa OffScreen/i.test(renderer) ? renderer : null;
+      }
+    },
+    {
+      // 无头 Chrome：Notification.permission 为 "denied"，而 Permissions API 返回 "prompt"
+      id: "permissionsMismatch",
+      run() {
+        if (!navigator.permissions || !window.Notification) return null;
+        return navigator.permissions.query({ name: "notifications" }).then(status => {
+          return Notification.permission === "denied" && status.state === "prompt"
+            ? `Notification.permission "denied" but permissions.query says "prompt"`
+            : null;
+        });
+      }
+    },
+    {
+      // stealth 插件只修补了顶层窗口：iframe 中的 navigator 与顶层不一致，或 contentWindow 被代理
+      id: "iframeAnomaly",
+      run() {
+        if (!document.body) return null;
+        const iframe = document.createElement("iframe");
+        iframe.srcdoc = "";
+        iframe.style.display = "none";
+        document.body.appendChild(iframe);
+        try {
+          const win = iframe.contentWindow;
+          if (!win) return "iframe.contentWindow is null";
+          if (win === window) return "iframe.contentWindow is the top window";
+          if (win.self !== win) return "iframe.contentWindow.self is not the window itself";
+          const issues = [];
+          ["webdriver", "userAgent", "platform", "hardwareConcurrency"].forEach(prop => {
+            if (win.navigator[prop] !== navigator[prop]) {
+              issues.push(`navigator.${prop} differs (top ${navigator[prop]}, iframe ${win.navigator[prop]})`);
+            }
+          });
+          return issues.length ? issues.join("; ") : null;
+        } finally {
+          iframe.remove();
+        }
+      }
+    },
+    {
+      // DevTools 协议开启 Runtime.enable 后，console 参数会被序列化，读取 Error.stack 的 getter 会被调用
+      // 打开了开发者工具的正常用户也会命中
+      id: "cdpRuntime",
+      run() {
+        let touched = false;
+        const error = new Error("");
+        Object.defineProperty(error, "stack", {
+          configurable: false,
+          enumerable: false,
+          get() {
+            touched = true;
+            return "";
+          }
+        });
+        console.debug(error);
+        return touched ? "console argument serialized (Runtime.enable active)" : null;
+      }
+    },
+    {
+      // 自动化框架注入的全局变量（Selenium / PhantomJS 已由 automationFlags 检查）
+      id: "automationGlobals",
+      run() {
+        const names = [
+          "domAutomation", "domAutomationController", "__nightmare", "__playwright__binding__",
+          "__pwInitScripts", "_Selenium_IDE_Recorder", "callSelenium", "__webdriver_script_fn",
+          "__lastWatirAlert", "__lastWatirConfirm", "__lastWatirPrompt", "$chrome_asyncScriptInfo"
+        ];
+        const found = names.filter(name => name in window);
+        // chromedriver 在 document 上留下 $cdc_xxx / $wdc_xxx
+        Object.keys(document).forEach(key => {
+          if (/^\$?(cdc|wdc)_/.test(key)) found.push(`document.${key}`);
+        });
+        Object.keys(window).forEach(key => {
+          if (/^cdc_|^__puppeteer|^__playwright/.test(key) && !found.includes(key)) found.push(key);
+        });
+        return found.length ? found.join(", ") : null;
+      }
+    },
+    {
+      // 伪造的插件列表：对象不是 PluginArray，或有插件却没有 MIME 类型
+      id: "pluginsFake",
+      run() {
+        const plugins = navigator.plugins;
+        if (!plugins || !window.PluginArray) return null;
+        if (!(plugins instanceof PluginArray)) return "navigator.plugins is not a PluginArray";
+        if (plugins.length > 0 && navigator.mimeTypes && navigator.mimeTypes.length === 0) {
+          return `${plugins.length} plugins but no MIME types`;
+        }
+        return null;
+      }
+    },
+    {
+      // 没有浏览器边框：窗口外尺寸等于视口（无头浏览器），全屏 / kiosk 模式也会命中，权重低
+      id: "noWindowChrome",
+      run() {
+        if (navigator.maxTouchPoints > 0) return null;   // 手机浏览器的窗口就是视口
+        if (window.outerWidth === 0 || window.outerHeight === 0) return null;  // 由 automationFlags.zeroWindowSize 检查
+        if (document.fullscreenElement) return null;
+        return window.outerWidth === window.innerWidth && window.outerHeight === window.innerHeight
+          ? `outer ${window.outerWidth}x${window.outerHeight} equals viewport`
+          : null;
+      }
+    }
+  ]
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = EnvironmentProbe;
+}
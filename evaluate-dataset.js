@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * Dataset Evaluator
+ * 用带标签的导出数据（login-behavior-*.json）评估 AutomationDetector 的实际效果
+ * 用法: node evaluate-dataset.js <目录> [--policy strict|path.json] [--scoring model|additive|model.json] [--step 5] [--json]
+ *
+ * 标签来源（按优先级）:
+ *   1. 导出文件顶层的 "label": "human" | "bot"
+ *   2. 所在子目录名: <目录>/human/*.json, <目录>/bot/*.json
+ *
+ * 输出: 混淆矩阵、precision/recall/FPR、每条规则的命中统计、
+ *       decision.botProbabilityThreshold 扫描表（ROC）、Brier 分数（confidence 作为概率的校准程度）
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const TypingParser = require("./typing-parser");
+const AutomationDetector = require("./automation-detector");
+const ThresholdPolicy = require("./threshold-policy");
+
+const DatasetEvaluator = {
+
+  FILE_PATTERN: /^login-behavior-.*\.json$/,
+  LABELS: ["human", "bot"],
+
+  // ============================================================
+  // 读取数据集
+  // ============================================================
+  loadSessions(dir) {
+    const sessions = [];
+    const skipped = [];
+
+    const walk = (current, dirLabel) => {
+      fs.readdirSync(current, { withFileTypes: true }).forEach(entry => {
+        const full = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          walk(full, this.LABELS.includes(entry.name) ? entry.name : dirLabel);
+          return;
+        }
+        if (!this.FILE_PATTERN.test(entry.name)) return;
+
+        let data;
+        try {
+          data = JSON.parse(fs.readFileSync(full, "utf8"));
+        } catch (err) {
+          skipped.push({ file: full, reason: "Invalid JSON" });
+          return;
+        }
+
+        const label = this.LABELS.includes(data.label) ? data.label : dirLabel;
+        if (!label) {
+          skipped.push({ file: full, reason: "No human/bot label" });
+          return;
+        }
+        if (!data.stats || typeof data.stats !== "object") {
+          skipped.push({ file: full, reason: "No stats object" });
+          return;
+        }
+
+        sessions.push({ file: full, label, stats: data.stats });
+      });
+    };
+
+    walk(dir, null);
+    return { sessions, skipped };
+  },
+
+  // 逐个会话执行 run，抛出异常的会话（如 stats 中字段类型不对）跳过，而不是中断整个数据集
+  // 返回 { sessions, skipped: [{ file, reason }] }
+  dropFailing(sessions, run) {
+    const kept = [];
+    const skipped = [];
+    sessions.forEach(s => {
+      try {
+        run(s);
+        kept.push(s);
+      } catch (err) {
+        skipped.push({ file: s.file, reason: `Analysis failed: ${err.message}` });
+      }
+    });
+    return { sessions: kept, skipped };
+  },
+
+  // ============================================================
+  // 指标计算（正类 = bot）
+  // ============================================================
+  ratio(a, b) {
+    return b > 0 ? a / b : null;
+  },
+
+  metrics(counts) {
+    const { tp, fp, fn, tn } = counts;
+    return {
+      ...counts,
+      precision: this.ratio(tp, tp + fp),
+      recall: this.ratio(tp, tp + fn),
+      fpr: this.ratio(fp, fp + tn),
+      accuracy: this.ratio(tp + tn, tp + fp + fn + tn)
+    };
+  },
+
+  confusion(results, predict) {
+    const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+    results.forEach(r => {
+      const predictedBot = predict(r);
+      const isBot = r.label === "bot";
+      if (predictedBot && isBot) counts.tp++;
+      else if (predictedBot) counts.fp++;
+      else if (isBot) counts.fn++;
+      else counts.tn++;
+    });
+    return this.metrics(counts);
+  },
+
+  // ============================================================
+  // 评估
+  // ============================================================
+  evaluate(sessions, options = {}) {
+    const detector = options.detector || AutomationDetector;
+    const step = options.step || 5;
+
+    const results = sessions.map(s => {
+      const analysis = detector.analyze(s.stats, TypingParser, { inferDevice: true });
+      return {
+        file: s.file,
+        label: s.label,
+        isBot: analysis.isBot,
+        confidence: analysis.confidence,
+        rules: new Set(analysis.findings.map(f => f.rule))
+      };
+    });
+
+    const overall = this.confusion(results, r => r.isBot);
+
+    // 每条规则单独作为预测器：bot 规则命中 => 预测 bot，human 规则命中 => 预测 human
+    const rules = detector.getRules().list().map(rule => {
+      const fired = r => r.rules.has(rule.id);
+      const m = rule.type === "bot"
+        ? this.confusion(results, fired)
+        : this.confusion(results, r => !fired(r));
+      return {
+        id: rule.id,
+        type: rule.type,
+        weight: rule.weight,
+        enabled: rule.enabled,
+        firedHuman: results.filter(r => r.label === "human" && fired(r)).length,
+        firedBot: results.filter(r => r.label === "bot" && fired(r)).length,
+        // human 规则的 precision/recall 以 human 为正类
+        precision: rule.type === "bot" ? m.precision : this.ratio(m.tn, m.tn + m.fn),
+        recall: rule.type === "bot" ? m.recall : this.ratio(m.tn, m.tn + m.fp),
+        fpr: rule.type === "bot" ? m.fpr : this.ratio(m.fn, m.fn + m.tp)
+      };
+    });
+
+    // 阈值扫描：isBot = confidence > threshold
+    const sweep = [];
+    for (let t = 0; t <= 100; t += step) {
+      sweep.push({ threshold: t, ...this.confusion(results, r => r.confidence > t) });
+    }
+
+    return {
+      policy: { ...detector.policy },
+      scoring: { mode: detector.scoring.mode, model: detector.scoring.mode === "model" ? this.modelName(detector) : null },
+      threshold: detector.thresholds.decision.botProbabilityThreshold,
+      sessions: results.length,
+      humans: results.filter(r => r.label === "human").length,
+      bots: results.filter(r => r.label === "bot").length,
+      overall,
+      rules,
+      sweep,
+      auc: this.auc(sweep),
+      brier: this.brier(results),
+      misclassified: results
+        .filter(r => r.isBot !== (r.label === "bot"))
+        .map(r => ({ file: r.file, label: r.label, confidence: r.confidence }))
+    };
+  },
+
+  modelName(detector) {
+    const model = detector.scoring.model || detector.getScoringModel().DEFAULT_MODEL;
+    return model.name;
+  },
+
+  // Brier 分数: mean((confidence / 100 - y)²)，越小越好；总是输出 50% 时为 0.25
+  brier(results) {
+    if (!results.length) return null;
+    const sum = results.reduce((acc, r) => acc + (r.confidence / 100 - (r.label === "bot" ? 1 : 0)) ** 2, 0);
+    return sum / results.length;
+  },
+
+  // ROC 曲线下面积（梯形法）
+  auc(sweep) {
+    const points = sweep
+      .filter(p => p.fpr !== null && p.recall !== null)
+      .map(p => [p.fpr, p.recall]);
+    points.push([0, 0], [1, 1]);
+    points.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    let area = 0;
+    for (let i = 1; i < points.length; i++) {
+      area += (points[i][0] - points[i - 1][0]) * (points[i][1] + points[i - 1][1]) / 2;
+    }
+    return area;
+  },
+
+  // ============================================================
+  // 文本报告
+  // ============================================================
+  formatReport(report) {
+    const pct = v => (v === null ? "   -  " : `${(v * 100).toFixed(1).padStart(5)}%`);
+    const lines = [];
+
+    lines.push("=== Detector Evaluation ===\n");
+    lines.push(`Policy: ${report.policy.name} v${report.policy.version}, threshold > ${report.threshold}%`);
+    lines.push(`Scoring: ${report.scoring.mode}${report.scoring.model ? ` (${report.scoring.model})` : ""}`);
+    lines.push(`Sessions: ${report.sessions} (human=${report.humans}, bot=${report.bots})`);
+    lines.push("");
+
+    const o = report.overall;
+    lines.push("[Confusion Matrix]");
+    lines.push("                 predicted bot   predicted human");
+    lines.push(`  actual bot     ${String(o.tp).padStart(13)}   ${String(o.fn).padStart(15)}`);
+    lines.push(`  actual human   ${String(o.fp).padStart(13)}   ${String(o.tn).padStart(15)}`);
+    lines.push(`  precision=${pct(o.precision)}  recall=${pct(o.recall)}  FPR=${pct(o.fpr)}  accuracy=${pct(o.accuracy)}`);
+    lines.push("");
+
+    lines.push("[Per Rule]  (human rules: precision/recall for predicting human)");
+    lines.push(`  ${"rule".padEnd(32)} ${"type".padEnd(5)} ${"w".padStart(3)} ${"hit H".padStart(6)} ${"hit B".padStart(6)}  precision    recall       FPR`);
+    report.rules.forEach(r => {
+      const name = r.enabled ? r.id : `${r.id} (off)`;
+      lines.push(`  ${name.padEnd(32)} ${r.type.padEnd(5)} ${String(r.weight).padStart(3)} ${String(r.firedHuman).padStart(6)} ${String(r.firedBot).padStart(6)}  ${pct(r.precision)}  ${pct(r.recall)}  ${pct(r.fpr)}`);
+    });
+    lines.push("");
+
+    lines.push("[Threshold Sweep]  isBot = confidence > threshold");
+    lines.push("  threshold    TP    FP    FN    TN  precision   recall(TPR)      FPR");
+    report.sweep.forEach(p => {
+      const marker = p.threshold === report.threshold ? " <- current" : "";
+      lines.push(`  ${String(p.threshold).padStart(9)} ${[p.tp, p.fp, p.fn, p.tn].map(v => String(v).padStart(5)).join(" ")}     ${pct(p.precision)}       ${pct(p.recall)}   ${pct(p.fpr)}${marker}`);
+    });
+    lines.push(`  AUC = ${report.auc.toFixed(3)}`);
+    lines.push(`  Brier = ${report.brier === null ? "-" : report.brier.toFixed(3)}`);
+
+    if (report.misclassified.length) {
+      lines.push("");
+      lines.push("[Misclassified]");
+      report.misclassified.forEach(m => {
+        lines.push(`  ${m.label.padEnd(5)} confidence=${String(m.confidence).padStart(3)}%  ${m.file}`);
+      });
+    }
+
+    return lines.join("\n");
+  },
+
+  // ============================================================
+  // 命令行
+  // ============================================================
+  parseArgs(argv) {
+    const args = { dir: null, policy: null, scoring: null, step: 5, json: false };
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg === "--policy") args.policy = argv[++i];
+      else if (arg === "--scoring") args.scoring = argv[++i];
+      else if (arg === "--step") args.step = parseInt(argv[++i]) || 5;
+      else if (arg === "--json") args.json = true;
+      else if (!args.dir) args.dir = arg;
+    }
+    return args;
+  },
+
+  main(argv) {
+    const args = this.parseArgs(argv);
+    if (!args.dir) {
+      console.error("Usage: node evaluate-dataset.js <dir> [--policy strict|path.json] [--scoring model|additive|model.json] [--step 5] [--json]");
+      return 1;
+    }
+
+    if (args.policy) {
+      const source = ThresholdPolicy.presets[args.policy] ? args.policy : fs.readFileSync(args.policy, "utf8");
+      const applied = ThresholdPolicy.apply(AutomationDetector, source);
+      if (!applied.valid) {
+        console.error(`Invalid policy: ${applied.errors.join("; ")}`);
+        return 1;
+      }
+    }
+
+    if (args.scoring) {
+      // 模式名，或模型 JSON 文件（使用 model 模式）
+      const applied = AutomationDetector.SCORING_MODES.includes(args.scoring)
+        ? AutomationDetector.setScoring(args.scoring)
+        : AutomationDetector.setScoring("model", fs.readFileSync(args.scoring, "utf8"));
+      if (!applied.valid) {
+        console.error(`Invalid scoring: ${applied.errors.join("; ")}`);
+        return 1;
+      }
+    }
+
+    const loaded = this.loadSessions(args.dir);
+    const { sessions, skipped } = this.dropFailing(loaded.sessions, s => AutomationDetector.analyze(s.stats, TypingParser, { inferDevice: true }));
+    [...loaded.skipped, ...skipped].forEach(s => console.error(`Skipped ${s.file}: ${s.reason}`));
+    if (!sessions.length) {
+      console.error(`No labeled login-behavior-*.json files found in ${args.dir}`);
+      return 1;
+    }
+
+    const report = this.evaluate(sessions, { step: args.step });
+    console.log(args.json ? JSON.stringify(report, null, 2) : this.formatReport(report));
+    return 0;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DatasetEvaluator;
+}
+
+if (require.main === module) {
+  process.exitCode = DatasetEvaluator.main(process.argv.slice(2));
+}
@@ -0,0 +1,174 @@
+/**
+ * Event Recorder
+ * 可选的完整事件记录（用户勾选后才记录）：keydown/keyup、input（含 inputType）、focus/blur、paste、composition、pointer 事件
+ * 用于对 Bot 判定有异议时回放整个登录过程（replay-viewer.js），可以导出为 JSON 并重新导入
+ *
+ * 坐标相对于记录区域（页面上的登录卡片）左上角；时间 t 为距离开始记录的毫秒数
+ * 密码框的字符键记为 "•"，input / composition 不保存密码内容，只保存长度
+ */
+
+const EventRecorder = {
+
+  FORMAT: "typinggene-recording",
+  VERSION: 1,
+
+  // ============================================================
+  // 配置
+  // ============================================================
+  config: {
+    maxEvents: 20000,         // 超过后停止记录并标记 truncated
+    maskedFields: ["password"]
+  },
+
+  // 记录的事件类型（页面按此列表注册监听）
+  EVENT_TYPES: [
+    "keydown", "keyup", "input", "focus", "blur", "paste",
+    "compositionstart", "compositionupdate", "compositionend",
+    "pointerdown", "pointerup", "pointermove"
+  ],
+
+  // 新的记录
+  // frame: 记录区域的尺寸 { width, height }；fields: 字段名 -> 相对记录区域的位置 { x, y, width, height }
+  create(frame, fields = {}) {
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      startedAt: Date.now(),
+      frame: { width: Math.round(frame.width), height: Math.round(frame.height) },
+      fields,
+      truncated: false,
+      events: []
+    };
+  },
+
+  // 元素相对记录区域的位置（frameRect 为记录区域的 getBoundingClientRect()）
+  relativeRect(rect, frameRect) {
+    return {
+      x: Math.round(rect.left - frameRect.left),
+      y: Math.round(rect.top - frameRect.top),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    };
+  },
+
+  // ============================================================
+  // 记录一个 DOM 事件
+  // field: 事件所在的字段名（不在字段上为 null）；frameRect: 记录区域当前位置（用于换算坐标）
+  // ============================================================
+  record(recording, e, field = null, frameRect = null) {
+    if (recording.truncated) return false;
+    if (recording.events.length >= this.config.maxEvents) {
+      recording.truncated = true;
+      return false;
+    }
+
+    const event = this.describe(e, field, frameRect);
+    if (!event) return false;
+    event.t = Math.max(0, Math.round((this.eventTime(e) - recording.startedAt) * 10) / 10);
+    recording.events.push(event);
+    return true;
+  },
+
+  describe(e, field, frameRect) {
+    const masked = this.config.maskedFields.includes(field);
+    const target = e.target || {};
+
+    switch (e.type) {
+      case "keydown":
+      case "keyup":
+        return {
+          type: e.type,
+          field,
+          key: masked && e.key && e.key.length === 1 ? "•" : e.key,
+          repeat: !!e.repeat,
+          trusted: e.isTrusted !== false
+        };
+      case "input":
+        return {
+          type: "input",
+          field,
+          inputType: e.inputType == null ? null : e.inputType,
+          length: typeof target.value === "string" ? target.value.length : null,
+          value: masked || typeof target.value !== "string" ? null : target.value,
+          trusted: e.isTrusted !== false
+        };
+      case "focus":
+      case "blur":
+        return field ? { type: e.type, field } : null;
+      case "paste": {
+        const text = e.clipboardData ? e.clipboardData.getData("text") : "";
+        return { type: "paste", field, length: text.length };
+      }
+      case "compositionstart":
+      case "compositionupdate":
+      case "compositionend":
+        return { type: e.type, field, data: masked ? null : (e.data || "") };
+      case "pointerdown":
+      case "pointerup":
+      case "pointermove":
+        return {
+          type: e.type,
+          field,
+          x: Math.round((e.clientX - (frameRect ? frameRect.left : 0)) * 10) / 10,
+          y: Math.round((e.clientY - (frameRect ? frameRect.top : 0)) * 10) / 10,
+          pointerType: e.pointerType || "mouse",
+          trusted: e.isTrusted !== false
+        };
+      default:
+        return null;
+    }
+  },
+
+  eventTime(e) {
+    if (e.timeStamp && typeof performance !== "undefined" && performance.timeOrigin) {
+      return performance.timeOrigin + e.timeStamp;
+    }
+    return Date.now();
+  },
+
+  // ============================================================
+  // 导出 / 导入
+  // ============================================================
+  serialize(recording) {
+    return JSON.stringify(recording);
+  },
+
+  // 返回 { valid, recording, error }
+  parse(text) {
+    let data;
+    try {
+      data = typeof text === "string" ? JSON.parse(text) : text;
+    } catch (e) {
+      return { valid: false, recording: null, error: "Invalid JSON" };
+    }
+
+    if (!data || data.format !== this.FORMAT) {
+      return { valid: false, recording: null, error: `Not a ${this.FORMAT} file` };
+    }
+    if (data.version > this.VERSION) {
+      return { valid: false, recording: null, error: `Unsupported recording version ${data.version}` };
+    }
+    if (!Array.isArray(data.events) || !data.frame || !(data.frame.width > 0) || !(data.frame.height > 0)) {
+      return { valid: false, recording: null, error: "Recording has no events or frame size" };
+    }
+    const bad = data.events.findIndex(ev => !ev || typeof ev.type !== "string" || typeof ev.t !== "number");
+    if (bad !== -1) {
+      return { valid: false, recording: null, error: `Invalid event at index ${bad}` };
+    }
+
+    // 按时间排序，回放时按顺序扫描
+    data.events.sort((a, b) => a.t - b.t);
+    return { valid: true, recording: { fields: {}, truncated: false, ...data }, error: null };
+  },
+
+  // 记录时长（ms）
+  duration(recording) {
+    const events = recording.events;
+    return events.length ? events[events.length - 1].t : 0;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = EventRecorder;
+}
@@ -0,0 +1,256 @@
+/**
+ * Feature Extractor
+ * 把一次登录的 stats 转成固定顺序、带名称的数值特征向量，供离线训练（dataset-builder.js 导出为 CSV / ARFF）
+ * 依赖: typing-parser.js
+ *
+ * 稳定性约定（FEATURES 即公开格式）:
+ *   - 名称与顺序不变；新特征只加在末尾，同时升 VERSION 的 minor
+ *   - 删除特征或改变含义（单位、计算方式）时升 major
+ * 缺失值: 无法计算时为 null，不用 0 代替（0 是有意义的取值，例如 0 次粘贴）
+ *   - 字段没有输入: 该字段的计时特征缺失，击键数为 0
+ *   - 旧版导出没有的数据（原生击键、焦点、触屏、环境检测）: 对应特征缺失
+ * 布尔特征为 0 / 1
+ */
+
+const FeatureExtractor = {
+
+  VERSION: "1.0.0",
+
+  getParser() {
+    return typeof TypingParser !== "undefined" ? TypingParser : require("./typing-parser");
+  },
+
+  // ============================================================
+  // 特征定义: { name, description, value(ctx) }，value 返回数值或 null
+  // ctx 见 buildContext
+  // ============================================================
+  FEATURES: [],
+
+  // 用户名 / 密码字段各一组，前缀 user / pass
+  fieldFeatures(prefix, field) {
+    const typed = ctx => ctx[field].pattern;
+    const seek = ctx => (typed(ctx) && typed(ctx).raw.seekTimes.length ? typed(ctx).seekTime : null);
+    const press = ctx => (typed(ctx) && typed(ctx).raw.pressTimes.length ? typed(ctx).pressTime : null);
+    const dist = ctx => ctx[field].distribution;
+    const rollover = ctx => ctx[field].rollover;
+    const corrections = ctx => ctx[field].corrections;
+
+    return [
+      { name: `${prefix}Keystrokes`, description: "Character keys typed (0 when the field was not typed)",
+        value: ctx => (typed(ctx) ? typed(ctx).keystrokeCount : 0) },
+      { name: `${prefix}SeekAvg`, description: "Mean seek time (key up to next key down), ms",
+        value: ctx => seek(ctx) && seek(ctx).avg },
+      { name: `${prefix}SeekStd`, description: "Seek time standard deviation, ms",
+        value: ctx => seek(ctx) && seek(ctx).std },
+      { name: `${prefix}SeekMin`, description: "Shortest seek time, ms",
+        value: ctx => seek(ctx) && seek(ctx).min },
+      { name: `${prefix}SeekMax`, description: "Longest seek time, ms",
+        value: ctx => seek(ctx) && seek(ctx).max },
+      { name: `${prefix}PressAvg`, description: "Mean key press duration, ms",
+        value: ctx => press(ctx) && press(ctx).avg },
+      { name: `${prefix}PressStd`, description: "Key press duration standard deviation, ms",
+        value: ctx => press(ctx) && press(ctx).std },
+      { name: `${prefix}LongPauses`, description: "Seek times over 500 ms",
+        value: ctx => (typed(ctx) ? typed(ctx).longPauses : null) },
+      // 以下分布特征需要至少 4 个 seek time；所有值相同时偏度、峰度无定义
+      { name: `${prefix}SeekCV`, description: "Seek time coefficient of variation (std / mean), 0 when all equal",
+        value: ctx => (dist(ctx) ? (dist(ctx).isUniform ? 0 : dist(ctx).cv) : null) },
+      { name: `${prefix}SeekSkewness`, description: "Seek time skewness",
+        value: ctx => (dist(ctx) && !dist(ctx).isUniform ? dist(ctx).skewness : null) },
+      { name: `${prefix}SeekKurtosis`, description: "Seek time excess kurtosis",
+        value: ctx => (dist(ctx) && !dist(ctx).isUniform ? dist(ctx).kurtosis : null) },
+      { name: `${prefix}SeekRoundRatio`, description: "Share of seek times that are multiples of 10 ms",
+        value: ctx => (dist(ctx) && !dist(ctx).isUniform ? dist(ctx).roundNumberRatio : null) },
+      { name: `${prefix}SeekSimilarRun`, description: "Longest run of consecutive seek times within 10 ms of each other",
+        value: ctx => (dist(ctx) ? (dist(ctx).isUniform ? ctx[field].pattern.raw.seekTimes.length : dist(ctx).maxConsecutiveSimilar) : null) },
+      // 以下需要原生击键记录（stats.keystrokes）
+      { name: `${prefix}RolloverRatio`, description: "Share of keys pressed while the previous key was still held",
+        value: ctx => rollover(ctx) && rollover(ctx).overlapRatio },
+      { name: `${prefix}KeyRepeats`, description: "Auto-repeat key events from held keys",
+        value: ctx => rollover(ctx) && rollover(ctx).repeats },
+      { name: `${prefix}Corrections`, description: "Runs of Backspace / Delete",
+        value: ctx => corrections(ctx) && corrections(ctx).corrections },
+      { name: `${prefix}LengthRatio`, description: "Final field length / (character + delete keys), 1 without edits",
+        value: ctx => corrections(ctx) && corrections(ctx).lengthRatio }
+    ];
+  },
+
+  // ============================================================
+  // 提取
+  // ============================================================
+  // 返回 { version, names, values, missing }；values 与 names 一一对应，missing 为取值为 null 的特征名
+  extractFeatures(stats, parser = null) {
+    const ctx = this.buildContext(stats || {}, parser || this.getParser());
+    const values = this.FEATURES.map(feature => {
+      let value;
+      try {
+        value = feature.value(ctx);
+      } catch (err) {
+        // 导出数据结构不完整时按缺失处理，不影响其他特征
+        value = null;
+      }
+      if (typeof value === "boolean") return value ? 1 : 0;
+      return typeof value === "number" && isFinite(value) ? value : null;
+    });
+    const names = this.names();
+    return {
+      version: this.VERSION,
+      names,
+      values,
+      missing: names.filter((_, i) => values[i] === null)
+    };
+  },
+
+  names() {
+    return this.FEATURES.map(feature => feature.name);
+  },
+
+  // { 特征名: 值 }
+  toRecord(extracted) {
+    const record = {};
+    extracted.names.forEach((name, i) => { record[name] = extracted.values[i]; });
+    return record;
+  },
+
+  // 只解析一次，各特征共用
+  buildContext(stats, parser) {
+    const field = (tp, native) => {
+      const pattern = parser.parsePattern(tp);
+      const distribution = pattern ? parser.analyzeDistribution(pattern.raw.seekTimes) : null;
+      const rollover = native ? parser.analyzeRollover(native) : null;
+      const corrections = native ? parser.analyzeCorrections(native) : null;
+      return {
+        pattern: pattern && pattern.keystrokeCount > 0 ? pattern : null,
+        distribution: distribution && distribution.valid ? distribution : null,
+        rollover: rollover && rollover.valid ? rollover : null,
+        corrections: corrections && corrections.valid ? corrections : null
+      };
+    };
+    const trajectory = stats.trajectory ? parser.analyzeTrajectory(stats.trajectory) : null;
+    const touch = parser.analyzeTouch(stats.touch);
+    const focus = parser.analyzeFocus(stats.focus, stats.keystrokes);
+
+    return {
+      stats,
+      username: field(stats.typingdna?.lastUserTp, stats.keystrokes?.username),
+      password: field(stats.typingdna?.lastPassTp, stats.keystrokes?.password),
+      trajectory: trajectory && trajectory.valid ? trajectory : null,
+      kinematics: trajectory && trajectory.valid && trajectory.kinematics.valid ? trajectory.kinematics : null,
+      touch: touch.valid ? touch : null,
+      focus: focus.valid ? focus : null
+    };
+  },
+
+  // 数值原样返回，其他（undefined、字符串等）为缺失
+  number(value) {
+    return typeof value === "number" && isFinite(value) ? value : null;
+  },
+
+  count(object) {
+    return object && typeof object === "object" ? Object.keys(object).length : null;
+  }
+};
+
+// ============================================================
+// 特征列表（顺序即输出顺序）
+// ============================================================
+FeatureExtractor.FEATURES = [
+  ...FeatureExtractor.fieldFeatures("user", "username"),
+  ...FeatureExtractor.fieldFeatures("pass", "password"),
+
+  // 时间间隔与输入方式
+  { name: "usernameToPasswordMs", description: "Username field focus to password field focus, ms",
+    value: ctx => FeatureExtractor.number(ctx.stats.usernameToPasswordMs) },
+  { name: "passwordToLoginMs", description: "Password field focus to submit, ms",
+    value: ctx => FeatureExtractor.number(ctx.stats.passwordToLoginMs) },
+  { name: "pasteUser", description: "Paste events in the username field",
+    value: ctx => FeatureExtractor.number(ctx.stats.pasteUser) },
+  { name: "pastePass", description: "Paste events in the password field",
+    value: ctx => FeatureExtractor.number(ctx.stats.pastePass) },
+  { name: "imeUser", description: "IME composition events in the username field",
+    value: ctx => FeatureExtractor.number(ctx.stats.imeUser) },
+  { name: "imePass", description: "IME composition events in the password field",
+    value: ctx => FeatureExtractor.number(ctx.stats.imePass) },
+  { name: "shiftCount", description: "Shift key presses",
+    value: ctx => FeatureExtractor.number(ctx.stats.shiftCount) },
+  { name: "capsLockCount", description: "Caps Lock presses",
+    value: ctx => FeatureExtractor.number(ctx.stats.capsLockCount) },
+  { name: "nullInputTypeCount", description: "input events without an inputType",
+    value: ctx => FeatureExtractor.number(ctx.stats.nullInputTypeCount) },
+
+  // 事件可信度与自动化痕迹
+  { name: "untrustedEvents", description: "Key events with isTrusted = false",
+    value: ctx => FeatureExtractor.number(ctx.stats.untrustedEvents) },
+  { name: "untrustedRatio", description: "untrustedEvents / totalKeyEvents (missing without key events)",
+    value: ctx => (ctx.stats.totalKeyEvents > 0 ? ctx.stats.untrustedEvents / ctx.stats.totalKeyEvents : null) },
+  { name: "webdriver", description: "navigator.webdriver was set (0 / 1)",
+    value: ctx => (typeof ctx.stats.webdriverDetected === "boolean" ? ctx.stats.webdriverDetected : null) },
+  { name: "automationFlags", description: "Automation globals and properties found on the page",
+    value: ctx => FeatureExtractor.count(ctx.stats.automationFlags) },
+  { name: "environmentFindings", description: "Environment probe checks that found a stealth-plugin trace",
+    value: ctx => FeatureExtractor.count(ctx.stats.environment && ctx.stats.environment.findings) },
+
+  // 鼠标轨迹（采集到的点少于 3 个时缺失）
+  { name: "mousePoints", description: "Captured pointer samples",
+    value: ctx => ctx.trajectory && ctx.trajectory.points },
+  { name: "mouseDistance", description: "Total pointer path length, px",
+    value: ctx => ctx.trajectory && ctx.trajectory.distance },
+  { name: "mouseSmoothRatio", description: "Share of path turns under 0.1 rad",
+    value: ctx => ctx.trajectory && ctx.trajectory.smoothRatio },
+  { name: "mouseCorrectionRatio", description: "Share of path turns between 0.09 and 0.52 rad",
+    value: ctx => ctx.trajectory && ctx.trajectory.correctionRatio },
+  { name: "mouseIntervalCV", description: "Coefficient of variation of sample intervals",
+    value: ctx => (ctx.trajectory && ctx.trajectory.intervalStats && ctx.trajectory.intervalStats.valid
+      ? (ctx.trajectory.intervalStats.isUniform ? 0 : ctx.trajectory.intervalStats.cv)
+      : null) },
+  // 运动学（需要采样时间戳）
+  { name: "mouseSpeedAvg", description: "Mean pointer speed, px/s",
+    value: ctx => ctx.kinematics && ctx.kinematics.speed.avg },
+  { name: "mouseSpeedStd", description: "Pointer speed standard deviation, px/s",
+    value: ctx => ctx.kinematics && ctx.kinematics.speed.std },
+  { name: "mouseAccelerationAvg", description: "Mean absolute acceleration, px/s²",
+    value: ctx => ctx.kinematics && ctx.kinematics.acceleration.avg },
+  { name: "mouseJerkAvg", description: "Mean absolute jerk, px/s³",
+    value: ctx => ctx.kinematics && ctx.kinematics.jerk.avg },
+  { name: "mouseCurvatureAvg", description: "Mean curvature, rad/px",
+    value: ctx => ctx.kinematics && ctx.kinematics.curvature.avg },
+  { name: "mousePauses", description: "Pauses over 100 ms between pointer samples",
+    value: ctx => ctx.kinematics && ctx.kinematics.pauses.count },
+  { name: "mouseStrokes", description: "Movements of at least 50 px between pauses",
+    value: ctx => ctx.kinematics && ctx.kinematics.strokes.count },
+  { name: "mouseBellShapedRatio", description: "Share of strokes with a bell-shaped speed profile (missing without strokes)",
+    value: ctx => (ctx.kinematics && ctx.kinematics.strokes.count ? ctx.kinematics.strokes.bellShapedRatio : null) },
+  { name: "mouseStraightness", description: "Mean stroke straightness (chord / path length, missing without strokes)",
+    value: ctx => (ctx.kinematics && ctx.kinematics.strokes.count ? ctx.kinematics.strokes.straightness : null) },
+
+  // 触屏（没有点击时缺失）
+  { name: "touchTaps", description: "Touch taps",
+    value: ctx => ctx.touch && ctx.touch.taps },
+  { name: "touchDurationAvg", description: "Mean tap duration, ms",
+    value: ctx => ctx.touch && ctx.touch.duration.avg },
+  { name: "touchDurationStd", description: "Tap duration standard deviation, ms",
+    value: ctx => ctx.touch && ctx.touch.duration.std },
+  { name: "touchContactSizes", description: "Distinct contact sizes across taps",
+    value: ctx => ctx.touch && ctx.touch.contactSizes },
+  { name: "touchPressureDistinct", description: "Distinct pressure values across taps",
+    value: ctx => ctx.touch && ctx.touch.pressure.distinct },
+
+  // 焦点（旧版导出没有 stats.focus 时缺失）
+  { name: "focusSwitches", description: "Completed switches away from the page",
+    value: ctx => ctx.focus && ctx.focus.switches.count },
+  { name: "focusProgrammatic", description: "Fields focused programmatically (not by pointer, Tab or restore)",
+    value: ctx => ctx.focus && ctx.focus.programmatic.length },
+  { name: "focusTypedWithoutFocus", description: "Fields that received keys without a focus event",
+    value: ctx => ctx.focus && ctx.focus.typedWithoutFocus.length },
+  { name: "idleLongestMs", description: "Longest idle period on the page, ms",
+    value: ctx => ctx.focus && ctx.focus.idle.longestMs },
+
+  // 设备
+  { name: "mobile", description: "Device class reported by the page is mobile (0 / 1)",
+    value: ctx => (ctx.stats.device && ctx.stats.device.deviceClass ? ctx.stats.device.deviceClass === "mobile" : null) }
+];
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FeatureExtractor;
+}
@@ -0,0 +1,169 @@
+/**
+ * Focus Capture
+ * 输入框如何获得焦点（Tab / 点击 / 无用户操作的 .focus()）、切换标签页或窗口（visibilitychange、window blur）、空闲时间
+ * 页面把各事件转发给对应的 handle* 方法，结果写入 stats.focus
+ */
+
+const FocusCapture = {
+
+  // ============================================================
+  // 配置
+  // ============================================================
+  config: {
+    gestureMs: 500,           // 点击 / Tab 之后多久内获得焦点算作由该操作触发
+    restoreMs: 1000,          // 回到页面后多久内同一字段重新获得焦点算作恢复焦点
+    idleMs: 3000              // 两次用户操作间隔超过 3s（不含离开页面的时间）记为一次空闲
+  },
+
+  // 最近的用户操作与未结束的页面切换
+  state: null,
+
+  // stats.focus 初始结构
+  // fields: [{ field, t, method: "pointer" | "tab" | "programmatic" | "restore", hidden }]
+  // switches: [{ kind: "blur" | "hidden", field, start, end, duration, inputAfter }]
+  create() {
+    return {
+      fields: [],
+      switches: [],
+      idle: { count: 0, totalMs: 0, longestMs: 0 }
+    };
+  },
+
+  reset() {
+    this.state = {
+      lastPointer: null,      // { t, target }
+      lastTab: null,
+      lastField: null,
+      lastActivity: null,
+      lastSwitchEnd: null,
+      openSwitch: null
+    };
+  },
+
+  getState() {
+    if (!this.state) this.reset();
+    return this.state;
+  },
+
+  now() {
+    return Date.now();
+  },
+
+  // ============================================================
+  // 用户操作
+  // ============================================================
+  handlePointerDown(focus, e) {
+    const state = this.getState();
+    state.lastPointer = { t: this.now(), target: e.target };
+    this.handleActivity(focus);
+  },
+
+  handleKeyDown(focus, e) {
+    if (e.key === "Tab" && !e.repeat) this.getState().lastTab = this.now();
+    this.handleActivity(focus);
+  },
+
+  // 输入：离开页面回来后的第一次输入记在该次切换上
+  handleInput(focus) {
+    const state = this.getState();
+    const last = focus.switches[focus.switches.length - 1];
+    if (last && last.end != null && last.inputAfter == null && !state.openSwitch) {
+      last.inputAfter = this.now() - last.end;
+    }
+    this.handleActivity(focus);
+  },
+
+  // 空闲：距离上一次操作的间隔，扣除其间离开页面的时间；第一个字段获得焦点后才开始计算
+  handleActivity(focus) {
+    const state = this.getState();
+    const t = this.now();
+    if (state.lastActivity !== null) {
+      const away = focus.switches
+        .filter(s => s.end != null && s.end > state.lastActivity)
+        .reduce((sum, s) => sum + (s.end - Math.max(s.start, state.lastActivity)), 0);
+      const gap = t - state.lastActivity - away;
+      if (gap > this.config.idleMs) {
+        focus.idle.count++;
+        focus.idle.totalMs += gap;
+        focus.idle.longestMs = Math.max(focus.idle.longestMs, gap);
+      }
+      state.lastActivity = t;
+    }
+  },
+
+  // ============================================================
+  // 字段获得焦点
+  // ============================================================
+  handleFieldFocus(focus, name, element) {
+    const state = this.getState();
+    const t = this.now();
+    const cfg = this.config;
+
+    const pointer = state.lastPointer;
+    const byPointer = pointer && t - pointer.t <= cfg.gestureMs && this.isFieldTarget(element, pointer.target);
+    const byTab = state.lastTab !== null && t - state.lastTab <= cfg.gestureMs;
+    // 切换窗口后浏览器会把焦点还给原来的字段，没有用户操作
+    const restored = name === state.lastField &&
+      (state.openSwitch || (state.lastSwitchEnd !== null && t - state.lastSwitchEnd <= cfg.restoreMs));
+
+    let method = "programmatic";
+    if (byPointer) method = "pointer";
+    else if (byTab) method = "tab";
+    else if (restored) method = "restore";
+
+    const hidden = typeof document !== "undefined" && document.visibilityState === "hidden";
+    focus.fields.push({ field: name, t, method, hidden });
+    state.lastField = name;
+    if (state.lastActivity === null) state.lastActivity = t;
+  },
+
+  // 点击的是字段本身或它的 <label>
+  isFieldTarget(element, target) {
+    if (!element || !target) return false;
+    if (element === target || (element.contains && element.contains(target))) return true;
+    return Array.from(element.labels || []).some(label => label === target || label.contains(target));
+  },
+
+  // ============================================================
+  // 切换标签页 / 窗口
+  // ============================================================
+  handleWindowBlur(focus) {
+    this.openSwitch(focus, "blur");
+  },
+
+  handleWindowFocus(focus) {
+    this.closeSwitch(focus);
+  },
+
+  handleVisibilityChange(focus, hidden) {
+    if (hidden) this.openSwitch(focus, "hidden");
+    else this.closeSwitch(focus);
+  },
+
+  // 窗口失焦后又切走标签页时，合并为一次 hidden 切换
+  openSwitch(focus, kind) {
+    const state = this.getState();
+    if (state.openSwitch) {
+      if (kind === "hidden") state.openSwitch.kind = "hidden";
+      return;
+    }
+    state.openSwitch = { kind, field: state.lastField, start: this.now(), end: null, duration: null, inputAfter: null };
+    focus.switches.push(state.openSwitch);
+  },
+
+  closeSwitch(focus) {
+    const state = this.getState();
+    const open = state.openSwitch;
+    if (!open) return;
+
+    open.end = this.now();
+    open.duration = open.end - open.start;
+    state.openSwitch = null;
+    state.lastSwitchEnd = open.end;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FocusCapture;
+}
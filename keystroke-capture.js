@@ -0,0 +1,230 @@
+/**
+ * Keystroke Capture
+ * 内置击键采集引擎（keydown/keyup 记录），不依赖 typingdna.com 脚本
+ * 输出 TypingParser.parsePattern 可读取的 pattern 字符串，以及更完整的原生格式
+ * 依赖: typing-parser.js
+ */
+
+const KeystrokeCapture = {
+
+  // pattern 字符串头部标识（TypingParser 只读取 "|" 之后的数据段）
+  // kc2: 每段为 seek,press,zone（kc1 没有 zone）
+  FORMAT: "kc2",
+  NATIVE_FORMAT: "kc-native",
+  NATIVE_VERSION: 2,
+
+  // 键位分区：只记录按键在物理键盘上的"左/右手 + 行"，不记录具体是哪个键
+  // 用于计算 digraph（键对）时序，同时无法从中还原输入内容
+  // L/R = 左/右手，0 = 数字行，1 = 上排，2 = 中排，3 = 下排；S = 空格，N = 小键盘
+  ZONE_ROWS: [
+    { L: ["Backquote", "Digit1", "Digit2", "Digit3", "Digit4", "Digit5"],
+      R: ["Digit6", "Digit7", "Digit8", "Digit9", "Digit0", "Minus", "Equal"] },
+    { L: ["KeyQ", "KeyW", "KeyE", "KeyR", "KeyT"],
+      R: ["KeyY", "KeyU", "KeyI", "KeyO", "KeyP", "BracketLeft", "BracketRight", "Backslash"] },
+    { L: ["KeyA", "KeyS", "KeyD", "KeyF", "KeyG"],
+      R: ["KeyH", "KeyJ", "KeyK", "KeyL", "Semicolon", "Quote"] },
+    { L: ["IntlBackslash", "KeyZ", "KeyX", "KeyC", "KeyV", "KeyB"],
+      R: ["KeyN", "KeyM", "Comma", "Period", "Slash"] }
+  ],
+
+  // 已注册的采集目标: name -> { element, origin, startedAt, keystrokes, repeats, caretMoves, caret, pending, listeners }
+  targets: {},
+
+  // ============================================================
+  // 注册 / 移除采集目标
+  // ============================================================
+  addTarget(element, name) {
+    if (!element) return false;
+    const id = name || element.id;
+    if (this.targets[id]) this.removeTarget(id);
+
+    const target = {
+      element,
+      origin: null,
+      startedAt: null,
+      keystrokes: [],
+      repeats: 0,
+      caretMoves: 0,
+      caret: null,
+      pending: {},
+      listeners: null
+    };
+    const onKeyDown = (e) => this.handleKeyDown(target, e);
+    const onKeyUp = (e) => this.handleKeyUp(target, e);
+    const onMouseUp = () => this.handleMouseUp(target);
+    element.addEventListener("keydown", onKeyDown);
+    element.addEventListener("keyup", onKeyUp);
+    element.addEventListener("mouseup", onMouseUp);
+    target.listeners = { keydown: onKeyDown, keyup: onKeyUp, mouseup: onMouseUp };
+
+    this.targets[id] = target;
+    return true;
+  },
+
+  removeTarget(name) {
+    const target = this.targets[name];
+    if (!target) return;
+    target.element.removeEventListener("keydown", target.listeners.keydown);
+    target.element.removeEventListener("keyup", target.listeners.keyup);
+    target.element.removeEventListener("mouseup", target.listeners.mouseup);
+    delete this.targets[name];
+  },
+
+  // 清空已采集数据（保留监听）
+  reset(name = null) {
+    const names = name ? [name] : Object.keys(this.targets);
+    names.forEach(n => {
+      const target = this.targets[n];
+      if (!target) return;
+      target.origin = null;
+      target.startedAt = null;
+      target.keystrokes = [];
+      target.repeats = 0;
+      target.caretMoves = 0;
+      target.caret = null;
+      target.pending = {};
+    });
+  },
+
+  // ============================================================
+  // 事件处理
+  // ============================================================
+  handleKeyDown(target, e) {
+    // 长按产生的重复事件不算新击键，只计数（人类特征）
+    if (e.repeat) {
+      target.repeats++;
+      return;
+    }
+
+    const t = this.eventTime(e);
+    if (target.origin === null) {
+      target.origin = t;
+      target.startedAt = Date.now();
+    }
+
+    const record = {
+      kind: this.classifyKey(e.key),
+      down: Math.round(t - target.origin),
+      up: null,
+      trusted: e.isTrusted !== false
+    };
+    if (record.kind === "char") record.zone = this.keyZone(e.code);
+    // 编辑/导航键记录键名（Backspace、ArrowLeft 等不含输入内容），用于纠错分析
+    if (record.kind === "edit" || record.kind === "nav") record.key = e.key;
+    // 有选中文本时输入或删除 = 选区替换
+    const caret = this.getCaret(target.element);
+    if (caret && caret.start !== caret.end && (record.kind === "char" || record.kind === "edit")) {
+      record.replace = true;
+    }
+    target.keystrokes.push(record);
+    target.pending[e.code || e.key] = record;
+  },
+
+  handleKeyUp(target, e) {
+    const code = e.code || e.key;
+    const record = target.pending[code];
+    if (!record || target.origin === null) return;
+
+    record.up = Math.round(this.eventTime(e) - target.origin);
+    delete target.pending[code];
+    target.caret = this.getCaret(target.element);
+  },
+
+  // 开始输入后用鼠标移动光标或选中文本（点击进入字段时的定位不计）
+  handleMouseUp(target) {
+    if (target.origin === null) return;
+
+    const caret = this.getCaret(target.element);
+    if (!caret) return;
+    if (target.caret && (caret.start !== target.caret.start || caret.end !== target.caret.end)) {
+      target.caretMoves++;
+    }
+    target.caret = caret;
+  },
+
+  // 部分 input 类型（email、number）读取 selectionStart 会抛异常
+  getCaret(element) {
+    try {
+      if (element.selectionStart == null) return null;
+      return { start: element.selectionStart, end: element.selectionEnd };
+    } catch (err) {
+      return null;
+    }
+  },
+
+  eventTime(e) {
+    if (e.timeStamp) return e.timeStamp;
+    return typeof performance !== "undefined" ? performance.now() : Date.now();
+  },
+
+  // 只记录按键类别，不记录具体字符（密码字段隐私）
+  classifyKey(key) {
+    if (!key) return "other";
+    if (key.length === 1) return "char";
+    // Android 虚拟键盘的字符键 keydown 没有 key（keyCode 229），只能按字符键记时
+    if (key === "Unidentified") return "char";
+    if (["Shift", "Control", "Alt", "Meta", "CapsLock", "AltGraph"].includes(key)) return "modifier";
+    if (key === "Backspace" || key === "Delete") return "edit";
+    if (key.startsWith("Arrow") || ["Home", "End", "Tab", "PageUp", "PageDown"].includes(key)) return "nav";
+    return "other";
+  },
+
+  // e.code（物理键位，与键盘布局无关）-> 分区，未知键返回 null
+  keyZone(code) {
+    if (!code) return null;
+    if (code === "Space") return "S";
+    if (code.startsWith("Numpad")) return "N";
+
+    for (let row = 0; row < this.ZONE_ROWS.length; row++) {
+      if (this.ZONE_ROWS[row].L.includes(code)) return `L${row}`;
+      if (this.ZONE_ROWS[row].R.includes(code)) return `R${row}`;
+    }
+    return null;
+  },
+
+  // ============================================================
+  // 输出格式
+  // ============================================================
+
+  // 原生格式：每次击键的类别、相对时间戳（ms）与键位分区（仅字符键），
+  // 以及长按重复事件数、鼠标移动光标次数与字段最终长度（不含内容）
+  getNativePattern(name) {
+    const target = this.targets[name];
+    if (!target || !target.keystrokes.length) return null;
+
+    return {
+      format: this.NATIVE_FORMAT,
+      version: this.NATIVE_VERSION,
+      field: name,
+      startedAt: target.startedAt,
+      repeats: target.repeats,
+      caretMoves: target.caretMoves,
+      length: target.element.value != null ? String(target.element.value).length : null,
+      keystrokes: target.keystrokes.map(k => ({ ...k }))
+    };
+  },
+
+  // TypingDNA 兼容格式: header|seek,press[,zone]|seek,press[,zone]|...
+  getTypingPattern(name) {
+    return this.toPatternString(this.getNativePattern(name));
+  },
+
+  toPatternString(native, parser = null) {
+    const _parser = parser || (typeof TypingParser !== "undefined" ? TypingParser : null);
+    if (!native || !_parser) return "";
+
+    const keystrokes = _parser.nativeToKeystrokes(native);
+    if (!keystrokes.length) return "";
+
+    const last = native.keystrokes[native.keystrokes.length - 1];
+    const duration = last.up != null ? last.up : last.down;
+    const header = [this.FORMAT, keystrokes.length, duration].join(",");
+
+    return [header, ...keystrokes.map(k => [k.seekTime, k.pressTime, k.key].filter(v => v != null).join(","))].join("|");
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KeystrokeCapture;
+}
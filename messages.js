@@ -0,0 +1,634 @@
+/**
+ * Messages
+ * 界面、检测原因与报告的文字目录（en / zh-CN）
+ * 模板中的 {name} 由参数替换；参数可以是另一条消息 { message, params }，数组按语言的分隔符连接
+ * 某个语言缺少的键回退到 en，en 也没有时返回键名本身
+ *
+ * 检测原因的键为 "rule." + 规则 id（见 detection-rules.js），命中结果中保存 message 与 params，
+ * 可以在其他语言下重新生成说明（RuleEngine.localize）
+ */
+
+const Messages = {
+
+  DEFAULT_LOCALE: "en",
+
+  // 未指定 locale 时使用的语言（页面的语言选择会修改它）
+  locale: "en",
+
+  catalogs: {
+
+    // ============================================================
+    // English
+    // ============================================================
+    en: {
+      "list.separator": ", ",
+
+      // 字段与规则标签（原因前缀）
+      "field.username": "Username",
+      "field.password": "Password",
+      "tag.SeekTime": "SeekTime",
+      "tag.Trajectory": "Trajectory",
+      "tag.Rollover": "Rollover",
+      "tag.Correction": "Correction",
+      "tag.Touch": "Touch",
+      "tag.Focus": "Focus",
+      "tag.Replay": "Replay",
+      "tag.Automation": "Automation",
+      "tag.Events": "Events",
+      "tag.InputType": "InputType",
+
+      // 命中结果的说明
+      "finding.observed": "observed {value}",
+      "finding.threshold": "threshold {value}",
+      "finding.weight": "weight {value}",
+
+      // 检测原因
+      "rule.typing.seekTooFast": "Extremely short key interval ({avg}ms < {threshold}ms)",
+      "rule.typing.seekTooShort": "Key interval too short ({avg}ms < {threshold}ms)",
+      "rule.typing.seekUniform": "Key interval too uniform (std={std}ms)",
+      "rule.typing.pressTooShort": "Extremely short key press ({avg}ms < {threshold}ms)",
+      "rule.typing.pressUniform": "Key press too uniform (std={std}ms)",
+      "rule.typing.seekRangeNarrow": "SeekTime range too narrow ({range}ms < {threshold}ms)",
+      "rule.typing.seekNormal": "Normal key interval ({avg}ms)",
+      "rule.typing.pressNormal": "Normal key press ({avg}ms)",
+      "rule.typing.longPauses": "Has long pauses ({count}x > 500ms)",
+      "rule.distribution.nearGaussian": "Distribution too close to Gaussian (skew={skewness}, kurtosis={kurtosis})",
+      "rule.distribution.roundNumbers": "Too many round numbers ({percent}% are multiples of 10ms)",
+      "rule.distribution.consecutiveSimilar": "{count} consecutive similar intervals detected",
+      "rule.distribution.programmaticCV": "Coefficient of variation suggests programmatic randomness (CV={cv})",
+      "rule.timing.userToPass": "Username to password too fast ({ms}ms < {threshold}ms)",
+      "rule.timing.passToLogin": "Password to login too fast ({ms}ms < {threshold}ms)",
+      "rule.trajectory.fewPoints": "Too few trajectory points ({points} < {threshold})",
+      "rule.trajectory.shortDistance": "Mouse distance too short ({distance}px < {threshold}px)",
+      "rule.trajectory.humanMovement": "Natural mouse movement ({points} points, {distance}px)",
+      "rule.trajectory.tooSmooth": "Mouse trajectory too smooth ({percent}%), likely Bezier curve",
+      "rule.trajectory.noCorrections": "No micro-corrections in mouse movement ({percent}%)",
+      "rule.trajectory.uniformTiming": "Mouse movement timing too uniform (CV={cv})",
+      "rule.trajectory.constantSpeed": "Mouse moves at constant speed (speed CV={cv}), likely interpolated",
+      "rule.trajectory.straightLine": "Mouse moves in straight lines (straightness={straightness})",
+      "rule.trajectory.noFittsProfile": "Mouse movements lack acceleration/deceleration toward targets ({bellShaped}/{count})",
+      "rule.rollover.none": "No key rollover across {keys} keystrokes (every key released before the next press)",
+      "rule.rollover.natural": "Natural key rollover ({overlaps}/{keys} keys pressed before the previous one was released)",
+      "rule.rollover.keyRepeat": "Key auto-repeat from holding a key ({count} events)",
+      "rule.correction.natural": "Edited while typing ({parts})",
+      "correction.fixes": "{count} typo fixes after avg {latency}ms",
+      "correction.navMoves": "{count} arrow-key moves",
+      "correction.caretMoves": "{count} mouse caret moves",
+      "correction.replacements": "{count} selection replacements",
+      "rule.correction.instantFix": "Typos deleted too quickly to have been noticed (avg {latency}ms < {threshold}ms)",
+      "rule.touch.instantTaps": "Touch taps too short to be a finger (avg {avg}ms < {threshold}ms)",
+      "rule.touch.naturalTaps": "Natural touch taps ({taps} taps, avg {avg}ms, {contactSizes} contact sizes)",
+      "rule.touch.emulatedMobile": "Mobile user agent on a device without touch support",
+      "rule.touch.deviceMismatch": "Declared {declared} device does not match {checks}, judged as desktop",
+      "rule.focus.programmatic": "Field focused by script without a click or Tab ({fields})",
+      "rule.focus.impossibleSequence": "Impossible focus sequence ({detail})",
+      "focus.typedWithoutFocus": "keys typed into {fields} without focusing it",
+      "focus.hiddenFocus": "{fields} focused while the page was hidden",
+      "focus.typedAndHidden": "{typed}; {hidden}",
+      "rule.focus.passwordManager": "Left the page from {field} for {seconds}s and came back to continue (password manager)",
+      "rule.replay.duplicateTiming": "Typing timing nearly identical to a previous login on {account} ({distance}ms mean difference over {overlap} keys, replayed recording)",
+      "replay.sameAccount": "the same account",
+      "replay.otherAccount": "another account",
+      "rule.paste.username": "Username was pasted",
+      "rule.paste.password": "Password was pasted",
+      "rule.ime.used": "IME input method used ({count}x)",
+      "rule.keyboard.shift": "Shift key used ({count}x)",
+      "rule.keyboard.capsLock": "CapsLock key used ({count}x)",
+      "rule.password.mismatch": "Password has uppercase/special chars but no Shift/CapsLock and not pasted",
+      "rule.automation.webdriver": "WebDriver automation detected (navigator.webdriver)",
+      "rule.automation.chromium": "Chromium automation flags detected",
+      "rule.automation.selenium": "Selenium WebDriver detected",
+      "rule.automation.phantom": "PhantomJS detected",
+      "rule.automation.headlessChrome": "HeadlessChrome detected",
+      "rule.automation.noPlugins": "No browser plugins (possible headless)",
+      "rule.automation.zeroWindowSize": "Zero window size (headless browser)",
+      "rule.automation.nativeToString": "Native functions replaced ({detail})",
+      "rule.automation.navigatorOverride": "navigator properties overridden ({detail})",
+      "rule.automation.navigatorMismatch": "Inconsistent navigator properties ({detail})",
+      "rule.automation.webglSoftware": "Software WebGL renderer ({detail})",
+      "rule.automation.permissionsMismatch": "Permissions API inconsistent with Notification.permission (headless browser)",
+      "rule.automation.iframeAnomaly": "iframe contentWindow anomaly ({detail})",
+      "rule.automation.cdpRuntime": "DevTools protocol attached ({detail})",
+      "rule.automation.automationGlobals": "Automation framework globals ({detail})",
+      "rule.automation.pluginsFake": "Fake plugin list ({detail})",
+      "rule.automation.noWindowChrome": "No browser window frame ({detail})",
+      "rule.events.untrusted": "Detected {count} untrusted (synthetic) events",
+      "rule.events.syntheticRatio": "High ratio of synthetic keyboard events ({percent}%)",
+      "rule.inputType.nullInput": "Human input detected ({count}/{total} events with inputType=null)",
+      "rule.inputType.noNullInput": "No null inputType events (possible automation - all events have specific inputType)",
+
+      // 报告（AutomationDetector.generateReport / TypingAnalyzer.generateReport）
+      "report.title": "=== Login Behavior Analysis Report ===",
+      "report.result": "[Result]",
+      "report.verdict": "- Verdict: {verdict}",
+      "verdict.bot": "🤖 Bot/Script",
+      "verdict.human": "✅ Human",
+      "report.botProbability": "- Bot Probability: {confidence}%",
+      "report.probabilityInterval": "- 95% Interval: {low}%–{high}% (model: {model})",
+      "report.legacyConfidence": "- Additive Score: {confidence}%",
+      "report.scores": "- Scores: Bot={bot}, Human={human}",
+      "report.anomalies": "[Anomalies Detected]",
+      "report.humanIndicators": "[Human Indicators]",
+      "report.usernameTyping": "[Username Typing]",
+      "report.passwordTyping": "[Password Typing]",
+      "report.keystrokes": "- Keystrokes: {count}",
+      "report.seekTime": "- SeekTime: avg={avg}ms, std={std}ms, range={range}ms",
+      "report.pressTime": "- PressTime: avg={avg}ms, std={std}ms",
+      "report.digraphs": "- Key Pairs: {count} ({kinds} kinds), down-down avg: alternating hands={alternate}ms ({alternateCount}), same hand={sameHand}ms ({sameHandCount})",
+      "report.mouse": "[Mouse Movement]",
+      "report.mousePoints": "- Points: {points}, distance={distance}px, smooth={smooth}%, corrections={corrections}%",
+      "report.mouseSpeed": "- Speed: avg={speed}px/s, max={speedMax}px/s; acceleration avg={acceleration}px/s²; jerk avg={jerk}px/s³; curvature avg={curvature}rad/px",
+      "report.mouseStrokes": "- Movements: {count} ({bellShaped} accelerate-then-decelerate), straightness={straightness}, speed CV={speedCV}; pauses: {pauses} ({pauseMs}ms)",
+      "report.other": "[Other Features]",
+      "report.ime": "- IME Usage: {count}x ✅",
+      "report.shift": "- Shift Usage: {count}x ✅",
+      "report.capsLock": "- CapsLock Usage: {count}x ✅",
+      "report.rollover": "- Key Rollover ({field}): {overlaps}/{keystrokes} keys overlapped, max {maxConcurrent} held, {repeats} auto-repeats",
+      "report.replay": "- Replay Check: compared with {compared} previous logins, no duplicate",
+      "report.replayMatch": "- Replay Check: compared with {compared} previous logins, nearly identical to one from {at} ({distance}ms mean difference)",
+      "report.environment": "- Environment Checks: {flagged}/{total} flagged",
+      "report.environmentFlagged": "- Environment Checks: {flagged}/{total} flagged ({checks})",
+      "report.device": "- Device: {deviceClass} ({profile} thresholds)",
+      "report.touch": "- Touch Taps: {taps}, duration avg={avg}ms, contact {width}x{height}px ({sizes} sizes), pressure avg={pressure}",
+      "report.focus": "- Focus: {methods}; page switches: {switches} ({switchSeconds}s); idle: {idle}x ({idleSeconds}s)",
+      "report.none": "none",
+      "report.corrections": "- Corrections ({field}): {count}x ({backspace} Backspace, {del} Delete){fix}, {navMoves} arrow moves, {caretMoves} mouse caret moves, {replacements} selection replacements{length}",
+      "report.correctionsFix": ", fix after avg {latency}ms",
+      "report.correctionsLength": ", final length {finalLength}/{keystrokes} keystrokes ({ratio})",
+      "report.usernameTypingFeatures": "[Username Typing Features]",
+      "report.passwordTypingFeatures": "[Password Typing Features]",
+      "report.keystrokeCount": "- Keystroke Count: {count}",
+      "report.seekTimeRange": "- SeekTime: avg={avg}ms, range={min}-{max}ms, std={std}ms",
+      "report.pressTimeRange": "- PressTime: avg={avg}ms, range={min}-{max}ms, std={std}ms",
+      "report.longPauses": "- Long Pauses: {count}x",
+      "report.userToPass": "- Username→Password Interval: {value}",
+      "report.passToLogin": "- Password→Login Interval: {value}",
+      "report.ms": "{ms}ms",
+      "report.notRecorded": "Not recorded",
+      "report.pasteCount": "- Paste Count: Username={username}, Password={password}",
+      "report.imeUsed": "- IME Input Method: Username={username}x, Password={password}x ✅ Human indicator",
+      "report.imeNotUsed": "- IME Input Method: Not used",
+      "report.shiftKey": "- Shift Key: {count}x ✅ Human indicator",
+      "report.capsLockKey": "- CapsLock Key: {count}x ✅ Human indicator",
+      "report.shiftNotUsed": "- Shift/CapsLock: Not used",
+      "report.mouseTrajectory": "- Mouse Trajectory: {points} points, {distance}px",
+
+      // 页面
+      "ui.title": "Login",
+      "ui.subtitle": "Behavior Detection Demo",
+      "ui.status.keystrokes": "Keystrokes",
+      "ui.status.typingdna": "TypingDNA",
+      "ui.status.trajectory": "Trajectory",
+      "ui.status.consent": "Consent",
+      "ui.username": "Username / Email",
+      "ui.password": "Password",
+      "ui.typeManually": "Type manually, do not paste",
+      "ui.consent": "Allow typing behavior collection for security analysis",
+      "ui.enrollMode": "Enrollment mode (save this login as a typing sample)",
+      "ui.recordEvents": "Record the full event stream (for replay review)",
+      "ui.replay": "Replay",
+      "ui.closeReplay": "Close Replay",
+      "ui.exportRecording": "Export Recording",
+      "ui.import": "Import…",
+      "ui.nothingRecorded": "Nothing recorded yet",
+      "ui.nothingRecordedHint": "Nothing recorded yet (tick \"{option}\" first)",
+      "ui.recordingRejected": "Recording rejected: {error}",
+      "ui.policy": "Policy",
+      "ui.policy.strict": "Strict",
+      "ui.policy.balanced": "Balanced",
+      "ui.policy.lenient": "Lenient",
+      "ui.loadPolicy": "Load JSON…",
+      "ui.language": "Language",
+      "ui.scoring": "Scoring",
+      "ui.scoring.model": "Calibrated model",
+      "ui.scoring.additive": "Additive",
+      "ui.loadModel": "Load model…",
+      "ui.policyRejected": "Policy rejected: {errors}",
+      "ui.modelRejected": "Model rejected: {errors}",
+      "ui.login": "Login & Analyze",
+      "ui.serverVerdict": "Server Verdict",
+      "ui.serverResult": "{verdict} ({confidence}%)",
+      "ui.serverTelemetry": " ⚠️ telemetry {code}",
+      "ui.identity": "Identity Verification",
+      "ui.typingProfile": "Typing Profile",
+      "ui.profile.botSession": "Session flagged as bot, sample not saved",
+      "ui.profile.enrolling": "Enrolling ({samples}/{required} samples)",
+      "ui.profile.enrolledSamples": "✅ Enrolled ({samples}/{required} samples)",
+      "ui.profile.notEnrolled": "Not enrolled ({samples}/{required} samples)",
+      "ui.profile.enrolled": "Enrolled",
+      "ui.profile.templateUpdated": "Enrolled (template updated)",
+      "ui.profile.match": "✅ Match",
+      "ui.profile.noMatch": "⚠️ No match",
+      "ui.similarity": "Similarity Score",
+      "ui.sameUser": "Same User",
+      "ui.usernameTyping": "Username Typing Features",
+      "ui.passwordTyping": "Password Typing Features",
+      "ui.keystrokeCount": "Keystroke Count",
+      "ui.seekTime": "SeekTime (avg/std)",
+      "ui.pressTime": "PressTime (avg/std)",
+      "ui.otherFeatures": "Other Features",
+      "ui.userToPass": "Username→Password Gap",
+      "ui.trajectoryPoints": "Mouse Trajectory Points",
+      "ui.pasteCount": "Paste Count",
+      "ui.ime": "IME Input Method",
+      "ui.shift": "Shift Key Usage",
+      "ui.capsLock": "CapsLock Usage",
+      "ui.rollover": "Key Rollover / Repeats",
+      "ui.touch": "Device / Touch Taps",
+      "ui.corrections": "Corrections / Caret Edits",
+      "ui.focus": "Focus / Page Switches",
+      "ui.antiAutomation": "Anti-Automation Detection",
+      "ui.webdriver": "WebDriver Detected",
+      "ui.untrusted": "Untrusted Events",
+      "ui.automationFlags": "Automation Flags",
+      "ui.charts": "Charts",
+      "ui.chart.userTiming": "Username seek / press time",
+      "ui.chart.passTiming": "Password seek / press time",
+      "ui.chart.trajectory": "Mouse trajectory (page area)",
+      "ui.chart.rules": "Rule contributions (human ← → bot, weight and % of score)",
+      "ui.reset": "Reset",
+      "ui.exportJson": "Export JSON",
+      "ui.verdict.bot": "Abnormal Behavior Detected",
+      "ui.verdict.human": "Normal Behavior",
+      "ui.confidence": "Bot Probability: {confidence}%",
+      "ui.confidencePolicy": "Bot Probability: {confidence}% · Policy: {policy} v{version}",
+      "ui.confidenceInterval": "95% interval {low}–{high}%",
+      "ui.scoringModel": "{model} · additive score {legacy}%",
+      "ui.yes": "⚠️ YES",
+      "ui.no": "✅ No",
+      "ui.flags": "⚠️ {count} flags",
+      "ui.none": "✅ None",
+      "ui.exportReport": "Export Report",
+      "ui.reanalyze": "Re-analyze Exports…",
+      "ui.reanalyzeHint": "or drop login-behavior-*.json files onto this card",
+      "ui.reanalysis.title": "Re-analysis with current thresholds",
+      "ui.reanalysis.summary": "{total} files · {verdictChanged} verdicts changed ({becameBot} → bot, {becameHuman} → human) · {ruleChanges} with rule changes",
+      "ui.reanalysis.clear": "Clear",
+      "ui.reanalysis.export": "Export",
+      "ui.reanalysis.now": "Now",
+      "ui.reanalysis.noOriginal": "The file has no analysis, only the new verdict is shown",
+      "ui.reanalysis.noFindings": "The file has no rule details, only the verdict is compared",
+      "ui.reanalysis.noChanges": "No rule changes",
+      "ui.reanalysis.skipped": "Not re-checked: {rules}",
+      "ui.reanalysis.failed": "Cannot analyze stats: {error}",
+      "ui.verdictShort.bot": "🤖 Bot",
+      "ui.verdictShort.human": "✅ Human",
+
+      "export.title": "Login Behavior Report",
+      "export.summary": "{count} sessions: {bots} bot, {humans} human",
+      "export.session": "Session {index}",
+      "export.exportedAt": "Exported: {date}",
+      "export.label": "Label: {label}",
+      "export.scores": "Scores: Bot={bot}, Human={human}",
+      "export.findings": "Rules Fired",
+      "export.noFindings": "No rule fired",
+      "export.features": "Features",
+      "export.charts": "Charts",
+      "export.col.field": "Field",
+      "export.col.rule": "Rule",
+      "export.col.type": "Type",
+      "export.col.observed": "Observed",
+      "export.col.threshold": "Threshold",
+      "export.col.weight": "Weight",
+      "export.col.contribution": "Contribution",
+      "export.col.reason": "Reason",
+      "export.noKeystrokes": "No keystrokes",
+      "export.noTrajectory": "No mouse movement captured"
+    },
+
+    // ============================================================
+    // 简体中文
+    // ============================================================
+    "zh-CN": {
+      "list.separator": "、",
+
+      "field.username": "用户名",
+      "field.password": "密码",
+      "tag.SeekTime": "按键间隔",
+      "tag.Trajectory": "鼠标轨迹",
+      "tag.Rollover": "按键重叠",
+      "tag.Correction": "纠错",
+      "tag.Touch": "触屏",
+      "tag.Focus": "焦点",
+      "tag.Replay": "重放",
+      "tag.Automation": "自动化",
+      "tag.Events": "事件",
+      "tag.InputType": "InputType",
+
+      "finding.observed": "观测值 {value}",
+      "finding.threshold": "阈值 {value}",
+      "finding.weight": "权重 {value}",
+
+      "rule.typing.seekTooFast": "按键间隔极短（{avg}ms < {threshold}ms）",
+      "rule.typing.seekTooShort": "按键间隔过短（{avg}ms < {threshold}ms）",
+      "rule.typing.seekUniform": "按键间隔过于均匀（std={std}ms）",
+      "rule.typing.pressTooShort": "按键时长极短（{avg}ms < {threshold}ms）",
+      "rule.typing.pressUniform": "按键时长过于均匀（std={std}ms）",
+      "rule.typing.seekRangeNarrow": "按键间隔范围过窄（{range}ms < {threshold}ms）",
+      "rule.typing.seekNormal": "按键间隔正常（{avg}ms）",
+      "rule.typing.pressNormal": "按键时长正常（{avg}ms）",
+      "rule.typing.longPauses": "有较长的停顿（{count} 次 > 500ms）",
+      "rule.distribution.nearGaussian": "分布过于接近高斯分布（偏度={skewness}，峰度={kurtosis}）",
+      "rule.distribution.roundNumbers": "整数值过多（{percent}% 是 10ms 的倍数）",
+      "rule.distribution.consecutiveSimilar": "连续 {count} 个相近的间隔",
+      "rule.distribution.programmaticCV": "变异系数符合程序生成的随机数（CV={cv}）",
+      "rule.timing.userToPass": "用户名到密码过快（{ms}ms < {threshold}ms）",
+      "rule.timing.passToLogin": "密码到登录过快（{ms}ms < {threshold}ms）",
+      "rule.trajectory.fewPoints": "鼠标轨迹点过少（{points} < {threshold}）",
+      "rule.trajectory.shortDistance": "鼠标移动距离过短（{distance}px < {threshold}px）",
+      "rule.trajectory.humanMovement": "自然的鼠标移动（{points} 个点，{distance}px）",
+      "rule.trajectory.tooSmooth": "鼠标轨迹过于平滑（{percent}%），可能是贝塞尔曲线",
+      "rule.trajectory.noCorrections": "鼠标移动没有微调（{percent}%）",
+      "rule.trajectory.uniformTiming": "鼠标移动的时间间隔过于均匀（CV={cv}）",
+      "rule.trajectory.constantSpeed": "鼠标匀速移动（速度 CV={cv}），可能是插值生成",
+      "rule.trajectory.straightLine": "鼠标沿直线移动（直线度={straightness}）",
+      "rule.trajectory.noFittsProfile": "鼠标移向目标时没有先加速后减速（{bellShaped}/{count}）",
+      "rule.rollover.none": "{keys} 次击键没有任何按键重叠（每个键都在下一个键按下前松开）",
+      "rule.rollover.natural": "自然的按键重叠（{overlaps}/{keys} 个键在上一个键松开前按下）",
+      "rule.rollover.keyRepeat": "长按产生的自动重复（{count} 次）",
+      "rule.correction.natural": "输入时有修改（{parts}）",
+      "correction.fixes": "{count} 次纠错，平均 {latency}ms 后删除",
+      "correction.navMoves": "{count} 次方向键移动",
+      "correction.caretMoves": "{count} 次鼠标移动光标",
+      "correction.replacements": "{count} 次选中替换",
+      "rule.correction.instantFix": "打错后删除过快，不像发现了错误（平均 {latency}ms < {threshold}ms）",
+      "rule.touch.instantTaps": "触屏点击过短，不像手指（平均 {avg}ms < {threshold}ms）",
+      "rule.touch.naturalTaps": "自然的触屏点击（{taps} 次，平均 {avg}ms，{contactSizes} 种接触面积）",
+      "rule.touch.emulatedMobile": "移动端 User-Agent，但设备不支持触屏",
+      "rule.touch.deviceMismatch": "声明为 {declared} 设备，但与 {checks} 不一致，按桌面设备判断",
+      "rule.focus.programmatic": "输入框由脚本聚焦，没有点击或 Tab（{fields}）",
+      "rule.focus.impossibleSequence": "不可能的焦点顺序（{detail}）",
+      "focus.typedWithoutFocus": "{fields} 没有获得焦点就收到击键",
+      "focus.hiddenFocus": "页面隐藏时 {fields} 获得焦点",
+      "focus.typedAndHidden": "{typed}；{hidden}",
+      "rule.focus.passwordManager": "从 {field} 离开页面 {seconds}s 后回来继续输入（密码管理器）",
+      "rule.replay.duplicateTiming": "击键节奏与{account}之前的一次登录几乎相同（{overlap} 个键平均相差 {distance}ms，是重放的录制）",
+      "replay.sameAccount": "同一账号",
+      "replay.otherAccount": "其他账号",
+      "rule.paste.username": "用户名是粘贴的",
+      "rule.paste.password": "密码是粘贴的",
+      "rule.ime.used": "使用了输入法（{count} 次）",
+      "rule.keyboard.shift": "使用了 Shift 键（{count} 次）",
+      "rule.keyboard.capsLock": "使用了 CapsLock 键（{count} 次）",
+      "rule.password.mismatch": "密码含大写或特殊字符，但没有按 Shift/CapsLock，也不是粘贴的",
+      "rule.automation.webdriver": "检测到 WebDriver 自动化（navigator.webdriver）",
+      "rule.automation.chromium": "检测到 Chromium 自动化标志",
+      "rule.automation.selenium": "检测到 Selenium WebDriver",
+      "rule.automation.phantom": "检测到 PhantomJS",
+      "rule.automation.headlessChrome": "检测到 HeadlessChrome",
+      "rule.automation.noPlugins": "没有浏览器插件（可能是无头浏览器）",
+      "rule.automation.zeroWindowSize": "窗口尺寸为 0（无头浏览器）",
+      "rule.automation.nativeToString": "原生函数被替换（{detail}）",
+      "rule.automation.navigatorOverride": "navigator 属性被覆盖（{detail}）",
+      "rule.automation.navigatorMismatch": "navigator 属性互相矛盾（{detail}）",
+      "rule.automation.webglSoftware": "软件 WebGL 渲染器（{detail}）",
+      "rule.automation.permissionsMismatch": "Permissions API 与 Notification.permission 不一致（无头浏览器）",
+      "rule.automation.iframeAnomaly": "iframe contentWindow 异常（{detail}）",
+      "rule.automation.cdpRuntime": "连接了开发者工具协议（{detail}）",
+      "rule.automation.automationGlobals": "存在自动化框架的全局变量（{detail}）",
+      "rule.automation.pluginsFake": "伪造的插件列表（{detail}）",
+      "rule.automation.noWindowChrome": "没有浏览器窗口边框（{detail}）",
+      "rule.events.untrusted": "检测到 {count} 个不可信（合成）事件",
+      "rule.events.syntheticRatio": "合成键盘事件比例过高（{percent}%）",
+      "rule.inputType.nullInput": "检测到真人输入（{count}/{total} 个事件的 inputType=null）",
+      "rule.inputType.noNullInput": "没有 inputType=null 的事件（可能是自动化，所有事件都带有具体的 inputType）",
+
+      "report.title": "=== 登录行为分析报告 ===",
+      "report.result": "[结论]",
+      "report.verdict": "- 判定: {verdict}",
+      "verdict.bot": "🤖 机器人/脚本",
+      "verdict.human": "✅ 真人",
+      "report.botProbability": "- Bot 概率: {confidence}%",
+      "report.probabilityInterval": "- 95% 区间: {low}%–{high}%（模型: {model}）",
+      "report.legacyConfidence": "- 加权计分: {confidence}%",
+      "report.scores": "- 得分: Bot={bot}, Human={human}",
+      "report.anomalies": "[检测到的异常]",
+      "report.humanIndicators": "[人类特征]",
+      "report.usernameTyping": "[用户名输入]",
+      "report.passwordTyping": "[密码输入]",
+      "report.keystrokes": "- 击键数: {count}",
+      "report.seekTime": "- SeekTime: 平均={avg}ms, 标准差={std}ms, 范围={range}ms",
+      "report.pressTime": "- PressTime: 平均={avg}ms, 标准差={std}ms",
+      "report.digraphs": "- 键对: {count} 个（{kinds} 种），down-down 平均: 左右手交替={alternate}ms（{alternateCount}），同一只手={sameHand}ms（{sameHandCount}）",
+      "report.mouse": "[鼠标移动]",
+      "report.mousePoints": "- 点数: {points}, 距离={distance}px, 平滑={smooth}%, 微调={corrections}%",
+      "report.mouseSpeed": "- 速度: 平均={speed}px/s, 最大={speedMax}px/s; 加速度平均={acceleration}px/s²; 加加速度平均={jerk}px/s³; 曲率平均={curvature}rad/px",
+      "report.mouseStrokes": "- 移动段: {count} 段（{bellShaped} 段先加速后减速）, 直线度={straightness}, 速度 CV={speedCV}; 停顿: {pauses} 次（{pauseMs}ms）",
+      "report.other": "[其他特征]",
+      "report.ime": "- 输入法: {count} 次 ✅",
+      "report.shift": "- Shift 键: {count} 次 ✅",
+      "report.capsLock": "- CapsLock 键: {count} 次 ✅",
+      "report.rollover": "- 按键重叠（{field}）: {overlaps}/{keystrokes} 个键重叠, 最多同时按住 {maxConcurrent} 个, {repeats} 次自动重复",
+      "report.replay": "- 重放检查: 与之前 {compared} 次登录比较, 没有重复",
+      "report.replayMatch": "- 重放检查: 与之前 {compared} 次登录比较, 与 {at} 的一次几乎相同（平均相差 {distance}ms）",
+      "report.environment": "- 环境检查: {flagged}/{total} 项命中",
+      "report.environmentFlagged": "- 环境检查: {flagged}/{total} 项命中（{checks}）",
+      "report.device": "- 设备: {deviceClass}（{profile} 阈值）",
+      "report.touch": "- 触屏点击: {taps} 次, 时长平均={avg}ms, 接触面积 {width}x{height}px（{sizes} 种）, 压力平均={pressure}",
+      "report.focus": "- 焦点: {methods}; 页面切换: {switches} 次（{switchSeconds}s）; 空闲: {idle} 次（{idleSeconds}s）",
+      "report.none": "无",
+      "report.corrections": "- 纠错（{field}）: {count} 次（Backspace {backspace} 次, Delete {del} 次）{fix}, 方向键移动 {navMoves} 次, 鼠标移动光标 {caretMoves} 次, 选中替换 {replacements} 次{length}",
+      "report.correctionsFix": ", 平均 {latency}ms 后删除",
+      "report.correctionsLength": ", 最终长度 {finalLength}/{keystrokes} 次击键（{ratio}）",
+      "report.usernameTypingFeatures": "[用户名输入特征]",
+      "report.passwordTypingFeatures": "[密码输入特征]",
+      "report.keystrokeCount": "- 击键数: {count}",
+      "report.seekTimeRange": "- SeekTime: 平均={avg}ms, 范围={min}-{max}ms, 标准差={std}ms",
+      "report.pressTimeRange": "- PressTime: 平均={avg}ms, 范围={min}-{max}ms, 标准差={std}ms",
+      "report.longPauses": "- 长停顿: {count} 次",
+      "report.userToPass": "- 用户名→密码间隔: {value}",
+      "report.passToLogin": "- 密码→登录间隔: {value}",
+      "report.ms": "{ms}ms",
+      "report.notRecorded": "未记录",
+      "report.pasteCount": "- 粘贴次数: 用户名={username}, 密码={password}",
+      "report.imeUsed": "- 输入法: 用户名={username} 次, 密码={password} 次 ✅ 人类特征",
+      "report.imeNotUsed": "- 输入法: 未使用",
+      "report.shiftKey": "- Shift 键: {count} 次 ✅ 人类特征",
+      "report.capsLockKey": "- CapsLock 键: {count} 次 ✅ 人类特征",
+      "report.shiftNotUsed": "- Shift/CapsLock: 未使用",
+      "report.mouseTrajectory": "- 鼠标轨迹: {points} 个点, {distance}px",
+
+      "ui.title": "登录",
+      "ui.subtitle": "行为检测演示",
+      "ui.status.keystrokes": "击键",
+      "ui.status.typingdna": "TypingDNA",
+      "ui.status.trajectory": "轨迹",
+      "ui.status.consent": "授权",
+      "ui.username": "用户名 / 邮箱",
+      "ui.password": "密码",
+      "ui.typeManually": "请手动输入，不要粘贴",
+      "ui.consent": "允许采集输入行为用于安全分析",
+      "ui.enrollMode": "注册模式（将本次登录保存为输入样本）",
+      "ui.recordEvents": "记录完整的事件流（用于回放复查）",
+      "ui.replay": "回放",
+      "ui.closeReplay": "关闭回放",
+      "ui.exportRecording": "导出记录",
+      "ui.import": "导入…",
+      "ui.nothingRecorded": "还没有记录",
+      "ui.nothingRecordedHint": "还没有记录（请先勾选“{option}”）",
+      "ui.recordingRejected": "记录无效：{error}",
+      "ui.policy": "策略",
+      "ui.policy.strict": "严格",
+      "ui.policy.balanced": "均衡",
+      "ui.policy.lenient": "宽松",
+      "ui.loadPolicy": "加载 JSON…",
+      "ui.language": "语言",
+      "ui.scoring": "评分",
+      "ui.scoring.model": "校准模型",
+      "ui.scoring.additive": "加权计分",
+      "ui.loadModel": "加载模型…",
+      "ui.policyRejected": "策略无效：{errors}",
+      "ui.modelRejected": "模型无效：{errors}",
+      "ui.login": "登录并分析",
+      "ui.serverVerdict": "服务端判定",
+      "ui.serverResult": "{verdict}（{confidence}%）",
+      "ui.serverTelemetry": " ⚠️ 签名校验 {code}",
+      "ui.identity": "身份验证",
+      "ui.typingProfile": "输入档案",
+      "ui.profile.botSession": "会话被判定为机器人，未保存样本",
+      "ui.profile.enrolling": "注册中（{samples}/{required} 个样本）",
+      "ui.profile.enrolledSamples": "✅ 已注册（{samples}/{required} 个样本）",
+      "ui.profile.notEnrolled": "未注册（{samples}/{required} 个样本）",
+      "ui.profile.enrolled": "已注册",
+      "ui.profile.templateUpdated": "已注册（模板已更新）",
+      "ui.profile.match": "✅ 匹配",
+      "ui.profile.noMatch": "⚠️ 不匹配",
+      "ui.similarity": "相似度",
+      "ui.sameUser": "同一用户",
+      "ui.usernameTyping": "用户名输入特征",
+      "ui.passwordTyping": "密码输入特征",
+      "ui.keystrokeCount": "击键数",
+      "ui.seekTime": "SeekTime（平均/标准差）",
+      "ui.pressTime": "PressTime（平均/标准差）",
+      "ui.otherFeatures": "其他特征",
+      "ui.userToPass": "用户名→密码间隔",
+      "ui.trajectoryPoints": "鼠标轨迹点数",
+      "ui.pasteCount": "粘贴次数",
+      "ui.ime": "输入法",
+      "ui.shift": "Shift 键使用",
+      "ui.capsLock": "CapsLock 使用",
+      "ui.rollover": "按键重叠 / 重复",
+      "ui.touch": "设备 / 触屏点击",
+      "ui.corrections": "纠错 / 光标编辑",
+      "ui.focus": "焦点 / 页面切换",
+      "ui.antiAutomation": "反自动化检测",
+      "ui.webdriver": "检测到 WebDriver",
+      "ui.untrusted": "不可信事件",
+      "ui.automationFlags": "自动化标志",
+      "ui.charts": "图表",
+      "ui.chart.userTiming": "用户名按键间隔 / 按键时长",
+      "ui.chart.passTiming": "密码按键间隔 / 按键时长",
+      "ui.chart.trajectory": "鼠标轨迹（页面区域）",
+      "ui.chart.rules": "规则贡献（人类 ← → Bot，权重与得分占比）",
+      "ui.reset": "重置",
+      "ui.exportJson": "导出 JSON",
+      "ui.verdict.bot": "检测到异常行为",
+      "ui.verdict.human": "行为正常",
+      "ui.confidence": "Bot 概率：{confidence}%",
+      "ui.confidencePolicy": "Bot 概率：{confidence}% · 策略：{policy} v{version}",
+      "ui.confidenceInterval": "95% 区间 {low}–{high}%",
+      "ui.scoringModel": "{model} · 加权计分 {legacy}%",
+      "ui.yes": "⚠️ 是",
+      "ui.no": "✅ 否",
+      "ui.flags": "⚠️ {count} 个标志",
+      "ui.none": "✅ 无",
+      "ui.exportReport": "导出报告",
+      "ui.reanalyze": "重新分析导出文件…",
+      "ui.reanalyzeHint": "或将 login-behavior-*.json 文件拖到此卡片上",
+      "ui.reanalysis.title": "使用当前阈值重新分析",
+      "ui.reanalysis.summary": "{total} 个文件 · {verdictChanged} 个判定改变（{becameBot} 个 → Bot，{becameHuman} 个 → 真人）· {ruleChanges} 个规则有变化",
+      "ui.reanalysis.clear": "清除",
+      "ui.reanalysis.export": "导出时",
+      "ui.reanalysis.now": "现在",
+      "ui.reanalysis.noOriginal": "文件中没有分析结果，只显示新的判定",
+      "ui.reanalysis.noFindings": "文件中没有规则详情，只比较判定",
+      "ui.reanalysis.noChanges": "规则没有变化",
+      "ui.reanalysis.skipped": "未重新检查: {rules}",
+      "ui.reanalysis.failed": "无法分析 stats：{error}",
+      "ui.verdictShort.bot": "🤖 Bot",
+      "ui.verdictShort.human": "✅ 真人",
+
+      "export.title": "登录行为报告",
+      "export.summary": "共 {count} 个会话：Bot {bots} 个，真人 {humans} 个",
+      "export.session": "会话 {index}",
+      "export.exportedAt": "导出时间：{date}",
+      "export.label": "标签：{label}",
+      "export.scores": "得分：Bot={bot}, Human={human}",
+      "export.findings": "命中的规则",
+      "export.noFindings": "没有命中任何规则",
+      "export.features": "特征",
+      "export.charts": "图表",
+      "export.col.field": "字段",
+      "export.col.rule": "规则",
+      "export.col.type": "类型",
+      "export.col.observed": "观测值",
+      "export.col.threshold": "阈值",
+      "export.col.weight": "权重",
+      "export.col.contribution": "贡献",
+      "export.col.reason": "原因",
+      "export.noKeystrokes": "没有击键",
+      "export.noTrajectory": "没有采集到鼠标移动"
+    }
+  },
+
+  // ============================================================
+  // 语言
+  // ============================================================
+  // "zh"、"zh-cn"、"zh-Hans-CN" -> "zh-CN"；不支持的语言使用 DEFAULT_LOCALE
+  resolveLocale(locale) {
+    if (!locale) return this.locale || this.DEFAULT_LOCALE;
+    if (this.catalogs[locale]) return locale;
+    const lower = String(locale).toLowerCase();
+    const exact = Object.keys(this.catalogs).find(l => l.toLowerCase() === lower);
+    if (exact) return exact;
+    const language = lower.split(/[-_]/)[0];
+    const match = Object.keys(this.catalogs).find(l => l.toLowerCase().split("-")[0] === language);
+    return match || this.DEFAULT_LOCALE;
+  },
+
+  setLocale(locale) {
+    this.locale = this.resolveLocale(locale);
+    return this.locale;
+  },
+
+  locales() {
+    return Object.keys(this.catalogs);
+  },
+
+  // ============================================================
+  // 格式化
+  // ============================================================
+  format(key, params = {}, locale = null) {
+    const resolved = this.resolveLocale(locale);
+    const catalog = this.catalogs[resolved];
+    let template = catalog[key];
+    if (template === undefined) template = this.catalogs[this.DEFAULT_LOCALE][key];
+    if (template === undefined) return key;
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      name in params ? this.formatParam(params[name], resolved) : match);
+  },
+
+  formatParam(value, locale) {
+    if (value === null || value === undefined) return "";
+    if (Array.isArray(value)) {
+      return value.map(v => this.formatParam(v, locale)).join(this.format("list.separator", {}, locale));
+    }
+    if (typeof value === "object" && value.message) return this.format(value.message, value.params || {}, locale);
+    return String(value);
+  },
+
+  has(key) {
+    return key in this.catalogs[this.DEFAULT_LOCALE];
+  },
+
+  // 作为参数的另一条消息
+  ref(message, params = {}) {
+    return { message, params };
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Messages;
+}
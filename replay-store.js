@@ -0,0 +1,162 @@
+/**
+ * Replay Store
+ * 保存每次登录的击键节奏指纹（seekTime/pressTime 序列），检测录制真人节奏后反复重放的攻击
+ * 比较使用距离（对齐后的平均绝对差，允许错开几个键），而不是完全相等：重放时事件调度会带来几毫秒的抖动
+ * 同一个人两次输入同一密码的平均差通常在 20ms 以上，重放只有几毫秒
+ *
+ * 只保存时间序列与账号的哈希，不保存用户名和输入内容
+ * 依赖: typing-parser.js（fromStats）
+ */
+
+const ReplayStore = {
+
+  // ============================================================
+  // 配置
+  // ============================================================
+  config: {
+    maxEntries: 500,          // 最多保存的指纹数，超过后丢弃最早的
+    maxShift: 2               // 比较时最多错开的键数（重放到多一两个字符的账号上）
+  },
+
+  STORAGE_KEY: "typinggene.replay",
+
+  // 存储后端: { getItem, setItem, removeItem }，默认 localStorage，Node 下使用内存
+  storage: null,
+  memoryStore: {},
+
+  getStorage() {
+    if (this.storage) return this.storage;
+    if (typeof localStorage !== "undefined") return localStorage;
+
+    const store = this.memoryStore;
+    return {
+      getItem: key => (key in store ? store[key] : null),
+      setItem: (key, value) => { store[key] = String(value); },
+      removeItem: key => { delete store[key]; }
+    };
+  },
+
+  load() {
+    const raw = this.getStorage().getItem(this.STORAGE_KEY);
+    if (!raw) return [];
+
+    try {
+      const entries = JSON.parse(raw);
+      return Array.isArray(entries) ? entries : [];
+    } catch (err) {
+      console.error("Corrupted replay store:", err);
+      return [];
+    }
+  },
+
+  save(entries) {
+    this.getStorage().setItem(this.STORAGE_KEY, JSON.stringify(entries));
+  },
+
+  clear() {
+    this.getStorage().removeItem(this.STORAGE_KEY);
+  },
+
+  // ============================================================
+  // 指纹
+  // ============================================================
+  // 账号哈希（FNV-1a 32 位），只用于区分同一账号 / 其他账号
+  hashAccount(username) {
+    const name = String(username || "").trim().toLowerCase();
+    if (!name) return null;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < name.length; i++) {
+      hash ^= name.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, "0");
+  },
+
+  // 用户名与密码的 parsePattern 结果 -> [[seekTime, pressTime], ...]（按输入顺序连接）
+  fingerprint(userPattern, passPattern) {
+    const timings = [];
+    [userPattern, passPattern].forEach(pattern => {
+      if (!pattern || !pattern.keystrokes) return;
+      pattern.keystrokes.forEach(k => timings.push([k.seekTime, k.pressTime]));
+    });
+    return timings.length ? timings : null;
+  },
+
+  fromStats(stats, parser = null) {
+    const _parser = parser || (typeof TypingParser !== "undefined" ? TypingParser : require("./typing-parser"));
+    return this.fingerprint(
+      _parser.parsePattern(stats.typingdna?.lastUserTp),
+      _parser.parsePattern(stats.typingdna?.lastPassTp)
+    );
+  },
+
+  // ============================================================
+  // 距离：错开 -maxShift..maxShift 个键对齐，取 (|Δseek| + |Δpress|) / 2 平均值的最小值
+  // 重叠部分少于 minOverlap 个键时不比较（返回 null）
+  // ============================================================
+  distance(a, b, minOverlap) {
+    const maxShift = this.config.maxShift;
+    let best = null;
+
+    for (let shift = -maxShift; shift <= maxShift; shift++) {
+      const start = Math.max(0, -shift);
+      const end = Math.min(a.length, b.length - shift);
+      const overlap = end - start;
+      if (overlap < minOverlap) continue;
+
+      let total = 0;
+      for (let i = start; i < end; i++) {
+        total += (Math.abs(a[i][0] - b[i + shift][0]) + Math.abs(a[i][1] - b[i + shift][1])) / 2;
+      }
+      const distance = total / overlap;
+      if (!best || distance < best.distance) best = { distance, overlap, shift };
+    }
+    return best;
+  },
+
+  // ============================================================
+  // 检查：与已保存的指纹比较，返回距离最小且不超过 maxDistance 的一条
+  // options: { maxDistance, minKeystrokes }（AutomationDetector.thresholds.replay），
+  //          session: 当前会话 id，同一会话之前保存的指纹不参与比较（同一页面重复分析）
+  // ============================================================
+  check(timings, username, options) {
+    if (!timings || timings.length < options.minKeystrokes) {
+      return { valid: false, compared: 0, match: null };
+    }
+
+    const account = this.hashAccount(username);
+    const entries = this.load();
+    let match = null;
+
+    entries.forEach(entry => {
+      if (options.session && entry.session === options.session) return;
+      const d = this.distance(timings, entry.timings, options.minKeystrokes);
+      if (!d || d.distance > options.maxDistance) return;
+      if (match && d.distance >= match.distance) return;
+      match = {
+        distance: Math.round(d.distance * 10) / 10,
+        overlap: d.overlap,
+        shift: d.shift,
+        sameAccount: !!account && entry.account === account,
+        at: entry.at
+      };
+    });
+
+    return { valid: true, compared: entries.length, match };
+  },
+
+  // 保存一次登录的指纹；同一会话再次保存时替换之前的记录
+  record(timings, username, session = null) {
+    if (!timings || !timings.length) return false;
+
+    const entries = this.load().filter(entry => !session || entry.session !== session);
+    entries.push({ account: this.hashAccount(username), session, at: new Date().toISOString(), timings });
+    this.save(entries.slice(-this.config.maxEntries));
+    return true;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ReplayStore;
+}
@@ -0,0 +1,215 @@
+/**
+ * Replay Viewer
+ * 在覆盖登录卡片的 canvas 上回放 EventRecorder 的记录：鼠标轨迹、点击、输入框内容随击键变化、当前按下的键
+ * stateAt(recording, t) 计算某一时刻的画面状态（不依赖 DOM），render 负责绘制
+ * 依赖: event-recorder.js
+ */
+
+const ReplayViewer = {
+
+  // ============================================================
+  // 配置
+  // ============================================================
+  config: {
+    keyFadeMs: 600,           // 按键提示显示时长
+    clickFadeMs: 800,         // 点击圆圈显示时长
+    colors: {
+      path: "rgba(102, 126, 234, 0.8)",
+      pointer: "#764ba2",
+      click: "rgba(245, 87, 108, 0.9)",
+      focus: "#667eea",
+      field: "rgba(255, 255, 255, 0.92)",
+      text: "#333",
+      untrusted: "#f5576c",
+      caption: "rgba(0, 0, 0, 0.6)",
+      backdrop: "rgba(255, 255, 255, 0.75)"
+    }
+  },
+
+  // 当前播放: { recording, canvas, speed, startedAt, raf, onEnd }
+  playback: null,
+
+  getRecorder() {
+    return typeof EventRecorder !== "undefined" ? EventRecorder : require("./event-recorder");
+  },
+
+  // ============================================================
+  // 某一时刻的状态
+  // ============================================================
+  stateAt(recording, t) {
+    const state = {
+      t,
+      path: [],               // 到 t 为止的指针位置
+      clicks: [],             // { x, y, age }
+      values: {},             // 字段名 -> 显示内容
+      focused: null,
+      key: null,              // { key, field, age, trusted }
+      untrusted: 0
+    };
+
+    for (const ev of recording.events) {
+      if (ev.t > t) break;
+      if (ev.trusted === false) state.untrusted++;
+
+      switch (ev.type) {
+        case "pointermove":
+        case "pointerdown":
+        case "pointerup":
+          state.path.push({ x: ev.x, y: ev.y });
+          if (ev.type === "pointerdown") state.clicks.push({ x: ev.x, y: ev.y, age: t - ev.t });
+          break;
+        case "keydown":
+          state.key = { key: ev.key, field: ev.field, age: t - ev.t, trusted: ev.trusted !== false };
+          break;
+        case "input":
+          if (ev.field) state.values[ev.field] = ev.value != null ? ev.value : "•".repeat(ev.length || 0);
+          break;
+        case "focus":
+          state.focused = ev.field;
+          break;
+        case "blur":
+          if (state.focused === ev.field) state.focused = null;
+          break;
+      }
+    }
+
+    state.clicks = state.clicks.filter(c => c.age <= this.config.clickFadeMs);
+    if (state.key && state.key.age > this.config.keyFadeMs) state.key = null;
+    return state;
+  },
+
+  // ============================================================
+  // 绘制
+  // ============================================================
+  render(canvas, recording, t) {
+    const ctx = canvas.getContext("2d");
+    const colors = this.config.colors;
+    const state = this.stateAt(recording, t);
+    // 记录区域与当前画布尺寸不同时等比缩放
+    const scale = Math.min(canvas.width / recording.frame.width, canvas.height / recording.frame.height);
+
+    ctx.save();
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.scale(scale, scale);
+    ctx.fillStyle = colors.backdrop;
+    ctx.fillRect(0, 0, recording.frame.width, recording.frame.height);
+
+    // 输入框
+    Object.entries(recording.fields || {}).forEach(([name, rect]) => {
+      ctx.fillStyle = colors.field;
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+      ctx.lineWidth = state.focused === name ? 2 : 1;
+      ctx.strokeStyle = state.focused === name ? colors.focus : "#ccc";
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+      if (state.values[name] !== undefined) {
+        ctx.fillStyle = colors.text;
+        ctx.font = "15px sans-serif";
+        ctx.textBaseline = "middle";
+        ctx.fillText(state.values[name], rect.x + 12, rect.y + rect.height / 2, rect.width - 24);
+      }
+    });
+
+    // 鼠标轨迹
+    if (state.path.length > 1) {
+      ctx.strokeStyle = colors.path;
+      ctx.lineWidth = 2;
+      ctx.lineJoin = "round";
+      ctx.beginPath();
+      ctx.moveTo(state.path[0].x, state.path[0].y);
+      state.path.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+      ctx.stroke();
+    }
+    if (state.path.length) {
+      const last = state.path[state.path.length - 1];
+      ctx.fillStyle = colors.pointer;
+      ctx.beginPath();
+      ctx.arc(last.x, last.y, 5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // 点击：逐渐扩大并淡出的圆圈
+    state.clicks.forEach(c => {
+      const progress = c.age / this.config.clickFadeMs;
+      ctx.strokeStyle = colors.click;
+      ctx.globalAlpha = 1 - progress;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, 8 + 16 * progress, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    });
+
+    // 当前按键：显示在所在输入框右侧，合成事件用红色
+    if (state.key) {
+      const rect = (recording.fields || {})[state.key.field];
+      const x = rect ? rect.x + rect.width - 12 : recording.frame.width / 2;
+      const y = rect ? rect.y + rect.height / 2 : 24;
+      ctx.globalAlpha = 1 - state.key.age / this.config.keyFadeMs;
+      ctx.fillStyle = state.key.trusted ? colors.focus : colors.untrusted;
+      ctx.font = "bold 14px ui-monospace, monospace";
+      ctx.textAlign = "right";
+      ctx.textBaseline = "middle";
+      ctx.fillText(state.key.key, x, y);
+      ctx.globalAlpha = 1;
+      ctx.textAlign = "left";
+    }
+
+    // 时间与合成事件计数
+    const total = this.getRecorder().duration(recording);
+    ctx.fillStyle = colors.caption;
+    ctx.font = "12px ui-monospace, monospace";
+    ctx.textBaseline = "bottom";
+    ctx.fillText(`${(t / 1000).toFixed(1)}s / ${(total / 1000).toFixed(1)}s` +
+      (state.untrusted ? `  untrusted: ${state.untrusted}` : ""), 8, recording.frame.height - 8);
+
+    ctx.restore();
+    return state;
+  },
+
+  // ============================================================
+  // 播放控制
+  // options: { speed: 1, onEnd }
+  // ============================================================
+  play(canvas, recording, options = {}) {
+    this.stop();
+    const playback = {
+      recording,
+      canvas,
+      speed: options.speed || 1,
+      startedAt: performance.now(),
+      raf: null,
+      onEnd: options.onEnd || null
+    };
+    this.playback = playback;
+
+    const total = this.getRecorder().duration(recording);
+    const frame = () => {
+      if (this.playback !== playback) return;
+      const t = Math.min(total, (performance.now() - playback.startedAt) * playback.speed);
+      this.render(canvas, recording, t);
+      if (t >= total) {
+        this.playback = null;
+        if (playback.onEnd) playback.onEnd();
+        return;
+      }
+      playback.raf = requestAnimationFrame(frame);
+    };
+    frame();
+  },
+
+  stop() {
+    const playback = this.playback;
+    if (!playback) return;
+    this.playback = null;
+    if (playback.raf) cancelAnimationFrame(playback.raf);
+  },
+
+  isPlaying() {
+    return !!this.playback;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ReplayViewer;
+}
@@ -0,0 +1,650 @@
+/**
+ * Report Renderers
+ * 把一个或多个会话（Export JSON 的格式 { exportedAt, label, stats, analysis }）渲染为报告：
+ *   html      独立的 HTML 文件：判定、命中的规则、特征与 SVG 图表，不引用外部资源
+ *   markdown  适合贴到工单里
+ *   csv       每个会话一行，列名固定（columns）
+ *   jsonl     每个会话一行 JSON：与 CSV 相同的列，加上 findings，适合日志管道
+ * 页面与 Node 都可以使用；register 可以添加新的格式
+ *
+ * 用法: node report-renderers.js <文件或目录...> [--format html|markdown|csv|jsonl] [--locale zh-CN] [--out 文件] [--reanalyze]
+ *       目录中读取 login-behavior-*.json（含子目录）；不指定 --out 时输出到 stdout
+ * 依赖: typing-parser.js, automation-detector.js, result-charts.js（以及 automation-detector 依赖的 rule-engine.js, messages.js）
+ */
+
+const ReportRenderers = {
+
+  FILE_PATTERN: /^login-behavior-.*\.json$/,
+
+  // ============================================================
+  // 配置
+  // ============================================================
+  config: {
+    chartWidth: 640           // HTML 报告中 SVG 图表的宽度
+  },
+
+  // 输出格式: { extension, mimeType, render(sessions, options, renderers) -> string }
+  formats: {
+    html: {
+      extension: "html",
+      mimeType: "text/html",
+      render: (sessions, options, renderers) => renderers.renderHtml(sessions, options)
+    },
+    markdown: {
+      extension: "md",
+      mimeType: "text/markdown",
+      render: (sessions, options, renderers) => renderers.renderMarkdown(sessions, options)
+    },
+    csv: {
+      extension: "csv",
+      mimeType: "text/csv",
+      render: (sessions, options, renderers) => renderers.renderCsv(sessions, options)
+    },
+    jsonl: {
+      extension: "jsonl",
+      mimeType: "application/x-ndjson",
+      render: (sessions, options, renderers) => renderers.renderJsonl(sessions, options)
+    }
+  },
+
+  // CSV / JSONL 的列: [列名, 取值函数]；列名与顺序不变，新列只加在末尾；缺失的值在 CSV 中为空，在 JSONL 中为 null
+  columns: [
+    ["exportedAt", s => s.exportedAt],
+    ["label", s => s.label],
+    ["verdict", s => s.analysis.isBot ? "bot" : "human"],
+    ["confidence", s => s.analysis.confidence],
+    ["botScore", s => s.analysis.scores?.bot],
+    ["humanScore", s => s.analysis.scores?.human],
+    ["policy", s => s.analysis.policy?.name],
+    ["policyVersion", s => s.analysis.policy?.version],
+    ["userKeystrokes", s => s.patterns.username?.keystrokeCount],
+    ["userSeekAvg", s => s.patterns.username?.seekTime.avg],
+    ["userSeekStd", s => s.patterns.username?.seekTime.std],
+    ["userPressAvg", s => s.patterns.username?.pressTime.avg],
+    ["userPressStd", s => s.patterns.username?.pressTime.std],
+    ["passKeystrokes", s => s.patterns.password?.keystrokeCount],
+    ["passSeekAvg", s => s.patterns.password?.seekTime.avg],
+    ["passSeekStd", s => s.patterns.password?.seekTime.std],
+    ["passPressAvg", s => s.patterns.password?.pressTime.avg],
+    ["passPressStd", s => s.patterns.password?.pressTime.std],
+    ["usernameToPasswordMs", s => s.stats.usernameToPasswordMs],
+    ["passwordToLoginMs", s => s.stats.passwordToLoginMs],
+    ["pasteUser", s => s.stats.pasteUser],
+    ["pastePass", s => s.stats.pastePass],
+    ["imeUser", s => s.stats.imeUser],
+    ["imePass", s => s.stats.imePass],
+    ["shiftCount", s => s.stats.shiftCount],
+    ["capsLockCount", s => s.stats.capsLockCount],
+    ["trajectoryPoints", s => s.stats.trajectory?.points],
+    ["trajectoryDistancePx", s => s.stats.trajectory?.distancePx],
+    ["untrustedEvents", s => s.stats.untrustedEvents],
+    ["totalKeyEvents", s => s.stats.totalKeyEvents],
+    ["webdriverDetected", s => s.stats.webdriverDetected],
+    ["deviceClass", s => s.stats.device?.deviceClass],
+    // 命中的规则 id（去重），以 ";" 分隔
+    ["botRules", s => ReportRenderers.ruleIds(s, "bot")],
+    ["humanRules", s => ReportRenderers.ruleIds(s, "human")],
+    // 评分方式（model / additive）；probabilityLow / High 为 95% 区间（0..1），additive 模式下为空
+    ["scoring", s => s.analysis.scoring?.mode],
+    ["scoringModel", s => s.analysis.scoring?.model],
+    ["probabilityLow", s => s.analysis.probability?.interval[0]],
+    ["probabilityHigh", s => s.analysis.probability?.interval[1]],
+    ["legacyConfidence", s => s.analysis.legacyConfidence]
+  ],
+
+  getParser() {
+    return typeof TypingParser !== "undefined" ? TypingParser : require("./typing-parser");
+  },
+
+  getDetector() {
+    return typeof AutomationDetector !== "undefined" ? AutomationDetector : require("./automation-detector");
+  },
+
+  getCharts() {
+    return typeof ResultCharts !== "undefined" ? ResultCharts : require("./result-charts");
+  },
+
+  getEngine() {
+    return this.getDetector().getEngine();
+  },
+
+  getMessages() {
+    return this.getEngine().getMessages();
+  },
+
+  // ============================================================
+  // 入口
+  // ============================================================
+  // entries: 一个或多个 Export JSON 对象
+  // options: { locale, reanalyze }；没有 analysis（或是没有 findings 的旧版本结果）时总是重新分析
+  render(format, entries, options = {}) {
+    const renderer = this.formats[format];
+    if (!renderer) {
+      throw new Error(`Unknown report format "${format}" (available: ${Object.keys(this.formats).join(", ")})`);
+    }
+    const locale = this.getMessages().resolveLocale(options.locale);
+    const sessions = (Array.isArray(entries) ? entries : [entries]).map(entry => this.prepare(entry, { ...options, locale }));
+    return renderer.render(sessions, { ...options, locale }, this);
+  },
+
+  register(name, renderer) {
+    if (!name || typeof name !== "string") throw new Error("Invalid report format: name must be a string");
+    if (!renderer || typeof renderer.render !== "function") {
+      throw new Error(`Invalid report format "${name}": render must be a function`);
+    }
+    this.formats[name] = { extension: name, mimeType: "text/plain", ...renderer };
+  },
+
+  filename(format, date = new Date()) {
+    return `login-report-${date.getTime()}.${this.formats[format].extension}`;
+  },
+
+  prepare(entry, options = {}) {
+    const parser = this.getParser();
+    const stats = (entry && entry.stats) || {};
+    let analysis = entry && entry.analysis;
+    if (options.reanalyze || !analysis || !analysis.findings) {
+      analysis = this.getDetector().analyze(stats, parser, { locale: options.locale, inferDevice: true });
+    } else {
+      analysis = { ...analysis, findings: this.sanitizeFindings(analysis.findings) };
+    }
+
+    return {
+      exportedAt: entry.exportedAt || null,
+      label: entry.label || null,
+      stats,
+      analysis,
+      patterns: {
+        username: parser.parsePattern(stats.typingdna?.lastUserTp),
+        password: parser.parsePattern(stats.typingdna?.lastPassTp)
+      }
+    };
+  },
+
+  // 导出文件中的命中结果不可信：丢弃非对象项，type 只能是 bot / human，weight、contribution 转为数字
+  sanitizeFindings(findings) {
+    const number = v => (typeof v === "number" && isFinite(v) ? v : 0);
+    return (Array.isArray(findings) ? findings : [])
+      .filter(f => f && typeof f === "object")
+      .map(f => ({
+        ...f,
+        type: f.type === "human" ? "human" : "bot",
+        weight: number(f.weight),
+        contribution: number(f.contribution)
+      }));
+  },
+
+  // ============================================================
+  // 公共数据
+  // ============================================================
+  row(session) {
+    const row = {};
+    this.columns.forEach(([name, value]) => {
+      const v = value(session);
+      row[name] = v === undefined ? null : v;
+    });
+    return row;
+  },
+
+  ruleIds(session, type) {
+    const ids = (session.analysis.findings || []).filter(f => f.type === type).map(f => f.rule);
+    return [...new Set(ids)].join(";");
+  },
+
+  // 不带 [字段] 前缀的原因（字段单独成列）；没有模板的说明使用原文
+  reasonText(finding, locale) {
+    if (!finding.message) return finding.reason || finding.text;
+    return this.getMessages().format(finding.message, finding.params || {}, locale);
+  },
+
+  fieldLabel(field, locale) {
+    if (!field) return "";
+    const messages = this.getMessages();
+    return messages.has(`field.${field}`) ? messages.format(`field.${field}`, {}, locale) : field;
+  },
+
+  // 命中的规则表格: [[规则, 类型, 字段, 观测值, 阈值, 权重, 贡献, 原因]]
+  findingRows(session, locale) {
+    const engine = this.getEngine();
+    const value = v => v === null || v === undefined || typeof v === "boolean" || typeof v === "string" ? "" : engine.formatValue(v);
+    return (session.analysis.findings || []).map(f => [
+      f.rule,
+      f.type,
+      this.fieldLabel(f.field, locale),
+      value(f.observed),
+      value(f.threshold),
+      f.weight === null || f.weight === undefined ? "" : String(f.weight),
+      `${f.contribution}%`,
+      this.reasonText(f, locale)
+    ]);
+  },
+
+  findingHeaders(locale) {
+    const t = key => this.getMessages().format(`export.col.${key}`, {}, locale);
+    return ["rule", "type", "field", "observed", "threshold", "weight", "contribution", "reason"].map(t);
+  },
+
+  // 每个字段一行: [字段, 击键数, SeekTime, PressTime]
+  timingRows(session, locale) {
+    return ["username", "password"].map(name => {
+      const pattern = session.patterns[name];
+      return [
+        this.fieldLabel(name, locale),
+        pattern ? String(pattern.keystrokeCount) : "-",
+        pattern ? `${pattern.seekTime.avg}ms / ${pattern.seekTime.std}ms` : "-",
+        pattern ? `${pattern.pressTime.avg}ms / ${pattern.pressTime.std}ms` : "-"
+      ];
+    });
+  },
+
+  timingHeaders(locale) {
+    const t = key => this.getMessages().format(key, {}, locale);
+    return [t("export.col.field"), t("ui.keystrokeCount"), t("ui.seekTime"), t("ui.pressTime")];
+  },
+
+  // 其他特征: [[名称, 值]]，名称与页面结果面板相同
+  featureRows(session, locale) {
+    const t = (key, params) => this.getMessages().format(key, params, locale);
+    const row = this.row(session);
+    const sum = (a, b) => a === null && b === null ? "-" : String((a || 0) + (b || 0));
+    return [
+      [t("ui.userToPass"), row.usernameToPasswordMs === null ? "-" : `${row.usernameToPasswordMs}ms`],
+      [t("ui.trajectoryPoints"), row.trajectoryPoints === null ? "-" : String(row.trajectoryPoints)],
+      [t("ui.pasteCount"), sum(row.pasteUser, row.pastePass)],
+      [t("ui.ime"), sum(row.imeUser, row.imePass)],
+      [t("ui.shift"), String(row.shiftCount || 0)],
+      [t("ui.capsLock"), String(row.capsLockCount || 0)],
+      [t("ui.untrusted"), `${row.untrustedEvents || 0}/${row.totalKeyEvents || 0}`],
+      [t("ui.webdriver"), t(row.webdriverDetected ? "ui.yes" : "ui.no")],
+      [t("ui.touch"), row.deviceClass || "-"]
+    ];
+  },
+
+  // 标题行下的摘要: 判定、概率与策略、概率区间与旧加权计分、得分
+  summaryLines(session, locale) {
+    const t = (key, params) => this.getMessages().format(key, params, locale);
+    const analysis = session.analysis;
+    const lines = [];
+    if (session.exportedAt) lines.push(t("export.exportedAt", { date: session.exportedAt }));
+    if (session.label) lines.push(t("export.label", { label: session.label }));
+    lines.push(analysis.policy
+      ? t("ui.confidencePolicy", { confidence: analysis.confidence, policy: analysis.policy.name, version: analysis.policy.version })
+      : t("ui.confidence", { confidence: analysis.confidence }));
+    if (analysis.probability) {
+      const [low, high] = analysis.probability.interval.map(v => Math.round(v * 100));
+      lines.push(t("ui.confidenceInterval", { low, high }));
+      lines.push(t("ui.scoringModel", { model: analysis.scoring.model, legacy: analysis.legacyConfidence }));
+    }
+    if (analysis.scores) lines.push(t("export.scores", analysis.scores));
+    return lines;
+  },
+
+  sessionTitle(session, index, locale) {
+    const t = key => this.getMessages().format(key, { index: index + 1 }, locale);
+    return `${t("export.session")} — ${t(session.analysis.isBot ? "verdict.bot" : "verdict.human")} (${session.analysis.confidence}%)`;
+  },
+
+  // 多个会话时的总览
+  overview(sessions, locale) {
+    const bots = sessions.filter(s => s.analysis.isBot).length;
+    return this.getMessages().format("export.summary",
+      { count: sessions.length, bots, humans: sessions.length - bots }, locale);
+  },
+
+  // ============================================================
+  // Markdown
+  // ============================================================
+  renderMarkdown(sessions, options = {}) {
+    const locale = options.locale;
+    const t = key => this.getMessages().format(key, {}, locale);
+    const cell = v => String(v).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+    const table = (headers, rows) => [
+      `| ${headers.map(cell).join(" | ")} |`,
+      `| ${headers.map(() => "---").join(" | ")} |`,
+      ...rows.map(r => `| ${r.map(cell).join(" | ")} |`)
+    ];
+
+    const lines = [`# ${t("export.title")}`, ""];
+    if (sessions.length > 1) lines.push(this.overview(sessions, locale), "");
+
+    sessions.forEach((session, index) => {
+      lines.push(`## ${this.sessionTitle(session, index, locale)}`, "");
+      this.summaryLines(session, locale).forEach(line => lines.push(`- ${line}`));
+      lines.push("", `### ${t("export.findings")}`, "");
+
+      const findings = this.findingRows(session, locale);
+      if (findings.length) {
+        lines.push(...table(this.findingHeaders(locale), findings.map(r => [`\`${r[0]}\``, ...r.slice(1)])));
+      } else {
+        lines.push(t("export.noFindings"));
+      }
+
+      lines.push("", `### ${t("export.features")}`, "");
+      lines.push(...table(this.timingHeaders(locale), this.timingRows(session, locale)), "");
+      this.featureRows(session, locale).forEach(([name, value]) => lines.push(`- ${name}: ${value}`));
+      lines.push("");
+    });
+
+    return lines.join("\n");
+  },
+
+  // ============================================================
+  // CSV / JSON Lines
+  // ============================================================
+  // 以 = + - @ 制表符或回车开头的文字会被电子表格当作公式执行，前面加 ' 并加引号（数字保持原样）
+  csvCell(value) {
+    if (value === null || value === undefined) return "";
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(value)) {
+      return `"'${value.replace(/"/g, '""')}"`;
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  renderCsv(sessions) {
+    const lines = [this.columns.map(([name]) => name).join(",")];
+    sessions.forEach(session => {
+      const row = this.row(session);
+      lines.push(this.columns.map(([name]) => this.csvCell(row[name])).join(","));
+    });
+    return lines.join("\n") + "\n";
+  },
+
+  renderJsonl(sessions, options = {}) {
+    const engine = this.getEngine();
+    return sessions.map(session => JSON.stringify({
+      ...this.row(session),
+      findings: (session.analysis.findings || []).map(f => ({
+        rule: f.rule,
+        type: f.type,
+        field: f.field,
+        observed: f.observed,
+        threshold: f.threshold,
+        weight: f.weight,
+        contribution: f.contribution,
+        text: engine.localize(f, options.locale)
+      }))
+    })).join("\n") + "\n";
+  },
+
+  // ============================================================
+  // HTML
+  // ============================================================
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  },
+
+  renderHtml(sessions, options = {}) {
+    const locale = options.locale;
+    const t = key => this.getMessages().format(key, {}, locale);
+    const esc = v => this.escapeHtml(v);
+    const colors = this.getCharts().config.colors;
+    // headers 为 null 时不输出表头
+    const table = (headers, rows, rowClass = () => "") => "<table>" +
+      (headers ? `<thead><tr>${headers.map(h => `<th>${esc(h)}</th>`).join("")}</tr></thead>` : "") +
+      `<tbody>${rows.map((r, i) => `<tr class="${esc(rowClass(i))}">${r.map(c => `<td>${esc(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+
+    const body = sessions.map((session, index) => {
+      const findings = session.analysis.findings || [];
+      const timing = pattern => pattern ? [
+        // 第一个键没有上一个键，它的 seek time 不是间隔
+        { label: "Seek", values: pattern.keystrokes.slice(1).map(k => k.seekTime), color: colors.seek },
+        { label: "Press", values: pattern.keystrokes.map(k => k.pressTime), color: colors.press }
+      ] : [];
+
+      return `<section class="session ${session.analysis.isBot ? "bot" : "human"}">
+<h2>${esc(this.sessionTitle(session, index, locale))}</h2>
+<ul class="meta">${this.summaryLines(session, locale).map(line => `<li>${esc(line)}</li>`).join("")}</ul>
+<h3>${esc(t("export.findings"))}</h3>
+${findings.length
+    ? table(this.findingHeaders(locale), this.findingRows(session, locale), i => findings[i].type)
+    : `<p>${esc(t("export.noFindings"))}</p>`}
+<h3>${esc(t("export.features"))}</h3>
+${table(this.timingHeaders(locale), this.timingRows(session, locale))}
+${table(null, this.featureRows(session, locale))}
+<h3>${esc(t("export.charts"))}</h3>
+<div class="chart-title">${esc(t("ui.chart.userTiming"))}</div>
+${this.svgHistograms(timing(session.patterns.username), locale)}
+<div class="chart-title">${esc(t("ui.chart.passTiming"))}</div>
+${this.svgHistograms(timing(session.patterns.password), locale)}
+<div class="chart-title">${esc(t("ui.chart.trajectory"))}</div>
+${this.svgTrajectory(session.stats.trajectory?.sample, locale)}
+<div class="chart-title">${esc(t("ui.chart.rules"))}</div>
+${this.svgContributions(this.getCharts().ruleContributions(findings, session.analysis.scores), locale)}
+</section>`;
+    }).join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="${esc(locale)}">
+<head>
+<meta charset="UTF-8">
+<title>${esc(t("export.title"))}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #333; max-width: 760px; margin: 24px auto; padding: 0 16px; }
+  .session { border: 1px solid #e0e0e0; border-radius: 10px; padding: 16px 20px; margin: 20px 0; }
+  .session.bot h2 { color: ${colors.bot}; }
+  .session.human h2 { color: #11998e; }
+  .meta { padding-left: 18px; color: #555; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0; font-size: 13px; }
+  th, td { border-bottom: 1px solid #eee; padding: 4px 6px; text-align: left; vertical-align: top; }
+  tr.bot td:first-child { border-left: 3px solid ${colors.bot}; }
+  tr.human td:first-child { border-left: 3px solid ${colors.human}; }
+  .chart-title { font-size: 12px; color: #666; margin: 12px 0 4px; }
+  svg { display: block; width: 100%; height: auto; }
+</style>
+</head>
+<body>
+<h1>${esc(t("export.title"))}</h1>
+${sessions.length > 1 ? `<p>${esc(this.overview(sessions, locale))}</p>` : ""}
+${body}
+</body>
+</html>
+`;
+  },
+
+  // ============================================================
+  // SVG 图表（与 ResultCharts 在页面上画的内容相同）
+  // ============================================================
+  svg(height, content) {
+    const width = this.config.chartWidth;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" ` +
+      `font-family="ui-monospace, monospace" font-size="10">${content}</svg>`;
+  },
+
+  svgEmpty(height, text) {
+    const colors = this.getCharts().config.colors;
+    return this.svg(height, `<text x="${this.config.chartWidth / 2}" y="${height / 2}" text-anchor="middle" ` +
+      `dominant-baseline="middle" fill="${colors.text}">${this.escapeHtml(text)}</text>`);
+  },
+
+  svgHistograms(series, locale) {
+    const charts = this.getCharts();
+    const colors = charts.config.colors;
+    const width = this.config.chartWidth;
+    const height = charts.config.histogramHeight;
+    const valid = series.filter(s => s.values && s.values.length);
+    if (!valid.length) return this.svgEmpty(height, this.getMessages().format("export.noKeystrokes", {}, locale));
+
+    const r = v => Math.round(v * 10) / 10;
+    const gap = 16;
+    const panelWidth = (width - gap * (valid.length - 1)) / valid.length;
+    const parts = valid.map((s, index) => {
+      const hist = charts.histogram(s.values);
+      const left = index * (panelWidth + gap);
+      const top = 14;
+      const bottom = height - 14;
+      const peak = Math.max(...hist.counts);
+      const barWidth = panelWidth / hist.counts.length;
+
+      const bars = hist.counts.map((count, i) => {
+        const h = peak > 0 ? (bottom - top) * count / peak : 0;
+        return `<rect x="${r(left + i * barWidth + 1)}" y="${r(bottom - h)}" width="${r(barWidth - 2)}" height="${r(h)}" fill="${s.color}"/>`;
+      }).join("");
+      const maxLabel = `${hist.clipped ? "≥" : ""}${Math.round(hist.max)}ms`;
+      return bars +
+        `<line x1="${r(left)}" y1="${bottom + 0.5}" x2="${r(left + panelWidth)}" y2="${bottom + 0.5}" stroke="${colors.axis}"/>` +
+        `<text x="${r(left)}" y="10" fill="${colors.text}">${this.escapeHtml(`${s.label} (n=${s.values.length})`)}</text>` +
+        `<text x="${r(left)}" y="${height - 2}" fill="${colors.text}">${Math.round(hist.min)}</text>` +
+        `<text x="${r(left + panelWidth)}" y="${height - 2}" text-anchor="end" fill="${colors.text}">${maxLabel}</text>`;
+    });
+    return this.svg(height, parts.join(""));
+  },
+
+  // 导出数据中没有视口尺寸与输入框位置，按轨迹本身的范围缩放
+  svgTrajectory(sample, locale) {
+    const charts = this.getCharts();
+    const colors = charts.config.colors;
+    const width = this.config.chartWidth;
+    const height = charts.config.trajectoryHeight;
+    if (!sample || sample.length < 2) {
+      return this.svgEmpty(height, this.getMessages().format("export.noTrajectory", {}, locale));
+    }
+
+    const pad = 10;
+    const xs = sample.map(p => p.x);
+    const ys = sample.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = Math.max(1, Math.max(...xs) - minX);
+    const spanY = Math.max(1, Math.max(...ys) - minY);
+    const scale = Math.min((width - pad * 2) / spanX, (height - pad * 2) / spanY);
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+    const px = x => Math.round((offsetX + (x - minX) * scale) * 10) / 10;
+    const py = y => Math.round((offsetY + (y - minY) * scale) * 10) / 10;
+
+    const first = sample[0];
+    const last = sample[sample.length - 1];
+    return this.svg(height,
+      `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" fill="none" stroke="${colors.axis}"/>` +
+      `<polyline points="${sample.map(p => `${px(p.x)},${py(p.y)}`).join(" ")}" fill="none" stroke="${colors.path}" ` +
+      `stroke-width="1.5" stroke-linejoin="round"/>` +
+      // 起点与终点
+      `<circle cx="${px(first.x)}" cy="${py(first.y)}" r="3" fill="${colors.human}"/>` +
+      `<circle cx="${px(last.x)}" cy="${py(last.y)}" r="3" fill="${colors.bot}"/>`);
+  },
+
+  // 每条规则一行：Bot 规则向右，Human 规则向左
+  svgContributions(contributions, locale) {
+    const charts = this.getCharts();
+    const colors = charts.config.colors;
+    const width = this.config.chartWidth;
+    const rowHeight = charts.config.ruleRowHeight;
+    const height = Math.max(40, contributions.length * rowHeight + 8);
+    if (!contributions.length) return this.svgEmpty(height, this.getMessages().format("export.noFindings", {}, locale));
+
+    const r = v => Math.round(v * 10) / 10;
+    const labelWidth = Math.min(170, width * 0.45);
+    const center = labelWidth + (width - labelWidth) / 2;
+    const half = (width - labelWidth) / 2 - 4;
+    const maxWeight = Math.max(...contributions.map(c => c.weight));
+
+    const rows = contributions.map((c, i) => {
+      const y = 4 + i * rowHeight;
+      const w = half * c.weight / maxWeight;
+      const isBot = c.type === "bot";
+      const label = c.hits > 1 ? `${c.rule} ×${c.hits}` : c.rule;
+      const middle = r(y + rowHeight / 2 + 3);
+      return `<rect x="${r(isBot ? center : center - w)}" y="${y + 2}" width="${r(w)}" height="${rowHeight - 6}" ` +
+        `fill="${isBot ? colors.bot : colors.human}"/>` +
+        `<text x="0" y="${middle}" fill="${colors.text}">${this.escapeHtml(label)}</text>` +
+        `<text x="${r(isBot ? center - 4 : center + 4)}" y="${middle}" text-anchor="${isBot ? "end" : "start"}" ` +
+        `fill="${colors.text}">${this.escapeHtml(c.weight)} (${this.escapeHtml(c.share)}%)</text>`;
+    });
+    return this.svg(height, rows.join("") +
+      `<line x1="${r(center) + 0.5}" y1="0" x2="${r(center) + 0.5}" y2="${height}" stroke="${colors.axis}"/>`);
+  },
+
+  // ============================================================
+  // 命令行
+  // ============================================================
+  parseArgs(argv) {
+    const args = { inputs: [], format: "html", locale: null, out: null, reanalyze: false };
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg === "--format") args.format = argv[++i];
+      else if (arg === "--locale") args.locale = argv[++i];
+      else if (arg === "--out") args.out = argv[++i];
+      else if (arg === "--reanalyze") args.reanalyze = true;
+      else args.inputs.push(arg);
+    }
+    return args;
+  },
+
+  // 文件直接读取；目录中读取 login-behavior-*.json（含子目录，按路径排序）
+  loadEntries(inputs) {
+    const fs = require("fs");
+    const path = require("path");
+    const files = [];
+    const walk = dir => {
+      fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+          const full = path.join(dir, entry.name);
+          if (entry.isDirectory()) walk(full);
+          else if (this.FILE_PATTERN.test(entry.name)) files.push(full);
+        });
+    };
+    const entries = [];
+    const skipped = [];
+    inputs.forEach(input => {
+      if (!fs.existsSync(input)) skipped.push({ file: input, reason: "Not found" });
+      else if (fs.statSync(input).isDirectory()) walk(input);
+      else files.push(input);
+    });
+
+    files.forEach(file => {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (err) {
+        skipped.push({ file, reason: "Invalid JSON" });
+        return;
+      }
+      if (!data || !data.stats || typeof data.stats !== "object") {
+        skipped.push({ file, reason: "No stats object" });
+        return;
+      }
+      entries.push(data);
+    });
+    return { entries, skipped };
+  },
+
+  main(argv) {
+    const fs = require("fs");
+    const args = this.parseArgs(argv);
+    if (!args.inputs.length || !this.formats[args.format]) {
+      console.error("Usage: node report-renderers.js <file|dir...> [--format html|markdown|csv|jsonl] [--locale en|zh-CN] [--out file] [--reanalyze]");
+      return 1;
+    }
+
+    const { entries, skipped } = this.loadEntries(args.inputs);
+    skipped.forEach(s => console.error(`Skipped ${s.file}: ${s.reason}`));
+    if (!entries.length) {
+      console.error("No sessions to report");
+      return 1;
+    }
+
+    const output = this.render(args.format, entries, { locale: args.locale, reanalyze: args.reanalyze });
+    if (args.out) {
+      fs.writeFileSync(args.out, output);
+      console.error(`Wrote ${entries.length} session(s) to ${args.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return 0;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ReportRenderers;
+}
+
+if (typeof require !== "undefined" && require.main === module) {
+  process.exitCode = ReportRenderers.main(process.argv.slice(2));
+}
@@ -0,0 +1,235 @@
+/**
+ * Result Charts
+ * 结果面板中的图表（canvas 绘制，不依赖图表库）：每个字段的 seek / press 直方图、鼠标轨迹、各规则对 Bot / Human 分的贡献
+ * histogram / ruleContributions 只计算数据（不依赖 DOM），draw* 负责绘制
+ * 空图表的提示文字按 Messages.locale 由 messages.js 生成（依赖: messages.js）
+ */
+
+const ResultCharts = {
+
+  // ============================================================
+  // 配置
+  // ============================================================
+  config: {
+    bins: 12,                 // 直方图分箱数
+    clipPercentile: 0.95,     // 超过 95 分位的值归入最后一箱（长停顿不压扁其余部分）
+    histogramHeight: 110,
+    trajectoryHeight: 180,
+    ruleRowHeight: 18,
+    colors: {
+      seek: "#667eea",
+      press: "#38ef7d",
+      bot: "#f5576c",
+      human: "#38ef7d",
+      path: "rgba(102, 126, 234, 0.8)",
+      field: "rgba(118, 75, 162, 0.25)",
+      axis: "#ccc",
+      text: "#666"
+    }
+  },
+
+  // ============================================================
+  // 数据
+  // ============================================================
+  // { min, max, binWidth, counts, clipped }；clipped: 归入最后一箱的超出值个数
+  histogram(values, bins = this.config.bins) {
+    const sorted = values.filter(v => typeof v === "number" && isFinite(v)).sort((a, b) => a - b);
+    if (!sorted.length) return null;
+
+    const min = sorted[0];
+    const clipAt = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * this.config.clipPercentile))];
+    const max = Math.max(clipAt, min + 1);
+    const binWidth = (max - min) / bins;
+    const counts = new Array(bins).fill(0);
+    let clipped = 0;
+
+    sorted.forEach(v => {
+      if (v > max) clipped++;
+      counts[Math.min(bins - 1, Math.floor((Math.min(v, max) - min) / binWidth))]++;
+    });
+    return { min, max, binWidth, counts, clipped };
+  },
+
+  // 按规则汇总命中（字段规则在两个字段都命中时合并），share: 占该类型总分的百分比
+  ruleContributions(findings, scores) {
+    const byRule = {};
+    (findings || []).forEach(f => {
+      const entry = byRule[f.rule] || (byRule[f.rule] = { rule: f.rule, type: f.type, weight: 0, hits: 0 });
+      entry.weight += f.weight;
+      entry.hits++;
+    });
+
+    return Object.values(byRule)
+      .filter(entry => entry.weight !== 0)
+      .map(entry => {
+        const total = scores ? scores[entry.type] : 0;
+        return { ...entry, share: total > 0 ? Math.round(entry.weight / total * 100) : 0 };
+      })
+      .sort((a, b) => b.weight - a.weight);
+  },
+
+  // ============================================================
+  // 绘制
+  // ============================================================
+  // 按 CSS 宽度与设备像素比设置画布，返回已缩放的 context
+  setupCanvas(canvas, height) {
+    const ratio = (typeof window !== "undefined" && window.devicePixelRatio) || 1;
+    const width = canvas.clientWidth || 300;
+    canvas.style.height = `${height}px`;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = "10px ui-monospace, monospace";
+    return { ctx, width, height };
+  },
+
+  getMessages() {
+    return typeof Messages !== "undefined" ? Messages : require("./messages");
+  },
+
+  // key: messages.js 中的提示文字
+  drawEmpty(ctx, width, height, key) {
+    const text = this.getMessages().format(key);
+    ctx.fillStyle = this.config.colors.text;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(text, width / 2, height / 2);
+    ctx.textAlign = "left";
+  },
+
+  // series: [{ label, values, color }]，每个系列一个并排的直方图
+  drawHistograms(canvas, series) {
+    const { ctx, width, height } = this.setupCanvas(canvas, this.config.histogramHeight);
+    const colors = this.config.colors;
+    const valid = series.filter(s => s.values && s.values.length);
+    if (!valid.length) {
+      this.drawEmpty(ctx, width, height, "export.noKeystrokes");
+      return;
+    }
+
+    const gap = 16;
+    const panelWidth = (width - gap * (valid.length - 1)) / valid.length;
+    valid.forEach((s, index) => {
+      const hist = this.histogram(s.values);
+      const left = index * (panelWidth + gap);
+      const top = 14;
+      const bottom = height - 14;
+      const peak = Math.max(...hist.counts);
+      const barWidth = panelWidth / hist.counts.length;
+
+      ctx.fillStyle = s.color;
+      hist.counts.forEach((count, i) => {
+        const h = peak > 0 ? (bottom - top) * count / peak : 0;
+        ctx.fillRect(left + i * barWidth + 1, bottom - h, barWidth - 2, h);
+      });
+
+      ctx.strokeStyle = colors.axis;
+      ctx.beginPath();
+      ctx.moveTo(left, bottom + 0.5);
+      ctx.lineTo(left + panelWidth, bottom + 0.5);
+      ctx.stroke();
+
+      ctx.fillStyle = colors.text;
+      ctx.textBaseline = "top";
+      ctx.fillText(`${s.label} (n=${s.values.length})`, left, 0);
+      ctx.fillText(`${Math.round(hist.min)}`, left, bottom + 2);
+      const maxLabel = `${hist.clipped ? "≥" : ""}${Math.round(hist.max)}ms`;
+      ctx.textAlign = "right";
+      ctx.fillText(maxLabel, left + panelWidth, bottom + 2);
+      ctx.textAlign = "left";
+    });
+  },
+
+  // 轨迹画在缩小的页面区域里；viewport: 采集时的视口尺寸；rects: 参考用的输入框位置 [{ label, x, y, width, height }]
+  drawTrajectory(canvas, sample, viewport, rects = []) {
+    const { ctx, width, height } = this.setupCanvas(canvas, this.config.trajectoryHeight);
+    const colors = this.config.colors;
+    const scale = Math.min(width / viewport.width, height / viewport.height);
+    const offsetX = (width - viewport.width * scale) / 2;
+    const offsetY = (height - viewport.height * scale) / 2;
+    const px = x => offsetX + x * scale;
+    const py = y => offsetY + y * scale;
+
+    ctx.strokeStyle = colors.axis;
+    ctx.strokeRect(px(0) + 0.5, py(0) + 0.5, viewport.width * scale - 1, viewport.height * scale - 1);
+
+    rects.forEach(r => {
+      ctx.fillStyle = colors.field;
+      ctx.fillRect(px(r.x), py(r.y), r.width * scale, r.height * scale);
+      ctx.fillStyle = colors.text;
+      ctx.textBaseline = "bottom";
+      ctx.fillText(r.label, px(r.x), py(r.y) - 1);
+    });
+
+    if (!sample || sample.length < 2) {
+      this.drawEmpty(ctx, width, height, "export.noTrajectory");
+      return;
+    }
+
+    ctx.strokeStyle = colors.path;
+    ctx.lineWidth = 1.5;
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    ctx.moveTo(px(sample[0].x), py(sample[0].y));
+    sample.slice(1).forEach(p => ctx.lineTo(px(p.x), py(p.y)));
+    ctx.stroke();
+
+    // 起点与终点
+    [[sample[0], colors.human], [sample[sample.length - 1], colors.bot]].forEach(([p, color]) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(px(p.x), py(p.y), 3, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.lineWidth = 1;
+  },
+
+  // 每条规则一行：Bot 规则向右（红），Human 规则向左（绿），标注权重与占比
+  drawContributions(canvas, contributions) {
+    const rowHeight = this.config.ruleRowHeight;
+    const { ctx, width, height } = this.setupCanvas(canvas, Math.max(40, contributions.length * rowHeight + 8));
+    const colors = this.config.colors;
+    if (!contributions.length) {
+      this.drawEmpty(ctx, width, height, "export.noFindings");
+      return;
+    }
+
+    const labelWidth = Math.min(170, width * 0.45);
+    const center = labelWidth + (width - labelWidth) / 2;
+    const half = (width - labelWidth) / 2 - 4;
+    const maxWeight = Math.max(...contributions.map(c => c.weight));
+
+    contributions.forEach((c, i) => {
+      const y = 4 + i * rowHeight;
+      const w = half * c.weight / maxWeight;
+      ctx.fillStyle = c.type === "bot" ? colors.bot : colors.human;
+      if (c.type === "bot") ctx.fillRect(center, y + 2, w, rowHeight - 6);
+      else ctx.fillRect(center - w, y + 2, w, rowHeight - 6);
+
+      ctx.fillStyle = colors.text;
+      ctx.textBaseline = "middle";
+      ctx.fillText(c.hits > 1 ? `${c.rule} ×${c.hits}` : c.rule, 0, y + rowHeight / 2 - 1, labelWidth - 6);
+      const label = `${c.weight} (${c.share}%)`;
+      if (c.type === "bot") {
+        ctx.textAlign = "right";
+        ctx.fillText(label, center - 4, y + rowHeight / 2 - 1);
+      } else {
+        ctx.fillText(label, center + 4, y + rowHeight / 2 - 1);
+      }
+      ctx.textAlign = "left";
+    });
+
+    ctx.strokeStyle = colors.axis;
+    ctx.beginPath();
+    ctx.moveTo(center + 0.5, 0);
+    ctx.lineTo(center + 0.5, height);
+    ctx.stroke();
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ResultCharts;
+}
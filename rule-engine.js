@@ -0,0 +1,274 @@
+/**
+ * Rule Engine
+ * 规则注册表：每项检测是一条规则（id / category / 默认权重 / 启用开关）
+ * 可以注册自定义规则、禁用内置规则、调整权重，无需修改检测器源码
+ * 说明文字按 ctx.locale 由 messages.js 的模板生成（依赖: messages.js）
+ *
+ * 规则格式:
+ * {
+ *   id: "typing.seekTooFast",       // 唯一标识
+ *   category: "typing",             // 分类
+ *   type: "bot" | "human",          // 计入 Bot 分还是 Human 分
+ *   weight: 3,                      // 默认权重
+ *   scope: "field" | "session",     // field: 对每个输入框分别执行
+ *   tag: "SeekTime",                // 可选，原因前缀
+ *   enabled: true,                  // 可选，默认启用
+ *   evaluate(ctx, field) { ... }    // 未命中返回 null；命中返回原因字符串，或 { params, observed, threshold, ... }
+ *                                   // （说明由 "rule.<id>" 模板生成，也可以用 message 指定模板、用 reason 直接给出文字）
+ * }
+ *
+ * 命中结果（finding）:
+ * {
+ *   rule, category, type, weight,
+ *   field,                          // 字段名（session 规则为 null）
+ *   observed,                       // 观测值（数字，或多个值组成的对象；规则未给出时为 null）
+ *   threshold,                      // 比较的阈值（数字、{ min, max } 等；没有阈值的规则为 null）
+ *   contribution,                   // 贡献（百分点）。additive 评分: 权重占总分的比例，bot 规则之和为 legacyConfidence
+ *                                   // model 评分: 见 addModelContributions，基线概率加上所有贡献为 confidence
+ *   message, params,                // 说明的模板键与参数（规则直接返回文字时为 null），可用 localize 换成其他语言
+ *   tag,                            // 规则标签（说明前缀）
+ *   reason,                         // 说明文字
+ *   text                            // 带字段 / 标签前缀的说明，如 "[Password] Key press too uniform (std=4ms)"
+ * }
+ */
+
+const RuleEngine = {
+
+  // ============================================================
+  // 创建规则注册表
+  // ============================================================
+  createRegistry(definitions = []) {
+    const engine = this;
+
+    const registry = {
+      rules: [],
+
+      register(rule) {
+        const errors = engine.validateRule(rule);
+        if (this.get(rule && rule.id)) errors.push(`Rule "${rule.id}" is already registered`);
+        if (errors.length) {
+          throw new Error(`Invalid rule: ${errors.join("; ")}`);
+        }
+
+        // 复制定义，避免多个注册表共享启用状态和权重
+        const entry = {
+          ...rule,
+          scope: rule.scope || "session",
+          enabled: rule.enabled !== false
+        };
+        this.rules.push(entry);
+        return entry;
+      },
+
+      unregister(id) {
+        const index = this.rules.findIndex(r => r.id === id);
+        if (index === -1) return false;
+        this.rules.splice(index, 1);
+        return true;
+      },
+
+      get(id) {
+        return this.rules.find(r => r.id === id) || null;
+      },
+
+      enable(id) {
+        return this.update(id, { enabled: true });
+      },
+
+      disable(id) {
+        return this.update(id, { enabled: false });
+      },
+
+      setWeight(id, weight) {
+        if (typeof weight !== "number" || !isFinite(weight)) return false;
+        return this.update(id, { weight });
+      },
+
+      update(id, changes) {
+        const rule = this.get(id);
+        if (!rule) return false;
+        Object.assign(rule, changes);
+        return true;
+      },
+
+      list(filter = {}) {
+        return this.rules.filter(r => engine.matches(r, filter));
+      },
+
+      run(ctx, filter = {}) {
+        return engine.run(this, ctx, filter);
+      }
+    };
+
+    definitions.forEach(d => registry.register(d));
+    return registry;
+  },
+
+  validateRule(rule) {
+    const errors = [];
+    if (!rule || typeof rule !== "object") return ["rule must be an object"];
+
+    if (typeof rule.id !== "string" || !rule.id) errors.push(`"id" must be a non-empty string`);
+    if (typeof rule.category !== "string" || !rule.category) errors.push(`"category" must be a non-empty string`);
+    if (rule.type !== "bot" && rule.type !== "human") errors.push(`"type" must be "bot" or "human"`);
+    if (typeof rule.weight !== "number" || !isFinite(rule.weight)) errors.push(`"weight" must be a finite number`);
+    if (rule.scope !== undefined && rule.scope !== "field" && rule.scope !== "session") {
+      errors.push(`"scope" must be "field" or "session"`);
+    }
+    if (typeof rule.evaluate !== "function") errors.push(`"evaluate" must be a function`);
+
+    return errors;
+  },
+
+  // filter: { categories: [...], ids: [...], exclude: [...] }
+  matches(rule, filter) {
+    if (filter.categories && !filter.categories.includes(rule.category)) return false;
+    if (filter.ids && !filter.ids.includes(rule.id)) return false;
+    if (filter.exclude && filter.exclude.includes(rule.id)) return false;
+    return true;
+  },
+
+  // ============================================================
+  // 执行规则
+  // 先对每个字段执行 field 规则，再执行 session 规则（均按注册顺序）
+  // ============================================================
+  run(registry, ctx, filter = {}) {
+    const messages = this.getMessages();
+    const selected = registry.rules.filter(r => r.enabled && this.matches(r, filter));
+    const findings = [];
+    const errors = [];
+
+    const evaluate = (rule, field) => {
+      let outcome;
+      try {
+        outcome = rule.evaluate(ctx, field);
+      } catch (err) {
+        // 自定义规则出错不影响其它规则
+        console.error(`Rule "${rule.id}" failed:`, err);
+        errors.push({ rule: rule.id, error: err.message });
+        return;
+      }
+      if (!outcome) return;
+
+      const finding = typeof outcome === "string" ? { reason: outcome } : { ...outcome };
+      if (finding.observed === undefined) finding.observed = null;
+      if (finding.threshold === undefined) finding.threshold = null;
+      if (finding.reason === undefined) {
+        finding.message = finding.message || `rule.${rule.id}`;
+        finding.params = finding.params || {};
+        finding.reason = messages.format(finding.message, finding.params, ctx.locale);
+      } else {
+        finding.message = null;
+        finding.params = null;
+      }
+      finding.rule = rule.id;
+      finding.category = rule.category;
+      finding.type = rule.type;
+      finding.weight = rule.weight;
+      finding.field = field ? field.name : null;
+      finding.tag = rule.tag || null;
+      finding.text = this.formatReason(finding.tag, field && (messages.has(`field.${field.name}`)
+        ? messages.format(`field.${field.name}`, {}, ctx.locale) : field.label), finding.reason, ctx.locale);
+      findings.push(finding);
+    };
+
+    (ctx.fields || []).forEach(field => {
+      selected.filter(r => r.scope === "field").forEach(rule => evaluate(rule, field));
+    });
+    selected.filter(r => r.scope !== "field").forEach(rule => evaluate(rule, null));
+
+    const scores = { bot: 0, human: 0 };
+    findings.forEach(f => { scores[f.type] += f.weight; });
+    this.addContributions(findings, scores);
+
+    return { findings, scores, errors };
+  },
+
+  // additive 评分: confidence = bot / (bot + human)，每条命中按权重占总分的比例计入（保留一位小数）
+  addContributions(findings, scores) {
+    const total = scores.bot + scores.human;
+    findings.forEach(f => {
+      f.contribution = total > 0 ? Math.round(f.weight / total * 1000) / 10 : 0;
+    });
+    return findings;
+  },
+
+  // model 评分: 把 P(bot) 相对基线概率的变化按各规则的 logit 项（系数 × 1）分给命中（百分点，保留一位小数）
+  // 同一规则在多个字段命中时平分该项；human 规则的项为负，贡献也为负
+  // probability: ScoringModel.evaluate 的结果
+  addModelContributions(findings, probability) {
+    const terms = {};
+    probability.terms.forEach(t => { terms[t.rule] = t.term; });
+    const hits = {};
+    findings.forEach(f => { hits[f.rule] = (hits[f.rule] || 0) + 1; });
+
+    const total = probability.logit - probability.baseline;
+    const delta = (probability.value - probability.baselineValue) * 100;
+    findings.forEach(f => {
+      const term = (terms[f.rule] || 0) / hits[f.rule];
+      f.contribution = Math.abs(total) > 1e-9 ? Math.round(delta * term / total * 10) / 10 : 0;
+    });
+    return findings;
+  },
+
+  getMessages() {
+    return typeof Messages !== "undefined" ? Messages : require("./messages");
+  },
+
+  // ============================================================
+  // 说明文字
+  // ============================================================
+  // 报告中的一行："[Password] Key press too uniform (std=4ms) — typing.pressUniform, observed 4, threshold 10, weight 2, 12.5%"
+  formatFinding(finding, locale = null) {
+    return `${this.localize(finding, locale)} — ${this.describeFinding(finding, ", ", locale)}`;
+  },
+
+  // 规则 id、观测值、阈值、权重与贡献；标志（true）与说明文字类的观测值已在 text 中，不重复显示
+  describeFinding(finding, separator = ", ", locale = null) {
+    const messages = this.getMessages();
+    const parts = [finding.rule];
+    const observed = finding.observed;
+    if (typeof observed === "number" || (observed && typeof observed === "object")) {
+      parts.push(messages.format("finding.observed", { value: this.formatValue(observed) }, locale));
+    }
+    if (finding.threshold !== null && finding.threshold !== undefined) {
+      parts.push(messages.format("finding.threshold", { value: this.formatValue(finding.threshold) }, locale));
+    }
+    if (finding.weight !== null && finding.weight !== undefined) {
+      parts.push(messages.format("finding.weight", { value: finding.weight }, locale));
+    }
+    parts.push(`${finding.contribution}%`);
+    return parts.join(separator);
+  },
+
+  // 按 locale 重新生成命中结果的 text（例如服务端返回的结果）；没有模板的说明保持原样
+  localize(finding, locale = null) {
+    if (!finding.message) return finding.text;
+    const messages = this.getMessages();
+    const field = finding.field
+      ? (messages.has(`field.${finding.field}`) ? messages.format(`field.${finding.field}`, {}, locale) : finding.field)
+      : null;
+    return this.formatReason(finding.tag, field, messages.format(finding.message, finding.params || {}, locale), locale);
+  },
+
+  formatValue(value) {
+    if (Array.isArray(value)) return value.join("/");
+    if (value && typeof value === "object") {
+      return `{${Object.entries(value).map(([k, v]) => `${k}=${this.formatValue(v)}`).join(", ")}}`;
+    }
+    return String(value);
+  },
+
+  // "[Username SeekTime] reason"；fieldLabel 为已翻译的字段名，标签按 "tag.<tag>" 翻译
+  formatReason(tag, fieldLabel, reason, locale = null) {
+    const messages = this.getMessages();
+    const tagLabel = tag && messages.has(`tag.${tag}`) ? messages.format(`tag.${tag}`, {}, locale) : tag;
+    const prefix = [fieldLabel, tagLabel].filter(Boolean).join(" ");
+    return prefix ? `[${prefix}] ${reason}` : reason;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = RuleEngine;
+}
@@ -0,0 +1,351 @@
+/**
+ * Scoring Model
+ * 把规则命中换算为校准过的 Bot 概率与 95% 置信区间，可替代加权计分 botScore / (botScore + humanScore)（AutomationDetector.setScoring("model")）
+ * 特征 x 为每条规则是否命中（任一字段命中即为 1），系数从 JSON 加载，由 train-thresholds.js --model 拟合
+ *
+ *   logistic    logit = intercept + Σ coefficient × x
+ *               区间: logit ± z × sqrt(se(intercept)² + Σ (se × x)²)，按系数相互独立近似（忽略协方差）
+ *   naiveBayes  logit = ln(prior / (1 - prior)) + Σ ln P(x | bot) / P(x | human)（伯努利，命中与未命中都计入）
+ *               区间: 各项对数似然比的方差由训练样本数按 delta 法估计，假设各项独立
+ *   两种模型都可以带 Platt 校准 calibration: { slope, intercept }，作用于 logit（区间端点同样变换）
+ *
+ * 模型格式:
+ * {
+ *   "format": "typinggene-scoring-model",
+ *   "name": "default", "version": "1.0.0", "description": "...",
+ *   "type": "logistic" | "naiveBayes",
+ *   "trainedOn": { "bot": 100, "human": 50 },        // naiveBayes 必填（用于估计区间）
+ *   "intercept": -1.2,                                // logistic
+ *   "coefficients": { "<规则 id>": 0.8 },             // logistic
+ *   "standardErrors": { "intercept": 0.3, "<规则 id>": 0.2 },   // logistic，可选（缺省时区间只有点估计）
+ *   "prior": 0.5,                                     // naiveBayes: P(bot)
+ *   "likelihoods": { "<规则 id>": { "bot": 0.7, "human": 0.1 } },   // naiveBayes: P(命中 | 类别)
+ *   "calibration": { "slope": 1, "intercept": 0 }     // 可选
+ * }
+ * 加载时传入规则 id 列表（AutomationDetector.setScoring 传入注册表中的全部规则）则要求模型覆盖每条规则，
+ * 否则该规则命中也不会影响概率；模型中有、注册表中没有的规则视为未命中
+ */
+
+const ScoringModel = {
+
+  FORMAT: "typinggene-scoring-model",
+  TYPES: ["logistic", "naiveBayes"],
+
+  // ============================================================
+  // 配置
+  // ============================================================
+  config: {
+    z: 1.96,                  // 95% 区间
+    maxLogit: 30              // logit 截断，避免 exp 溢出
+  },
+
+  // 内置模型：在 session-generator.js 生成的会话上拟合（node train-thresholds.js <目录> --model logistic --name default）
+  // 生成的会话不是真实用户数据（bot 占 60%，截距反映的是这个比例），上线前应使用自己采集的带标签数据重新拟合
+  // 覆盖全部内置规则；生成数据中没有命中的规则（如 replay.duplicateTiming、automation.phantom）系数等于先验 ±权重 × 0.5
+  DEFAULT_MODEL: {
+    format: "typinggene-scoring-model",
+    name: "default",
+    version: "1.0.0",
+    description: "Logistic regression on rule hits from 300 labeled sessions (synthetic, session-generator.js --count 30 --seed 11), L2 prior ±weight × 0.5",
+    type: "logistic",
+    trainedOn: { bot: 180, human: 120 },
+    intercept: -0.5872,
+    coefficients: {
+      "typing.seekTooFast": 1.5,
+      "typing.seekTooShort": 1,
+      "typing.seekUniform": 1,
+      "typing.pressTooShort": 1,
+      "typing.pressUniform": 1.0039,
+      "typing.seekRangeNarrow": 1.0198,
+      "typing.seekNormal": -0.4997,
+      "typing.pressNormal": -0.4398,
+      "typing.longPauses": -1.0674,
+      "distribution.nearGaussian": 0.9833,
+      "distribution.roundNumbers": 0.9716,
+      "distribution.consecutiveSimilar": 0.9999,
+      "distribution.programmaticCV": 1.0413,
+      "timing.userToPass": 1,
+      "timing.passToLogin": 1,
+      "trajectory.fewPoints": 0.5,
+      "trajectory.shortDistance": 0.5,
+      "trajectory.humanMovement": -0.9402,
+      "trajectory.tooSmooth": 1.5005,
+      "trajectory.noCorrections": 1.0001,
+      "trajectory.uniformTiming": 1,
+      "trajectory.constantSpeed": 1.5932,
+      "trajectory.straightLine": 1.0929,
+      "trajectory.noFittsProfile": 1.0782,
+      "rollover.none": 1.0826,
+      "rollover.natural": -1.0129,
+      "rollover.keyRepeat": -0.5,
+      "correction.natural": -1.0218,
+      "correction.instantFix": 1,
+      "touch.instantTaps": 1.5015,
+      "touch.naturalTaps": -1.0616,
+      "touch.emulatedMobile": 1.5,
+      "touch.deviceMismatch": 1.5,
+      "focus.programmatic": 1.5,
+      "focus.impossibleSequence": 1.5,
+      "focus.passwordManager": -1.0121,
+      "replay.duplicateTiming": 5,
+      "paste.username": 0.5,
+      "paste.password": 0.5,
+      "ime.used": -1.5025,
+      "keyboard.shift": -0.9402,
+      "keyboard.capsLock": -0.5,
+      "password.mismatch": 1.5004,
+      "automation.webdriver": 2.5,
+      "automation.chromium": 1.5,
+      "automation.selenium": 2.5,
+      "automation.phantom": 2.5,
+      "automation.headlessChrome": 2,
+      "automation.noPlugins": 0,
+      "automation.zeroWindowSize": 1.5,
+      "automation.nativeToString": 2,
+      "automation.navigatorOverride": 1.5,
+      "automation.navigatorMismatch": 1.5015,
+      "automation.webglSoftware": 1.0004,
+      "automation.permissionsMismatch": 1.5,
+      "automation.iframeAnomaly": 2,
+      "automation.cdpRuntime": 1.5024,
+      "automation.automationGlobals": 2.5,
+      "automation.pluginsFake": 1.5,
+      "automation.noWindowChrome": 0.5,
+      "events.untrusted": 1.5,
+      "events.syntheticRatio": 2,
+      "inputType.nullInput": -0.9407,
+      "inputType.noNullInput": 1.0009
+    },
+    standardErrors: {
+      "intercept": 0.5845,
+      "typing.seekTooFast": 0.1826,
+      "typing.seekTooShort": 0.1826,
+      "typing.seekUniform": 0.1821,
+      "typing.pressTooShort": 0.1826,
+      "typing.pressUniform": 0.1822,
+      "typing.seekRangeNarrow": 0.1794,
+      "typing.seekNormal": 0.1826,
+      "typing.pressNormal": 0.1799,
+      "typing.longPauses": 0.1796,
+      "distribution.nearGaussian": 0.1806,
+      "distribution.roundNumbers": 0.1802,
+      "distribution.consecutiveSimilar": 0.1823,
+      "distribution.programmaticCV": 0.1801,
+      "timing.userToPass": 0.1826,
+      "timing.passToLogin": 0.1826,
+      "trajectory.fewPoints": 0.1826,
+      "trajectory.shortDistance": 0.1826,
+      "trajectory.humanMovement": 0.1799,
+      "trajectory.tooSmooth": 0.1825,
+      "trajectory.noCorrections": 0.1826,
+      "trajectory.uniformTiming": 0.1826,
+      "trajectory.constantSpeed": 0.1795,
+      "trajectory.straightLine": 0.1795,
+      "trajectory.noFittsProfile": 0.1794,
+      "rollover.none": 0.1795,
+      "rollover.natural": 0.1816,
+      "rollover.keyRepeat": 0.1826,
+      "correction.natural": 0.181,
+      "correction.instantFix": 0.1826,
+      "touch.instantTaps": 0.1824,
+      "touch.naturalTaps": 0.18,
+      "touch.emulatedMobile": 0.1826,
+      "touch.deviceMismatch": 0.1826,
+      "focus.programmatic": 0.1826,
+      "focus.impossibleSequence": 0.1826,
+      "focus.passwordManager": 0.1816,
+      "replay.duplicateTiming": 0.1826,
+      "paste.username": 0.1826,
+      "paste.password": 0.1826,
+      "ime.used": 0.1824,
+      "keyboard.shift": 0.1799,
+      "keyboard.capsLock": 0.1826,
+      "password.mismatch": 0.1825,
+      "automation.webdriver": 0.1826,
+      "automation.chromium": 0.1826,
+      "automation.selenium": 0.1826,
+      "automation.phantom": 0.1826,
+      "automation.headlessChrome": 0.1826,
+      "automation.noPlugins": 0.1826,
+      "automation.zeroWindowSize": 0.1826,
+      "automation.nativeToString": 0.1826,
+      "automation.navigatorOverride": 0.1826,
+      "automation.navigatorMismatch": 0.1824,
+      "automation.webglSoftware": 0.1825,
+      "automation.permissionsMismatch": 0.1826,
+      "automation.iframeAnomaly": 0.1826,
+      "automation.cdpRuntime": 0.1824,
+      "automation.automationGlobals": 0.1826,
+      "automation.pluginsFake": 0.1826,
+      "automation.noWindowChrome": 0.1826,
+      "events.untrusted": 0.1826,
+      "events.syntheticRatio": 0.1826,
+      "inputType.nullInput": 0.1799,
+      "inputType.noNullInput": 0.1825
+    }
+  },
+
+  // ============================================================
+  // 加载与校验
+  // ============================================================
+  // source: JSON 字符串或对象；ruleIds: 模型必须覆盖的规则 id（可选）；返回 { valid, errors, model }
+  load(source, ruleIds = null) {
+    let model = source;
+    if (typeof source === "string") {
+      try {
+        model = JSON.parse(source);
+      } catch (err) {
+        return { valid: false, errors: [`Invalid model JSON: ${err.message}`], model: null };
+      }
+    }
+    const errors = this.validate(model, ruleIds);
+    return { valid: errors.length === 0, errors, model: errors.length ? null : model };
+  },
+
+  validate(model, ruleIds = null) {
+    const errors = [];
+    if (!model || typeof model !== "object" || Array.isArray(model)) return ["Model must be an object"];
+
+    const isNumber = v => typeof v === "number" && isFinite(v);
+    const isProbability = v => isNumber(v) && v > 0 && v < 1;
+    const isMap = v => v && typeof v === "object" && !Array.isArray(v);
+
+    if (model.format !== this.FORMAT) errors.push(`"format" must be "${this.FORMAT}"`);
+    if (typeof model.name !== "string" || !model.name) errors.push(`"name" must be a non-empty string`);
+    if (model.version !== undefined && typeof model.version !== "string") errors.push(`"version" must be a string`);
+    if (!this.TYPES.includes(model.type)) errors.push(`"type" must be one of: ${this.TYPES.join(", ")}`);
+
+    if (model.type === "logistic") {
+      if (!isNumber(model.intercept)) errors.push(`"intercept" must be a number`);
+      if (!isMap(model.coefficients)) {
+        errors.push(`"coefficients" must be an object`);
+      } else {
+        Object.entries(model.coefficients).forEach(([id, c]) => {
+          if (!isNumber(c)) errors.push(`"coefficients.${id}" must be a number`);
+        });
+      }
+      if (model.standardErrors !== undefined) {
+        if (!isMap(model.standardErrors)) {
+          errors.push(`"standardErrors" must be an object`);
+        } else {
+          Object.entries(model.standardErrors).forEach(([id, se]) => {
+            if (!isNumber(se) || se < 0) errors.push(`"standardErrors.${id}" must be a non-negative number`);
+          });
+        }
+      }
+    }
+
+    if (model.type === "naiveBayes") {
+      if (!isProbability(model.prior)) errors.push(`"prior" must be a number between 0 and 1 (exclusive)`);
+      if (!isMap(model.trainedOn) || !(model.trainedOn.bot > 0) || !(model.trainedOn.human > 0)) {
+        errors.push(`"trainedOn" must give the number of bot and human training sessions`);
+      }
+      if (!isMap(model.likelihoods)) {
+        errors.push(`"likelihoods" must be an object`);
+      } else {
+        Object.entries(model.likelihoods).forEach(([id, p]) => {
+          if (!isMap(p) || !isProbability(p.bot) || !isProbability(p.human)) {
+            errors.push(`"likelihoods.${id}" must be { bot, human } with probabilities between 0 and 1 (exclusive)`);
+          }
+        });
+      }
+    }
+
+    if (model.calibration !== undefined) {
+      const c = model.calibration;
+      if (!isMap(c) || !isNumber(c.slope) || !isNumber(c.intercept) || c.slope <= 0) {
+        errors.push(`"calibration" must be { slope, intercept } with a positive slope`);
+      }
+    }
+
+    const terms = model.type === "naiveBayes" ? model.likelihoods : model.coefficients;
+    if (ruleIds && isMap(terms)) {
+      const missing = ruleIds.filter(id => !(id in terms));
+      if (missing.length) {
+        errors.push(`Model does not cover ${missing.length} registered rule(s): ${missing.join(", ")}`);
+      }
+    }
+    return errors;
+  },
+
+  // ============================================================
+  // 计算
+  // ============================================================
+  // 规则命中 -> 特征（规则 id 集合）
+  features(findings) {
+    return new Set((findings || []).map(f => f.rule));
+  },
+
+  sigmoid(z) {
+    const clipped = Math.max(-this.config.maxLogit, Math.min(this.config.maxLogit, z));
+    return 1 / (1 + Math.exp(-clipped));
+  },
+
+  // 返回 {
+  //   value: P(bot)，interval: [low, high]（95%），logit: 校准前的 logit
+  //   baseline: 没有任何特征命中时的 logit 部分（截距 / 先验，naiveBayes 还包括所有未命中规则的项）
+  //   baselineValue: baseline 对应的（校准后）概率
+  //   terms: 命中的规则各自对 logit 的贡献 [{ rule, term }]，按绝对值从大到小
+  //   model: { name, version, type }
+  // }
+  evaluate(model, findings) {
+    const fired = this.features(findings);
+    const scored = model.type === "naiveBayes" ? this.naiveBayes(model, fired) : this.logistic(model, fired);
+    const se = Math.sqrt(scored.variance);
+    const z = this.config.z;
+    const calibrate = logit => model.calibration
+      ? model.calibration.slope * logit + model.calibration.intercept
+      : logit;
+
+    return {
+      value: this.sigmoid(calibrate(scored.logit)),
+      interval: [this.sigmoid(calibrate(scored.logit - z * se)), this.sigmoid(calibrate(scored.logit + z * se))],
+      logit: scored.logit,
+      baseline: scored.baseline,
+      baselineValue: this.sigmoid(calibrate(scored.baseline)),
+      terms: scored.terms.sort((a, b) => Math.abs(b.term) - Math.abs(a.term)),
+      model: { name: model.name, version: model.version || null, type: model.type }
+    };
+  },
+
+  logistic(model, fired) {
+    const se = model.standardErrors || {};
+    const terms = [];
+    let variance = (se.intercept || 0) ** 2;
+    Object.entries(model.coefficients).forEach(([id, coefficient]) => {
+      if (!fired.has(id)) return;
+      terms.push({ rule: id, term: coefficient });
+      variance += (se[id] || 0) ** 2;
+    });
+    const logit = model.intercept + terms.reduce((sum, t) => sum + t.term, 0);
+    return { logit, baseline: model.intercept, terms, variance };
+  },
+
+  naiveBayes(model, fired) {
+    const nBot = model.trainedOn.bot;
+    const nHuman = model.trainedOn.human;
+    const prior = model.prior;
+    // var(ln p̂) ≈ (1 - p) / (n p)
+    const varLog = (p, n) => (1 - p) / (n * p);
+
+    let baseline = Math.log(prior / (1 - prior));
+    let variance = 1 / ((nBot + nHuman) * prior * (1 - prior));
+    const terms = [];
+    Object.entries(model.likelihoods).forEach(([id, p]) => {
+      if (fired.has(id)) {
+        terms.push({ rule: id, term: Math.log(p.bot / p.human) });
+        variance += varLog(p.bot, nBot) + varLog(p.human, nHuman);
+      } else {
+        baseline += Math.log((1 - p.bot) / (1 - p.human));
+        variance += varLog(1 - p.bot, nBot) + varLog(1 - p.human, nHuman);
+      }
+    });
+    const logit = baseline + terms.reduce((sum, t) => sum + t.term, 0);
+    return { logit, baseline, terms, variance };
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ScoringModel;
+}
@@ -0,0 +1,671 @@
+#!/usr/bin/env node
+/**
+ * Session Generator
+ * 生成与 index.html 相同结构的 stats 对象（人类 / 各类 Bot），用于测试检测器和回归用例
+ * 同一个 seed 总是生成完全相同的会话
+ *
+ * 用法: node session-generator.js <输出目录> [--count 10] [--seed 1] [--profiles slowHuman,seleniumNaive]
+ *       node session-generator.js --profile puppeteerGaussian [--seed 7]     // 输出单个会话到 stdout
+ *
+ * 输出目录结构与 evaluate-dataset.js 的读取方式一致: <目录>/human/*.json, <目录>/bot/*.json
+ * 依赖: typing-parser.js, keystroke-capture.js, trajectory-capture.js, touch-capture.js, focus-capture.js, environment-probe.js
+ */
+
+const _TypingParser = typeof TypingParser !== "undefined" ? TypingParser : require("./typing-parser");
+const _KeystrokeCapture = typeof KeystrokeCapture !== "undefined" ? KeystrokeCapture : require("./keystroke-capture");
+const _TrajectoryCapture = typeof TrajectoryCapture !== "undefined" ? TrajectoryCapture : require("./trajectory-capture");
+const _TouchCapture = typeof TouchCapture !== "undefined" ? TouchCapture : require("./touch-capture");
+const _FocusCapture = typeof FocusCapture !== "undefined" ? FocusCapture : require("./focus-capture");
+const _EnvironmentProbe = typeof EnvironmentProbe !== "undefined" ? EnvironmentProbe : require("./environment-probe");
+
+const SessionGenerator = {
+
+  // 固定的起始时间，保证同一 seed 输出完全一致
+  DEFAULT_START_TIME: Date.UTC(2024, 0, 1, 9, 0, 0),
+
+  // 页面布局（输入框 / 按钮中心，px），每个会话随机偏移
+  layout: {
+    start: { x: 760, y: 520 },
+    username: { x: 480, y: 260 },
+    password: { x: 480, y: 330 },
+    login: { x: 480, y: 420 }
+  },
+
+  // ============================================================
+  // 会话画像
+  // 分布写法: ["constant", v] / ["uniform", min, max] / ["normal", mean, std] / ["lognormal", median, sigma]
+  // 触屏画像（mouse: "touch"）另有 device（stats.device）与 touch（点击时长 / 接触面积 / 压力的分布）
+  // focus: 字段如何获得焦点 "pointer" / "programmatic"（.focus()）/ "none"（直接派发事件，不聚焦）/ "human"（点击或 Tab）
+  //        switchChance: 输入密码前切到密码管理器再回来的概率
+  // environment.probes: 命中的环境检查（EnvironmentProbe 检查 id -> 说明）
+  // ============================================================
+  profiles: {
+    // Selenium send_keys：几乎没有间隔，navigator.webdriver 暴露，无鼠标
+    seleniumNaive: {
+      label: "bot",
+      description: "Selenium send_keys with no delays, navigator.webdriver exposed",
+      typing: { seek: ["uniform", 1, 8], press: ["uniform", 1, 4], shift: false },
+      mouse: "none",
+      focus: "programmatic",
+      gaps: { firstKey: ["uniform", 5, 30], fieldSwitch: ["uniform", 10, 60], beforeSubmit: ["uniform", 5, 40] },
+      inputType: "insertText",
+      trusted: true,
+      environment: { webdriver: true, automationFlags: { hasSelenium: true }, probes: { automationGlobals: "document.$cdc_asdjflasutopfhvcZLmcfl_" } }
+    },
+    // Puppeteer + stealth：keyboard.type 带高斯随机延迟，page.click 直接跳到目标
+    puppeteerGaussian: {
+      label: "bot",
+      description: "Puppeteer with stealth plugin, Gaussian random key delays, teleporting clicks",
+      typing: { seek: ["normal", 120, 25], press: ["normal", 60, 10], shift: false },
+      mouse: "teleport",
+      focus: "pointer",
+      gaps: { firstKey: ["normal", 100, 20], fieldSwitch: ["normal", 400, 80], beforeSubmit: ["normal", 300, 60] },
+      inputType: "insertText",
+      trusted: true,
+      environment: { webdriver: false, automationFlags: {}, probes: { cdpRuntime: "console argument serialized (Runtime.enable active)", webglSoftware: "Google SwiftShader" } }
+    },
+    // 模拟鼠标的 Bot（ghost-cursor 类）：贝塞尔曲线、固定采样间隔、按 Shift
+    bezierMouse: {
+      label: "bot",
+      description: "Bot moving the mouse along Bezier curves at a fixed frame rate",
+      typing: { seek: ["uniform", 60, 160], press: ["uniform", 40, 80], shift: true },
+      mouse: "bezier",
+      focus: "pointer",
+      gaps: { firstKey: ["uniform", 80, 250], fieldSwitch: ["uniform", 300, 700], beforeSubmit: ["uniform", 200, 600] },
+      inputType: "insertText",
+      trusted: true,
+      environment: { webdriver: false, automationFlags: {}, probes: { cdpRuntime: "console argument serialized (Runtime.enable active)" } }
+    },
+    // dispatchEvent 合成事件：isTrusted = false
+    syntheticDispatch: {
+      label: "bot",
+      description: "Script dispatching synthetic KeyboardEvent/InputEvent objects",
+      typing: { seek: ["uniform", 0, 2], press: ["constant", 0], shift: false },
+      mouse: "none",
+      focus: "none",
+      gaps: { firstKey: ["uniform", 0, 3], fieldSwitch: ["uniform", 0, 5], beforeSubmit: ["uniform", 0, 5] },
+      inputType: "insertText",
+      trusted: false,
+      environment: { webdriver: false, automationFlags: {} }
+    },
+    // 系统级输入（pyautogui 类）：事件可信，鼠标沿直线匀速插值，时间间隔有调度抖动
+    linearMouse: {
+      label: "bot",
+      description: "OS-level automation moving the mouse along straight lines at constant speed",
+      typing: { seek: ["uniform", 80, 220], press: ["uniform", 50, 110], shift: true },
+      mouse: "linear",
+      focus: "pointer",
+      gaps: { firstKey: ["uniform", 100, 300], fieldSwitch: ["uniform", 300, 800], beforeSubmit: ["uniform", 200, 600] },
+      inputType: null,
+      trusted: true,
+      environment: { webdriver: false, automationFlags: {} }
+    },
+    // Puppeteer page.emulate(iPhone)：开启触屏模拟，page.tap 的按下与抬起几乎同时，接触面积固定
+    mobileEmulation: {
+      label: "bot",
+      description: "Puppeteer emulating a phone, page.tap() and keyboard.type() with random delays",
+      typing: { seek: ["normal", 110, 20], press: ["uniform", 1, 4], shift: false, virtual: true },
+      mouse: "touch",
+      focus: "pointer",
+      touch: { duration: ["uniform", 0, 3], width: ["constant", 1], height: ["constant", 1], pressure: ["constant", 0.5] },
+      device: { deviceClass: "mobile", maxTouchPoints: 5, coarsePointer: true, mobileUA: true, screen: { width: 390, height: 844 } },
+      gaps: { firstKey: ["normal", 120, 25], fieldSwitch: ["normal", 350, 60], beforeSubmit: ["normal", 250, 50] },
+      inputType: "insertText",
+      trusted: true,
+      environment: { webdriver: false, automationFlags: {}, probes: { cdpRuntime: "console argument serialized (Runtime.enable active)", navigatorMismatch: "UA says ios, platform is \"Linux x86_64\"" } }
+    },
+    // 慢速打字的人：间隔长、偶有长停顿
+    slowHuman: {
+      label: "human",
+      description: "Slow hunt-and-peck typist with long pauses",
+      typing: { seek: ["lognormal", 330, 0.5], press: ["lognormal", 110, 0.3], shift: true, pause: 0.12, alternation: 0.75, typo: 0.05, fixDelay: ["lognormal", 650, 0.35] },
+      mouse: "human",
+      focus: "human", switchChance: 0.3,
+      gaps: { firstKey: ["lognormal", 450, 0.3], fieldSwitch: ["lognormal", 1200, 0.4], beforeSubmit: ["lognormal", 900, 0.4] },
+      inputType: null,
+      trusted: true,
+      environment: { webdriver: false, automationFlags: {} }
+    },
+    // 熟练盲打：间隔短，经常在上一个键抬起前按下一个键（rollover）
+    fastTypist: {
+      label: "human",
+      description: "Fast touch-typist with frequent key rollover",
+      typing: { seek: ["lognormal", 95, 0.45], press: ["lognormal", 80, 0.25], shift: true, pause: 0.03, rollover: 0.25, alternation: 0.6, typo: 0.04, fixDelay: ["lognormal", 350, 0.35] },
+      mouse: "human",
+      focus: "human", switchChance: 0.2,
+      gaps: { firstKey: ["lognormal", 220, 0.3], fieldSwitch: ["lognormal", 600, 0.35], beforeSubmit: ["lognormal", 450, 0.35] },
+      inputType: null,
+      trusted: true,
+      environment: { webdriver: false, automationFlags: {} }
+    },
+    // 用输入法输入用户名的人
+    imeUser: {
+      label: "human",
+      description: "User entering the username through an IME",
+      typing: { seek: ["lognormal", 180, 0.5], press: ["lognormal", 95, 0.3], shift: true, pause: 0.08, rollover: 0.1, ime: ["uniform", 1, 3], alternation: 0.75, typo: 0.03, fixDelay: ["lognormal", 450, 0.35] },
+      mouse: "human",
+      focus: "human", switchChance: 0.2,
+      gaps: { firstKey: ["lognormal", 350, 0.3], fieldSwitch: ["lognormal", 900, 0.4], beforeSubmit: ["lognormal", 700, 0.4] },
+      inputType: null,
+      trusted: true,
+      environment: { webdriver: false, automationFlags: {} }
+    },
+    // 手机用户：虚拟键盘（Android 上 keyup 紧跟 keydown，没有 Shift 键），手指点击输入框
+    mobileHuman: {
+      label: "human",
+      description: "Phone user typing on a virtual keyboard and tapping the fields",
+      typing: { seek: ["lognormal", 280, 0.45], press: ["lognormal", 4, 0.5], shift: false, virtual: true, pause: 0.08, typo: 0.05, fixDelay: ["lognormal", 550, 0.35] },
+      mouse: "touch",
+      focus: "pointer", switchChance: 0.15,
+      touch: { duration: ["lognormal", 85, 0.3], width: ["normal", 38, 6], height: ["normal", 42, 6], pressure: ["uniform", 0.3, 0.9] },
+      device: { deviceClass: "mobile", maxTouchPoints: 5, coarsePointer: true, mobileUA: true, screen: { width: 390, height: 844 } },
+      gaps: { firstKey: ["lognormal", 600, 0.3], fieldSwitch: ["lognormal", 900, 0.4], beforeSubmit: ["lognormal", 800, 0.4] },
+      inputType: "insertText",
+      trusted: true,
+      environment: { webdriver: false, automationFlags: {} }
+    }
+  },
+
+  // ============================================================
+  // 可复现的随机数（mulberry32）
+  // ============================================================
+  createRandom(seed) {
+    let state = (Number(seed) >>> 0) || 1;
+
+    const rng = {
+      next() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      },
+      uniform(min, max) {
+        return min + (max - min) * rng.next();
+      },
+      int(min, max) {
+        return Math.floor(rng.uniform(min, max + 1));
+      },
+      // Box-Muller
+      normal(mean, std) {
+        const u = 1 - rng.next();
+        const v = rng.next();
+        return mean + std * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+      },
+      lognormal(median, sigma) {
+        return median * Math.exp(rng.normal(0, sigma));
+      },
+      chance(p) {
+        return rng.next() < p;
+      },
+      pick(list) {
+        return list[Math.floor(rng.next() * list.length)];
+      },
+      sample(spec) {
+        const [dist, a, b] = spec;
+        if (dist === "constant") return a;
+        if (dist === "uniform") return rng.uniform(a, b);
+        if (dist === "normal") return rng.normal(a, b);
+        if (dist === "lognormal") return rng.lognormal(a, b);
+        throw new Error(`Unknown distribution "${dist}"`);
+      }
+    };
+
+    return rng;
+  },
+
+  // ============================================================
+  // 凭证（只用于决定是否需要 Shift）
+  // ============================================================
+  makeCredentials(rng) {
+    const letters = "abcdefghijklmnopqrstuvwxyz";
+    const word = n => Array.from({ length: n }, () => rng.pick(letters)).join("");
+
+    const username = word(rng.int(5, 9)) + rng.int(1, 99);
+    const base = word(rng.int(6, 9));
+    const password = base[0].toUpperCase() + base.slice(1) + rng.int(10, 99) + rng.pick("!@#$%&*?");
+    return { username, password };
+  },
+
+  needsShift(ch) {
+    return /[A-Z]/.test(ch) || /[!@#$%^&*()_+{}|:"<>?~]/.test(ch);
+  },
+
+  // 字符 -> 物理键位 e.code（美式键盘），用于生成键位分区
+  SHIFTED_DIGITS: ")!@#$%^&*(",
+
+  charCode(ch) {
+    if (/[a-z]/i.test(ch)) return `Key${ch.toUpperCase()}`;
+    if (/[0-9]/.test(ch)) return `Digit${ch}`;
+    const digit = this.SHIFTED_DIGITS.indexOf(ch);
+    if (digit !== -1) return `Digit${digit}`;
+    return { "?": "Slash", "/": "Slash", "-": "Minus", "_": "Minus", ".": "Period", ",": "Comma", " ": "Space" }[ch] || null;
+  },
+
+  // ============================================================
+  // 击键（原生格式，时间相对字段第一次按键）
+  // ============================================================
+  generateKeystrokes(rng, text, typing, trusted) {
+    const keystrokes = [];
+    let shiftPresses = 0;
+    let typos = 0;
+    let lastUp = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      // 虚拟键盘的 keydown 没有 e.code，记录不到键位分区
+      const zone = typing.virtual ? null : _KeystrokeCapture.keyZone(this.charCode(text[i]));
+      let seek = Math.max(0, rng.sample(typing.seek));
+      // 人类左右手交替击键更快
+      const prevZone = i > 0 ? keystrokes[keystrokes.length - 1].zone : null;
+      const hands = [prevZone, zone].map(z => (z && "LR".includes(z[0]) ? z[0] : null));
+      if (typing.alternation && hands[0] && hands[1] && hands[0] !== hands[1]) seek *= typing.alternation;
+      if (typing.pause && rng.chance(typing.pause)) seek += rng.uniform(550, 1500);
+      const press = Math.max(0, Math.round(rng.sample(typing.press)));
+
+      // 打错：先按错一个键，停顿（发现错误）后 Backspace 删除，再按正确的键
+      let typo = false;
+      if (typing.typo && rng.chance(typing.typo)) {
+        const wrongDown = Math.round(i === 0 ? 0 : lastUp + seek);
+        const fixDown = Math.round(wrongDown + Math.max(press + 20, rng.sample(typing.fixDelay)));
+        const fixUp = fixDown + Math.max(1, Math.round(rng.sample(typing.press)));
+        keystrokes.push({ kind: "char", down: wrongDown, up: wrongDown + press, trusted, zone });
+        keystrokes.push({ kind: "edit", down: fixDown, up: fixUp, trusted, key: "Backspace" });
+        typos++;
+        lastUp = fixUp;
+        seek = Math.max(0, rng.sample(typing.seek));
+        typo = true;
+      }
+
+      let down = i === 0 && !typo ? 0 : lastUp + seek;
+      // rollover：下一个键在上一个键抬起前按下
+      if (i > 0 && !typo && typing.rollover && rng.chance(typing.rollover)) {
+        const prev = keystrokes[keystrokes.length - 1];
+        down = Math.max(prev.down + 15, prev.up - rng.uniform(5, 40));
+      }
+      down = Math.round(down);
+
+      if (typing.shift && this.needsShift(text[i])) {
+        const shiftDown = Math.max(i === 0 ? 0 : lastUp, down - Math.round(rng.uniform(40, 120)));
+        keystrokes.push({ kind: "modifier", down: shiftDown, up: down + press + Math.round(rng.uniform(10, 60)), trusted });
+        shiftPresses++;
+      }
+
+      keystrokes.push({ kind: "char", down, up: down + press, trusted, zone });
+      lastUp = down + press;
+    }
+
+    // 起点归零，按按下时间排序（与采集顺序一致）
+    const origin = Math.min(...keystrokes.map(k => k.down));
+    keystrokes.forEach(k => { k.down -= origin; k.up -= origin; });
+    keystrokes.sort((a, b) => a.down - b.down);
+
+    return {
+      keystrokes,
+      shiftPresses,
+      typos,
+      duration: Math.max(...keystrokes.map(k => k.up))
+    };
+  },
+
+  // ============================================================
+  // 鼠标轨迹（原始 pointermove 事件）
+  // ============================================================
+  jitterPoint(rng, p, spread) {
+    return { x: p.x + rng.uniform(-spread, spread), y: p.y + rng.uniform(-spread / 3, spread / 3) };
+  },
+
+  // 人类：最小加加速度（minimum-jerk）速度曲线 + 横向抖动 + 末端修正，采样间隔不规则
+  humanPath(rng, from, to, t0) {
+    const events = [];
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const duration = 250 + 110 * Math.log2(1 + dist / 20) + rng.uniform(-40, 120);
+    // 垂直方向的弧度
+    const bow = rng.uniform(-0.15, 0.15) * dist;
+    const nx = dist > 0 ? -dy / dist : 0;
+    const ny = dist > 0 ? dx / dist : 0;
+
+    let t = 0;
+    while (t < duration) {
+      t += Math.max(4, rng.normal(12, 4)) + (rng.chance(0.05) ? rng.uniform(20, 80) : 0);
+      const s = Math.min(1, t / duration);
+      const progress = 10 * s ** 3 - 15 * s ** 4 + 6 * s ** 5;
+      const arc = Math.sin(Math.PI * progress) * bow;
+      events.push({
+        x: Math.round(from.x + dx * progress + nx * arc + rng.normal(0, 1.5)),
+        y: Math.round(from.y + dy * progress + ny * arc + rng.normal(0, 1.5)),
+        t: Math.round(t0 + t)
+      });
+    }
+
+    // 末端小幅修正
+    const corrections = rng.int(1, 3);
+    for (let i = 0; i < corrections; i++) {
+      t += rng.uniform(30, 90);
+      events.push({ x: Math.round(to.x + rng.normal(0, 6)), y: Math.round(to.y + rng.normal(0, 3)), t: Math.round(t0 + t) });
+    }
+
+    return { events, end: t0 + t };
+  },
+
+  // 贝塞尔曲线 Bot：步数按距离计算、固定 16ms 间隔
+  // 坐标保留小数：CDP Input.dispatchMouseEvent 的小数坐标会原样出现在 PointerEvent 上
+  bezierPath(rng, from, to, t0) {
+    const dist = Math.sqrt((to.x - from.x) ** 2 + (to.y - from.y) ** 2);
+    const bend = dist * 0.15;
+    const c1 = { x: from.x + (to.x - from.x) * 0.3 + rng.uniform(-bend, bend), y: from.y + (to.y - from.y) * 0.3 + rng.uniform(-bend, bend) };
+    const c2 = { x: from.x + (to.x - from.x) * 0.7 + rng.uniform(-bend, bend), y: from.y + (to.y - from.y) * 0.7 + rng.uniform(-bend, bend) };
+    const steps = Math.max(10, Math.round(dist / rng.uniform(6, 8)));
+    const round2 = v => Math.round(v * 100) / 100;
+    const events = [];
+
+    for (let i = 1; i <= steps; i++) {
+      const s = i / steps;
+      const u = 1 - s;
+      events.push({
+        x: round2(u ** 3 * from.x + 3 * u * u * s * c1.x + 3 * u * s * s * c2.x + s ** 3 * to.x),
+        y: round2(u ** 3 * from.y + 3 * u * u * s * c1.y + 3 * u * s * s * c2.y + s ** 3 * to.y),
+        t: t0 + i * 16
+      });
+    }
+
+    return { events, end: t0 + steps * 16 };
+  },
+
+  // 直线匀速插值（tween 为线性）：位置按时间等比例推进，采样间隔有调度抖动
+  linearPath(rng, from, to, t0) {
+    const duration = rng.uniform(300, 700);
+    const events = [];
+
+    let t = 0;
+    while (t < duration) {
+      t = Math.min(duration, t + Math.max(4, rng.normal(10, 3)));
+      const s = t / duration;
+      events.push({
+        x: Math.round(from.x + (to.x - from.x) * s),
+        y: Math.round(from.y + (to.y - from.y) * s),
+        t: Math.round(t0 + t)
+      });
+    }
+
+    return { events, end: t0 + t };
+  },
+
+  movePointer(rng, mode, from, to, t0) {
+    if (mode === "human") return this.humanPath(rng, from, to, t0);
+    if (mode === "bezier") return this.bezierPath(rng, from, to, t0);
+    if (mode === "linear") return this.linearPath(rng, from, to, t0);
+    if (mode === "teleport") return { events: [{ x: Math.round(to.x), y: Math.round(to.y), t: t0 }], end: t0 };
+    // 手指直接点到目标，没有 pointermove；移动手指的时间
+    if (mode === "touch") return { events: [], end: t0 + Math.round(rng.uniform(250, 600)) };
+    return { events: [], end: t0 };
+  },
+
+  // 与 index.html 的 pointermove 处理相同（TrajectoryCapture）
+  recordTrajectory(events, trajectory) {
+    _TrajectoryCapture.reset();
+    events.forEach(point => _TrajectoryCapture.addPoint(trajectory, point));
+    _TrajectoryCapture.reset();
+  },
+
+  // 点击目标：鼠标只计 pointerdown 次数，触屏额外记录点击（与 TouchCapture 的 sample 格式一致）
+  recordTap(rng, profile, touch, t) {
+    if (profile.mouse === "none") return;
+    if (profile.mouse !== "touch") {
+      touch.pointerTypes.mouse++;
+      return;
+    }
+
+    touch.pointerTypes.touch++;
+    touch.taps++;
+    touch.sample.push({
+      t,
+      duration: Math.max(0, Math.round(rng.sample(profile.touch.duration))),
+      moved: rng.int(0, 3),
+      pressure: Math.round(rng.sample(profile.touch.pressure) * 100) / 100,
+      width: Math.round(Math.max(1, rng.sample(profile.touch.width)) * 10) / 10,
+      height: Math.round(Math.max(1, rng.sample(profile.touch.height)) * 10) / 10,
+      type: "touch"
+    });
+  },
+
+  // 字段获得焦点（与 FocusCapture.handleFieldFocus 的记录格式一致）
+  // 人类点击用户名框，之后用 Tab 或点击切到密码框
+  recordFocus(rng, profile, focus, name, t) {
+    if (profile.focus === "none") return;
+    let method = profile.focus;
+    if (method === "human") method = name === "password" && rng.chance(0.5) ? "tab" : "pointer";
+    focus.fields.push({ field: name, t, method, hidden: false });
+  },
+
+  // 切到密码管理器再回来：窗口失焦，回来后浏览器把焦点还给原字段；返回回到页面的时间
+  recordSwitch(rng, focus, name, t) {
+    const start = Math.round(t + rng.uniform(300, 900));
+    const end = Math.round(start + rng.sample(["lognormal", 6000, 0.5]));
+    focus.switches.push({ kind: "blur", field: name, start, end, duration: end - start, inputAfter: null });
+    focus.fields.push({ field: name, t: end + rng.int(1, 10), method: "restore", hidden: false });
+    return end;
+  },
+
+  // ============================================================
+  // 生成单个会话
+  // ============================================================
+  createStats() {
+    return {
+      usernameToPasswordMs: null,
+      passwordToLoginMs: null,
+      pasteUser: 0,
+      pastePass: 0,
+      imeUser: 0,
+      imePass: 0,
+      shiftCount: 0,
+      capsLockCount: 0,
+      untrustedEvents: 0,
+      totalKeyEvents: 0,
+      syntheticKeyEvents: 0,
+      webdriverDetected: false,
+      automationFlags: {},
+      nullInputTypeCount: 0,
+      totalInputEvents: 0,
+      trajectory: _TrajectoryCapture.create(),
+      touch: _TouchCapture.create(),
+      focus: _FocusCapture.create(),
+      environment: Object.assign(_EnvironmentProbe.create(), { checks: _EnvironmentProbe.probes.map(p => p.id) }),
+      device: { deviceClass: "desktop", maxTouchPoints: 0, coarsePointer: false, mobileUA: false, screen: { width: 1920, height: 1080 } },
+      typingdna: { lastUserTp: "", lastPassTp: "" },
+      typingSource: null,
+      keystrokes: { username: null, password: null }
+    };
+  },
+
+  generate(profileName, options = {}) {
+    const profile = this.profiles[profileName];
+    if (!profile) {
+      throw new Error(`Unknown profile "${profileName}" (available: ${Object.keys(this.profiles).join(", ")})`);
+    }
+
+    const rng = this.createRandom(options.seed ?? 1);
+    const startTime = options.startTime ?? this.DEFAULT_START_TIME;
+    const stats = this.createStats();
+    const { username, password } = options.credentials || this.makeCredentials(rng);
+    const typing = profile.typing;
+
+    const spread = 60;
+    const targets = {
+      username: this.jitterPoint(rng, this.layout.username, spread),
+      password: this.jitterPoint(rng, this.layout.password, spread),
+      login: this.jitterPoint(rng, this.layout.login, spread)
+    };
+    const pointerEvents = [];
+    let pointer = this.jitterPoint(rng, this.layout.start, 120);
+
+    const typeField = (name, text, focusTime) => {
+      const typed = this.generateKeystrokes(rng, text, typing, profile.trusted);
+      const keyStart = Math.round(focusTime + Math.max(0, rng.sample(profile.gaps.firstKey)));
+      stats.keystrokes[name] = {
+        format: _KeystrokeCapture.NATIVE_FORMAT,
+        version: _KeystrokeCapture.NATIVE_VERSION,
+        field: name,
+        startedAt: keyStart,
+        repeats: 0,
+        caretMoves: 0,
+        length: text.length,
+        keystrokes: typed.keystrokes
+      };
+
+      stats.totalKeyEvents += typed.keystrokes.length;
+      if (!profile.trusted) {
+        stats.untrustedEvents += typed.keystrokes.length;
+        stats.syntheticKeyEvents += typed.keystrokes.length;
+      }
+      // index.html 只在密码框统计 Shift
+      if (name === "password") stats.shiftCount += typed.shiftPresses;
+
+      // 每次打错多一个输入事件和一个删除事件
+      const inputEvents = text.length + typed.typos * 2;
+      stats.totalInputEvents += inputEvents;
+      if (profile.inputType === null) stats.nullInputTypeCount += inputEvents;
+
+      return keyStart + typed.duration;
+    };
+
+    // 1. 点击用户名框（之后才开始记录轨迹）
+    let t = startTime + Math.round(rng.uniform(800, 2500));
+    // 聚焦前的移动不计入轨迹（与 index.html 一致），只用于推进时间
+    const toUser = this.movePointer(rng, profile.mouse, pointer, targets.username, t);
+    t = Math.round(toUser.end + rng.uniform(50, 150));
+    pointer = targets.username;
+    const usernameFocusTime = t;
+    this.recordTap(rng, profile, stats.touch, usernameFocusTime);
+    this.recordFocus(rng, profile, stats.focus, "username", usernameFocusTime);
+    stats.trajectory.captured = true;
+
+    if (typing.ime) stats.imeUser = Math.round(rng.sample(typing.ime));
+    t = typeField("username", username, usernameFocusTime);
+
+    // 2. 切换到密码框
+    t = Math.round(t + Math.max(0, rng.sample(profile.gaps.fieldSwitch)));
+    const toPass = this.movePointer(rng, profile.mouse, pointer, targets.password, t);
+    pointerEvents.push(...toPass.events);
+    pointer = targets.password;
+    const passwordFocusTime = Math.round(toPass.end + (profile.mouse === "none" ? 0 : rng.uniform(50, 150)));
+    this.recordTap(rng, profile, stats.touch, passwordFocusTime);
+    this.recordFocus(rng, profile, stats.focus, "password", passwordFocusTime);
+    stats.usernameToPasswordMs = passwordFocusTime - usernameFocusTime;
+    if (profile.switchChance && rng.chance(profile.switchChance)) {
+      const back = this.recordSwitch(rng, stats.focus, "password", passwordFocusTime);
+      t = typeField("password", password, back);
+      stats.focus.switches[stats.focus.switches.length - 1].inputAfter = stats.keystrokes.password.startedAt - back;
+    } else {
+      t = typeField("password", password, passwordFocusTime);
+    }
+
+    // 3. 点击登录
+    t = Math.round(t + Math.max(0, rng.sample(profile.gaps.beforeSubmit)));
+    const toLogin = this.movePointer(rng, profile.mouse, pointer, targets.login, t);
+    pointerEvents.push(...toLogin.events);
+    const submitTime = Math.round(toLogin.end + (profile.mouse === "none" ? 0 : rng.uniform(60, 180)));
+    this.recordTap(rng, profile, stats.touch, submitTime);
+    stats.passwordToLoginMs = submitTime - passwordFocusTime;
+
+    this.recordTrajectory(pointerEvents, stats.trajectory);
+
+    // 4. 环境与打字 pattern
+    if (profile.device) stats.device = JSON.parse(JSON.stringify(profile.device));
+    stats.webdriverDetected = profile.environment.webdriver;
+    stats.automationFlags = { ...profile.environment.automationFlags };
+    stats.environment.findings = { ...profile.environment.probes };
+    stats.password = password;
+    stats.typingSource = "builtin";
+    stats.typingdna.lastUserTp = _KeystrokeCapture.toPatternString(stats.keystrokes.username, _TypingParser);
+    stats.typingdna.lastPassTp = _KeystrokeCapture.toPatternString(stats.keystrokes.password, _TypingParser);
+
+    return stats;
+  },
+
+  // Export JSON 格式（带标签）
+  generateExport(profileName, options = {}) {
+    const stats = this.generate(profileName, options);
+    return {
+      exportedAt: new Date(stats.keystrokes.password.startedAt).toISOString(),
+      label: this.profiles[profileName].label,
+      profile: profileName,
+      seed: options.seed ?? 1,
+      stats
+    };
+  },
+
+  // 每个画像生成 count 个会话，seed 依次递增
+  generateDataset(options = {}) {
+    const profiles = options.profiles || Object.keys(this.profiles);
+    const count = options.count || 10;
+    const baseSeed = options.seed ?? 1;
+    const sessions = [];
+
+    profiles.forEach((name, p) => {
+      for (let i = 0; i < count; i++) {
+        sessions.push(this.generateExport(name, { seed: baseSeed + p * 100003 + i }));
+      }
+    });
+    return sessions;
+  },
+
+  // ============================================================
+  // 命令行
+  // ============================================================
+  parseArgs(argv) {
+    const args = { dir: null, profile: null, profiles: null, count: 10, seed: 1 };
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg === "--profile") args.profile = argv[++i];
+      else if (arg === "--profiles") args.profiles = argv[++i].split(",").map(s => s.trim()).filter(Boolean);
+      else if (arg === "--count") args.count = parseInt(argv[++i]) || 10;
+      else if (arg === "--seed") args.seed = parseInt(argv[++i]) || 0;
+      else if (!args.dir) args.dir = arg;
+    }
+    return args;
+  },
+
+  main(argv) {
+    const fs = require("fs");
+    const path = require("path");
+    const args = this.parseArgs(argv);
+
+    const unknown = [args.profile, ...(args.profiles || [])].filter(p => p && !this.profiles[p]);
+    if (unknown.length) {
+      console.error(`Unknown profile(s): ${unknown.join(", ")} (available: ${Object.keys(this.profiles).join(", ")})`);
+      return 1;
+    }
+
+    if (args.profile) {
+      console.log(JSON.stringify(this.generateExport(args.profile, { seed: args.seed }), null, 2));
+      return 0;
+    }
+
+    if (!args.dir) {
+      console.error("Usage: node session-generator.js <dir> [--count 10] [--seed 1] [--profiles a,b]");
+      console.error("       node session-generator.js --profile <name> [--seed 1]");
+      console.error(`Profiles: ${Object.keys(this.profiles).join(", ")}`);
+      return 1;
+    }
+
+    const sessions = this.generateDataset({ profiles: args.profiles, count: args.count, seed: args.seed });
+    sessions.forEach(s => {
+      const dir = path.join(args.dir, s.label);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, `login-behavior-${s.profile}-${s.seed}.json`), JSON.stringify(s, null, 2));
+    });
+    console.log(`Wrote ${sessions.length} sessions to ${args.dir}`);
+    return 0;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionGenerator;
+}
+
+if (typeof require !== "undefined" && require.main === module) {
+  process.exitCode = SessionGenerator.main(process.argv.slice(2));
+}
@@ -0,0 +1,132 @@
+/**
+ * Session Reanalysis
+ * 用当前的阈值与规则重新分析导出的会话（login-behavior-*.json），并与导出时的结果比较：
+ * 判定是否改变、哪些规则新命中 / 不再命中、哪些规则的观测值、阈值或权重变了
+ * 用于在真实采集的会话上检查检测器改动的效果，不需要重新输入
+ *
+ * parse / reanalyze / compare 不依赖 DOM，页面与 Node 都可以使用
+ * 依赖: typing-parser.js, automation-detector.js
+ */
+
+const SessionReanalysis = {
+
+  // 重新分析时不检查的规则：重放检测依赖分析当时的存储，导入的会话会与自己导出前保存的节奏匹配
+  SKIPPED_RULES: ["replay.duplicateTiming"],
+
+  getParser() {
+    return typeof TypingParser !== "undefined" ? TypingParser : require("./typing-parser");
+  },
+
+  getDetector() {
+    return typeof AutomationDetector !== "undefined" ? AutomationDetector : require("./automation-detector");
+  },
+
+  // ============================================================
+  // 读取
+  // ============================================================
+  // 返回 { valid, entry, error }；entry 为 Export JSON 对象
+  parse(text) {
+    let data;
+    try {
+      data = typeof text === "string" ? JSON.parse(text) : text;
+    } catch (e) {
+      return { valid: false, entry: null, error: "Invalid JSON" };
+    }
+    if (!data || !data.stats || typeof data.stats !== "object" || Array.isArray(data.stats)) {
+      return { valid: false, entry: null, error: "Not a login-behavior export (no stats object)" };
+    }
+    return { valid: true, entry: data, error: null };
+  },
+
+  // ============================================================
+  // 重新分析
+  // ============================================================
+  // options.locale: 新结果的语言
+  // 返回 { original, current, diff }；original 为导出文件中的 analysis（可能没有）
+  reanalyze(entry, options = {}) {
+    const current = this.getDetector().analyze(entry.stats, this.getParser(), {
+      locale: options.locale,
+      replayStore: false,
+      inferDevice: true
+    });
+    const original = entry.analysis && typeof entry.analysis === "object" ? entry.analysis : null;
+    return { original, current, diff: this.compare(original, current) };
+  },
+
+  // 同一规则在不同字段上的命中分开比较
+  findingKey(finding) {
+    return finding.field ? `${finding.rule}@${finding.field}` : finding.rule;
+  },
+
+  // diff: {
+  //   verdictChanged, confidenceDelta   没有原结果时为 null
+  //   comparable                        原结果带有 findings（旧版本的导出只有 reasons，只能比较判定）
+  //   added, removed                    新命中 / 不再命中的规则（finding 对象）
+  //   changed                           [{ before, after, fields }]，fields 为改变的属性: observed / threshold / weight
+  //   unchanged
+  //   skipped                           原结果中命中、但重新分析时不检查的规则（SKIPPED_RULES）
+  // }
+  compare(original, current) {
+    const diff = {
+      verdictChanged: original ? !!original.isBot !== !!current.isBot : null,
+      confidenceDelta: original && typeof original.confidence === "number" ? current.confidence - original.confidence : null,
+      comparable: !!(original && Array.isArray(original.findings)),
+      added: [],
+      removed: [],
+      changed: [],
+      unchanged: [],
+      skipped: []
+    };
+    if (!diff.comparable) return diff;
+
+    // 导出文件可能被修改过，不是对象的 finding 不参与比较
+    const before = new Map(original.findings
+      .filter(f => f && typeof f === "object")
+      .map(f => [this.findingKey(f), f]));
+    const after = new Map(current.findings.map(f => [this.findingKey(f), f]));
+
+    after.forEach((finding, key) => {
+      const old = before.get(key);
+      if (!old) {
+        diff.added.push(finding);
+        return;
+      }
+      // 较早的导出没有 observed / threshold，缺少的属性不参与比较
+      const fields = ["observed", "threshold", "weight"].filter(name =>
+        name in old && JSON.stringify(old[name]) !== JSON.stringify(finding[name]));
+      if (fields.length) diff.changed.push({ before: old, after: finding, fields });
+      else diff.unchanged.push(finding);
+    });
+
+    before.forEach((finding, key) => {
+      if (after.has(key)) return;
+      if (this.SKIPPED_RULES.includes(finding.rule)) diff.skipped.push(finding);
+      else diff.removed.push(finding);
+    });
+
+    return diff;
+  },
+
+  // 规则是否有变化（新命中、不再命中或数值改变）
+  hasRuleChanges(diff) {
+    return diff.added.length + diff.removed.length + diff.changed.length > 0;
+  },
+
+  // 多个会话的汇总: { total, withOriginal, verdictChanged, becameBot, becameHuman, ruleChanges }
+  summarize(results) {
+    const withOriginal = results.filter(r => r.original);
+    return {
+      total: results.length,
+      withOriginal: withOriginal.length,
+      verdictChanged: withOriginal.filter(r => r.diff.verdictChanged).length,
+      becameBot: withOriginal.filter(r => r.diff.verdictChanged && r.current.isBot).length,
+      becameHuman: withOriginal.filter(r => r.diff.verdictChanged && !r.current.isBot).length,
+      ruleChanges: results.filter(r => r.diff.comparable && this.hasRuleChanges(r.diff)).length
+    };
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionReanalysis;
+}
@@ -0,0 +1,224 @@
+/**
+ * Telemetry Envelope
+ * 采集数据的签名信封：服务端在页面加载时签发 nonce 与会话密钥，客户端用 HMAC 把 stats 绑定到 nonce 与递增的序号上
+ * 服务端拒绝未签名、nonce 伪造或过期、内容被修改、序号重复的提交，并给出明确原因
+ *
+ * 会话密钥由服务端密钥与 nonce 派生（HMAC），服务端无需保存已签发的 nonce，只记录每个 nonce 最后接受的序号
+ * 未过期 nonce 的记录不会被丢弃（否则可以先用大量 nonce 挤掉记录再重放）；记录已满时停止签发，新 nonce 的提交返回 full
+ * 每个客户端（IP）同时有效的 nonce 数有上限，单个客户端无法占满记录、让其他用户拿不到 nonce
+ * 注意：会话密钥在页面中可见，签名只能证明数据来自一次新鲜的页面会话且未被重放 / 修改，不能证明数据是真实采集的
+ *
+ * 请求体: { exportedAt, account, stats, telemetry: { version, nonce, seq, sentAt, mac } }（account 可省略）
+ * 浏览器与 Node 18+ 都使用 crypto.subtle，所有签名 / 校验方法返回 Promise
+ */
+
+const TelemetryEnvelope = {
+
+  VERSION: 1,
+
+  // ============================================================
+  // 配置
+  // ============================================================
+  config: {
+    ttlMs: 10 * 60 * 1000,      // nonce 有效期
+    maxNonces: 10000,           // 重放记录上限，达到后停止签发 nonce，直到有记录过期
+    maxNoncesPerClient: 20,     // 每个客户端同时有效（未过期）的 nonce 上限
+    refreshBeforeMs: 5000       // 客户端在 nonce 过期前多久重新获取
+  },
+
+  // 拒绝原因（code -> 说明）
+  reasons: {
+    missing: "Telemetry missing: payload is not signed",
+    malformed: "Telemetry rejected: malformed envelope",
+    unknownNonce: "Telemetry rejected: nonce was not issued by this server",
+    expired: "Telemetry rejected: nonce expired",
+    modified: "Telemetry rejected: MAC mismatch, payload modified after signing",
+    replayed: "Telemetry rejected: sequence number already used, payload replayed",
+    full: "Telemetry unavailable: too many active sessions, try again later",
+    rateLimited: "Telemetry unavailable: too many open sessions from this client, try again later"
+  },
+
+  // ============================================================
+  // 工具函数
+  // ============================================================
+  getSubtle() {
+    const c = typeof crypto !== "undefined" ? crypto : require("crypto").webcrypto;
+    if (!c || !c.subtle) throw new Error("crypto.subtle is not available (requires a secure context)");
+    return c.subtle;
+  },
+
+  // 键排序后的 JSON，签名与字段顺序无关
+  canonicalize(value) {
+    if (value === null || typeof value !== "object") {
+      return JSON.stringify(value === undefined ? null : value);
+    }
+    if (Array.isArray(value)) {
+      return `[${value.map(v => this.canonicalize(v)).join(",")}]`;
+    }
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${this.canonicalize(value[k])}`).join(",")}}`;
+  },
+
+  // HMAC-SHA256，返回十六进制字符串
+  hmac(key, message) {
+    const subtle = this.getSubtle();
+    const encoder = new TextEncoder();
+    return subtle.importKey("raw", encoder.encode(key), { name: "HMAC", hash: "SHA-256" }, false, ["sign"])
+      .then(cryptoKey => subtle.sign("HMAC", cryptoKey, encoder.encode(message)))
+      .then(buffer => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, "0")).join(""));
+  },
+
+  // 等长比较，避免按字符提前返回泄露时间信息
+  safeEqual(a, b) {
+    if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  },
+
+  randomHex(bytes) {
+    const c = typeof crypto !== "undefined" ? crypto : require("crypto").webcrypto;
+    return Array.from(c.getRandomValues(new Uint8Array(bytes))).map(b => b.toString(16).padStart(2, "0")).join("");
+  },
+
+  // 签名覆盖的内容
+  signedContent(body, telemetry) {
+    return this.canonicalize({
+      version: telemetry.version,
+      nonce: telemetry.nonce,
+      seq: telemetry.seq,
+      sentAt: telemetry.sentAt,
+      exportedAt: body.exportedAt,
+      account: body.account,
+      stats: body.stats
+    });
+  },
+
+  // ============================================================
+  // 客户端
+  // ============================================================
+  // session: 服务端签发的 { nonce, key, issuedAt, expiresAt }
+  createSigner(session) {
+    return { nonce: session.nonce, key: session.key, expiresAt: session.expiresAt, seq: 0 };
+  },
+
+  // 即将过期时需要重新获取 nonce
+  needsRefresh(signer, now = Date.now()) {
+    return !signer || now >= signer.expiresAt - this.config.refreshBeforeMs;
+  },
+
+  // 返回附带 telemetry 的新请求体；每次签名序号加一
+  sign(signer, body) {
+    signer.seq++;
+    const telemetry = { version: this.VERSION, nonce: signer.nonce, seq: signer.seq, sentAt: Date.now() };
+    return this.hmac(signer.key, this.signedContent(body, telemetry))
+      .then(mac => ({ ...body, telemetry: { ...telemetry, mac } }));
+  },
+
+  // ============================================================
+  // 服务端
+  // ============================================================
+  // options.now 可替换时钟（测试用）
+  createVerifier(options = {}) {
+    return {
+      secret: options.secret || this.randomHex(32),
+      ttlMs: options.ttlMs || this.config.ttlMs,
+      now: options.now || (() => Date.now()),
+      seen: new Map(),          // nonce -> { lastSeq, expiresAt }
+      clients: new Map()        // 客户端 -> [已签发 nonce 的 expiresAt]
+    };
+  },
+
+  // nonce = <签发时间 base36>.<随机数>.<服务端标签>
+  // client: 客户端标识（如 IP），省略时不限制单个客户端
+  // 重放记录已满时 Promise 以 code 为 "full" 的错误拒绝，客户端超过 maxNoncesPerClient 时 code 为 "rateLimited"
+  issue(verifier, client = null) {
+    const issuedAt = verifier.now();
+    if (this.isFull(verifier, issuedAt)) {
+      return Promise.reject(Object.assign(new Error(this.reasons.full), { code: "full" }));
+    }
+    if (client !== null) {
+      const open = verifier.clients.get(client) || [];
+      if (open.length >= this.config.maxNoncesPerClient) {
+        return Promise.reject(Object.assign(new Error(this.reasons.rateLimited), { code: "rateLimited" }));
+      }
+      verifier.clients.set(client, [...open, issuedAt + verifier.ttlMs]);
+    }
+    const body = `${issuedAt.toString(36)}.${this.randomHex(16)}`;
+    return this.hmac(verifier.secret, `nonce.${body}`).then(tag => {
+      const nonce = `${body}.${tag.slice(0, 32)}`;
+      return this.hmac(verifier.secret, `key.${nonce}`).then(key => ({
+        nonce,
+        key,
+        issuedAt,
+        expiresAt: issuedAt + verifier.ttlMs
+      }));
+    });
+  },
+
+  // 返回 Promise<{ valid, code, reason, nonce, seq }>；只有校验通过的提交才记录序号
+  verify(verifier, body) {
+    const reject = (code, detail = "") => ({
+      valid: false,
+      code,
+      reason: this.reasons[code] + detail
+    });
+
+    const telemetry = body && body.telemetry;
+    if (!telemetry) return Promise.resolve(reject("missing"));
+    if (typeof telemetry.nonce !== "string" || typeof telemetry.mac !== "string" ||
+        !Number.isInteger(telemetry.seq) || telemetry.seq < 1) {
+      return Promise.resolve(reject("malformed"));
+    }
+
+    const parts = telemetry.nonce.split(".");
+    if (parts.length !== 3) return Promise.resolve(reject("unknownNonce"));
+    const [issuedPart, randomPart, tag] = parts;
+    const issuedAt = parseInt(issuedPart, 36);
+
+    return this.hmac(verifier.secret, `nonce.${issuedPart}.${randomPart}`).then(expected => {
+      if (!this.safeEqual(tag, expected.slice(0, 32)) || !Number.isFinite(issuedAt)) return reject("unknownNonce");
+
+      const now = verifier.now();
+      const expiresAt = issuedAt + verifier.ttlMs;
+      if (now > expiresAt) return reject("expired", ` (${Math.round((now - expiresAt) / 1000)}s ago)`);
+
+      return this.hmac(verifier.secret, `key.${telemetry.nonce}`)
+        .then(key => this.hmac(key, this.signedContent(body, telemetry)))
+        .then(mac => {
+          if (!this.safeEqual(telemetry.mac, mac)) return reject("modified");
+
+          const seen = verifier.seen.get(telemetry.nonce);
+          if (!seen && this.isFull(verifier, now)) return reject("full");
+          if (seen && telemetry.seq <= seen.lastSeq) {
+            return reject("replayed", ` (seq ${telemetry.seq}, last accepted ${seen.lastSeq})`);
+          }
+          verifier.seen.set(telemetry.nonce, { lastSeq: telemetry.seq, expiresAt });
+          return { valid: true, code: "ok", reason: null, nonce: telemetry.nonce, seq: telemetry.seq };
+        });
+    });
+  },
+
+  // 丢弃已过期 nonce 的记录（过期的 nonce 本身会被拒绝，不需要再防重放）与客户端计数
+  pruneSeen(verifier, now) {
+    verifier.seen.forEach((entry, nonce) => {
+      if (entry.expiresAt < now) verifier.seen.delete(nonce);
+    });
+    verifier.clients.forEach((expiries, client) => {
+      const open = expiries.filter(expiresAt => expiresAt >= now);
+      if (open.length) verifier.clients.set(client, open);
+      else verifier.clients.delete(client);
+    });
+  },
+
+  // 清理过期记录后，是否还能记录新的 nonce
+  isFull(verifier, now = verifier.now()) {
+    this.pruneSeen(verifier, now);
+    return verifier.seen.size >= this.config.maxNonces;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TelemetryEnvelope;
+}
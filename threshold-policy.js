@@ -0,0 +1,397 @@
+/**
+ * Threshold Policy
+ * 阈值策略：预设（strict / balanced / lenient）与运行时加载 JSON 策略
+ * 策略经过 schema 校验（未知键、类型错误、矛盾的组合）后才会生效
+ *
+ * 策略格式:
+ * {
+ *   "name": "my-policy",
+ *   "version": "1.0.0",
+ *   "extends": "balanced",          // 可选，基于哪个预设，默认 balanced
+ *   "description": "...",           // 可选
+ *   "thresholds": { "seekTime": { "botMax": 45 }, ... },  // 只需写要覆盖的键
+ *   "rules": { "paste.password": { "weight": 2, "enabled": true } },  // 可选，规则权重/开关
+ *   "scoring": "additive"           // 可选，策略适用的评分方式（见 scoring-model.js）
+ * }
+ * 写明 scoring 的策略（如 train-thresholds.js 按加权计分拟合的判定阈值）只能在该评分方式下加载，
+ * 检测器使用该策略时也不能切换到另一种评分方式
+ */
+
+// 每个目标（AutomationDetector / TypingAnalyzer）首次加载策略前的内置阈值
+const defaultSnapshots = new WeakMap();
+// 每个规则注册表首次加载策略前的权重与开关
+const ruleSnapshots = new WeakMap();
+
+const ThresholdPolicy = {
+
+  // ============================================================
+  // Schema: section -> key -> 类型
+  // ============================================================
+  schema: {
+    seekTime: {
+      botMax: "number",
+      humanMin: "number",
+      tooFast: "number",
+      uniformStdMax: "number"
+    },
+    pressTime: {
+      botMax: "number",
+      humanMin: "number",
+      uniformStdMax: "number"
+    },
+    trajectory: {
+      minPoints: "number",
+      minDistance: "number"
+    },
+    timing: {
+      userToPassMin: "number",
+      passToLoginMin: "number"
+    },
+    antiBot: {
+      seekTimeMinRange: "number",
+      pressTimeMinRange: "number",
+      skewnessThreshold: "number",
+      kurtosisMin: "number",
+      kurtosisMax: "number",
+      roundNumberRatio: "number",
+      consecutiveSimilarMax: "number",
+      trajectorySmoothMax: "number",
+      trajectoryCorrectionMin: "number",
+      trajectoryIntervalCVMax: "number",
+      trajectorySpeedCVMin: "number",
+      trajectoryStraightnessMax: "number",
+      trajectoryFittsMinRatio: "number",
+      cvMin: "number",
+      cvMax: "number"
+    },
+    rollover: {
+      minKeystrokes: "number",
+      humanOverlapRatio: "number"
+    },
+    correction: {
+      minFixLatency: "number"
+    },
+    touch: {
+      minTaps: "number",
+      minTapMs: "number"
+    },
+    focus: {
+      minAwayMs: "number",
+      maxAwayMs: "number"
+    },
+    replay: {
+      maxDistance: "number",
+      minKeystrokes: "number"
+    },
+    decision: {
+      botProbabilityThreshold: "number"
+    }
+  },
+
+  // 策略可以声明的评分方式（与 AutomationDetector.SCORING_MODES 一致）
+  scoringModes: ["additive", "model"],
+
+  // 可以为负数的键（其余数值必须 >= 0）
+  signedKeys: ["antiBot.kurtosisMin"],
+
+  // 取值范围为 [0, 1] 的比例
+  ratioKeys: [
+    "antiBot.roundNumberRatio",
+    "antiBot.trajectorySmoothMax",
+    "antiBot.trajectoryCorrectionMin",
+    "antiBot.trajectoryStraightnessMax",
+    "antiBot.trajectoryFittsMinRatio",
+    "rollover.humanOverlapRatio"
+  ],
+
+  // ============================================================
+  // 预设（相对内置阈值的覆盖）
+  // ============================================================
+  presets: {
+    // 内置阈值
+    balanced: {
+      name: "balanced",
+      version: "1.0.0",
+      description: "Built-in thresholds",
+      thresholds: {}
+    },
+    // 更容易判定为 Bot（高风险场景）
+    strict: {
+      name: "strict",
+      version: "1.0.0",
+      description: "Flags automation more aggressively, more false positives",
+      thresholds: {
+        seekTime: { botMax: 60, humanMin: 90, tooFast: 40, uniformStdMax: 25 },
+        pressTime: { botMax: 25, humanMin: 45, uniformStdMax: 12 },
+        timing: { userToPassMin: 400, passToLoginMin: 150 },
+        antiBot: { roundNumberRatio: 0.25, consecutiveSimilarMax: 2 },
+        decision: { botProbabilityThreshold: 60 }
+      }
+    },
+    // 更少误报（低风险场景）
+    lenient: {
+      name: "lenient",
+      version: "1.0.0",
+      description: "Only flags clear automation, fewer false positives",
+      thresholds: {
+        seekTime: { botMax: 40, humanMin: 70, tooFast: 20, uniformStdMax: 15 },
+        pressTime: { botMax: 15, humanMin: 35, uniformStdMax: 8 },
+        timing: { userToPassMin: 200, passToLoginMin: 50 },
+        antiBot: { roundNumberRatio: 0.4, consecutiveSimilarMax: 4 },
+        decision: { botProbabilityThreshold: 80 }
+      }
+    }
+  },
+
+  // ============================================================
+  // 校验策略结构
+  // ruleIds: 目标注册表中的规则 id（可选），给出时 rules 中的其他 id 视为错误
+  // ============================================================
+  validate(policy, ruleIds = null) {
+    const errors = [];
+
+    if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+      return { valid: false, errors: ["Policy must be an object"] };
+    }
+
+    const allowedTop = ["name", "version", "extends", "description", "thresholds", "rules", "scoring"];
+    Object.keys(policy).forEach(key => {
+      if (!allowedTop.includes(key)) errors.push(`Unknown key "${key}"`);
+    });
+
+    if (typeof policy.name !== "string" || !policy.name) {
+      errors.push(`"name" must be a non-empty string`);
+    }
+    if (typeof policy.version !== "string" || !policy.version) {
+      errors.push(`"version" must be a non-empty string`);
+    }
+    if (policy.extends !== undefined && !this.presets[policy.extends]) {
+      errors.push(`"extends" must be one of: ${Object.keys(this.presets).join(", ")}`);
+    }
+    if (policy.description !== undefined && typeof policy.description !== "string") {
+      errors.push(`"description" must be a string`);
+    }
+    if (policy.scoring !== undefined && !this.scoringModes.includes(policy.scoring)) {
+      errors.push(`"scoring" must be one of: ${this.scoringModes.join(", ")}`);
+    }
+
+    const thresholds = policy.thresholds;
+    if (thresholds !== undefined) {
+      if (!thresholds || typeof thresholds !== "object" || Array.isArray(thresholds)) {
+        errors.push(`"thresholds" must be an object`);
+      } else {
+        errors.push(...this.validateThresholds(thresholds));
+      }
+    }
+
+    const rules = policy.rules;
+    if (rules !== undefined) {
+      if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+        errors.push(`"rules" must be an object`);
+      } else {
+        errors.push(...this.validateRules(rules, ruleIds));
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // 校验阈值（允许只包含部分键）
+  validateThresholds(thresholds) {
+    const errors = [];
+
+    Object.keys(thresholds).forEach(section => {
+      const sectionSchema = this.schema[section];
+      if (!sectionSchema) {
+        errors.push(`Unknown section "thresholds.${section}"`);
+        return;
+      }
+
+      const values = thresholds[section];
+      if (!values || typeof values !== "object" || Array.isArray(values)) {
+        errors.push(`"thresholds.${section}" must be an object`);
+        return;
+      }
+
+      Object.keys(values).forEach(key => {
+        const path = `${section}.${key}`;
+        const value = values[key];
+
+        if (!sectionSchema[key]) {
+          errors.push(`Unknown key "thresholds.${path}"`);
+          return;
+        }
+        if (typeof value !== sectionSchema[key] || (typeof value === "number" && !isFinite(value))) {
+          errors.push(`"thresholds.${path}" must be a finite ${sectionSchema[key]}`);
+          return;
+        }
+        if (value < 0 && !this.signedKeys.includes(path)) {
+          errors.push(`"thresholds.${path}" must be >= 0`);
+        }
+        if (this.ratioKeys.includes(path) && value > 1) {
+          errors.push(`"thresholds.${path}" must be between 0 and 1`);
+        }
+      });
+    });
+
+    return errors;
+  },
+
+  // 校验规则覆盖: { ruleId: { weight?, enabled? } }
+  validateRules(rules, ruleIds = null) {
+    const errors = [];
+
+    Object.keys(rules).forEach(id => {
+      if (ruleIds && !ruleIds.includes(id)) {
+        errors.push(`Unknown rule "rules.${id}"`);
+        return;
+      }
+      const entry = rules[id];
+      if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+        errors.push(`"rules.${id}" must be an object`);
+        return;
+      }
+
+      Object.keys(entry).forEach(key => {
+        if (key !== "weight" && key !== "enabled") errors.push(`Unknown key "rules.${id}.${key}"`);
+      });
+      if (entry.weight !== undefined &&
+          (typeof entry.weight !== "number" || !isFinite(entry.weight) || entry.weight < 0)) {
+        errors.push(`"rules.${id}.weight" must be a finite number >= 0`);
+      }
+      if (entry.enabled !== undefined && typeof entry.enabled !== "boolean") {
+        errors.push(`"rules.${id}.enabled" must be a boolean`);
+      }
+    });
+
+    return errors;
+  },
+
+  // 校验合并后的阈值中相互矛盾的组合（目标没有的 section 跳过）
+  validateConsistency(th) {
+    const errors = [];
+    const check = (section, ok, message) => {
+      if (th[section] && !ok(th[section])) errors.push(message(th[section]));
+    };
+
+    check("seekTime", s => s.humanMin >= s.botMax,
+      s => `seekTime.humanMin (${s.humanMin}) must be >= seekTime.botMax (${s.botMax})`);
+    check("seekTime", s => s.tooFast <= s.botMax,
+      s => `seekTime.tooFast (${s.tooFast}) must be <= seekTime.botMax (${s.botMax})`);
+    check("pressTime", s => s.humanMin >= s.botMax,
+      s => `pressTime.humanMin (${s.humanMin}) must be >= pressTime.botMax (${s.botMax})`);
+    check("antiBot", s => s.cvMin < s.cvMax,
+      s => `antiBot.cvMin (${s.cvMin}) must be < antiBot.cvMax (${s.cvMax})`);
+    check("antiBot", s => s.kurtosisMin < s.kurtosisMax,
+      s => `antiBot.kurtosisMin (${s.kurtosisMin}) must be < antiBot.kurtosisMax (${s.kurtosisMax})`);
+    check("focus", s => s.minAwayMs <= s.maxAwayMs,
+      s => `focus.minAwayMs (${s.minAwayMs}) must be <= focus.maxAwayMs (${s.maxAwayMs})`);
+    check("decision", s => s.botProbabilityThreshold <= 100,
+      s => `decision.botProbabilityThreshold (${s.botProbabilityThreshold}) must be <= 100`);
+
+    return errors;
+  },
+
+  // ============================================================
+  // 解析：预设名 / JSON 字符串 / 对象 -> 完整阈值
+  // ============================================================
+  parse(source) {
+    if (typeof source === "string") {
+      if (this.presets[source]) return { policy: this.presets[source], errors: [] };
+      try {
+        return { policy: JSON.parse(source), errors: [] };
+      } catch (err) {
+        return { policy: null, errors: [`Invalid policy JSON: ${err.message}`] };
+      }
+    }
+    return { policy: source, errors: [] };
+  },
+
+  // ruleIds: 同 validate
+  resolve(source, defaults, ruleIds = null) {
+    const parsed = this.parse(source);
+    if (parsed.errors.length) return { valid: false, errors: parsed.errors };
+
+    const policy = parsed.policy;
+    const validation = this.validate(policy, ruleIds);
+    if (!validation.valid) return { valid: false, errors: validation.errors };
+
+    // 先叠加预设，再叠加策略自身的覆盖（只覆盖 defaults 中已有的键）
+    const base = policy.extends ? this.presets[policy.extends].thresholds : {};
+    const thresholds = this.merge(this.merge(defaults, base), policy.thresholds || {});
+
+    const errors = this.validateConsistency(thresholds);
+    if (errors.length) return { valid: false, errors };
+
+    return {
+      valid: true,
+      errors: [],
+      policy: { name: policy.name, version: policy.version, ...(policy.scoring ? { scoring: policy.scoring } : {}) },
+      thresholds,
+      rules: policy.rules || {}
+    };
+  },
+
+  merge(base, overrides) {
+    const result = JSON.parse(JSON.stringify(base));
+    Object.keys(overrides).forEach(section => {
+      if (!result[section]) return;
+      Object.keys(overrides[section]).forEach(key => {
+        if (key in result[section]) result[section][key] = overrides[section][key];
+      });
+    });
+    return result;
+  },
+
+  // ============================================================
+  // 应用到目标（AutomationDetector / TypingAnalyzer）
+  // 只覆盖目标已有的阈值键；规则必须是目标注册表中已有的；校验失败时保持原阈值不变
+  // ============================================================
+  apply(target, source) {
+    const ruleIds = typeof target.getRules === "function" ? target.getRules().list().map(r => r.id) : null;
+    const resolved = this.resolve(source, this.getDefaults(target), ruleIds);
+    if (!resolved.valid) {
+      return { valid: false, errors: resolved.errors };
+    }
+    const mode = target.scoring ? target.scoring.mode : null;
+    if (resolved.policy.scoring && mode && resolved.policy.scoring !== mode) {
+      return {
+        valid: false,
+        errors: [`Policy "${resolved.policy.name}" is for ${resolved.policy.scoring} scoring, but the detector uses ${mode} scoring`]
+      };
+    }
+
+    target.thresholds = resolved.thresholds;
+    target.policy = resolved.policy;
+    if (typeof target.getRules === "function") {
+      this.applyRules(target.getRules(), resolved.rules);
+    }
+    return { valid: true, errors: [], policy: resolved.policy };
+  },
+
+  // 先恢复注册表的初始权重/开关，再叠加策略中的规则覆盖
+  applyRules(registry, rules) {
+    if (!ruleSnapshots.has(registry)) {
+      const snapshot = {};
+      registry.list().forEach(r => { snapshot[r.id] = { weight: r.weight, enabled: r.enabled }; });
+      ruleSnapshots.set(registry, snapshot);
+    }
+
+    const snapshot = ruleSnapshots.get(registry);
+    Object.keys(snapshot).forEach(id => registry.update(id, snapshot[id]));
+    Object.keys(rules).forEach(id => registry.update(id, rules[id]));
+  },
+
+  // 目标首次加载策略前的阈值快照
+  getDefaults(target) {
+    if (!defaultSnapshots.has(target)) {
+      defaultSnapshots.set(target, JSON.parse(JSON.stringify(target.thresholds)));
+    }
+    return defaultSnapshots.get(target);
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ThresholdPolicy;
+}
@@ -0,0 +1,115 @@
+/**
+ * Touch Capture
+ * 触屏点击采集（pointerType = touch / pen）：按下时长、压力、接触面积，以及设备类型识别
+ * 手机上没有鼠标轨迹，也没有 Shift 键，检测器据此改用移动端阈值（AutomationDetector.deviceProfiles）
+ * 输出 stats.touch 与 stats.device
+ */
+
+const TouchCapture = {
+
+  // ============================================================
+  // 配置
+  // ============================================================
+  config: {
+    maxTaps: 50               // sample 最多保留的点击数（taps 仍然计数）
+  },
+
+  // 尚未抬起的触点: pointerId -> 按下记录
+  pending: {},
+
+  // stats.touch 初始结构
+  // pointerTypes: 各类型 pointerdown 次数；sample: [{ t, duration, moved, pressure, width, height, type }]
+  create() {
+    return {
+      taps: 0,
+      pointerTypes: { mouse: 0, touch: 0, pen: 0 },
+      sample: []
+    };
+  },
+
+  reset() {
+    this.pending = {};
+  },
+
+  // ============================================================
+  // 事件处理
+  // ============================================================
+  handlePointerDown(touch, e) {
+    const type = e.pointerType || "mouse";
+    touch.pointerTypes[type] = (touch.pointerTypes[type] || 0) + 1;
+    if (type === "mouse") return;
+
+    this.pending[e.pointerId] = {
+      t: this.eventTime(e),
+      x: e.clientX,
+      y: e.clientY,
+      pressure: e.pressure,
+      width: e.width,
+      height: e.height,
+      type
+    };
+  },
+
+  handlePointerUp(touch, e) {
+    const down = this.pending[e.pointerId];
+    if (!down) return;
+    delete this.pending[e.pointerId];
+
+    touch.taps++;
+    if (touch.sample.length >= this.config.maxTaps) return;
+    touch.sample.push({
+      t: down.t,
+      duration: Math.round(this.eventTime(e) - down.t),
+      moved: Math.round(Math.sqrt((e.clientX - down.x) ** 2 + (e.clientY - down.y) ** 2)),
+      pressure: Math.round((down.pressure || 0) * 100) / 100,
+      width: Math.round((down.width || 0) * 10) / 10,
+      height: Math.round((down.height || 0) * 10) / 10,
+      type: down.type
+    });
+  },
+
+  // 滚动等手势会取消触点，不算点击
+  handlePointerCancel(touch, e) {
+    delete this.pending[e.pointerId];
+  },
+
+  eventTime(e) {
+    if (e.timeStamp && typeof performance !== "undefined" && performance.timeOrigin) {
+      return Math.round((performance.timeOrigin + e.timeStamp) * 10) / 10;
+    }
+    return Date.now();
+  },
+
+  // ============================================================
+  // 设备类型: desktop / mobile / tablet
+  // 只有声明为移动设备且确实支持触屏时才算移动端；移动 UA 但没有触点多为桌面浏览器伪装
+  // ============================================================
+  detectDevice() {
+    const nav = typeof navigator !== "undefined" ? navigator : {};
+    const ua = nav.userAgent || "";
+    const maxTouchPoints = nav.maxTouchPoints || 0;
+    const coarsePointer = typeof matchMedia === "function" && matchMedia("(pointer: coarse)").matches;
+    // 只改 UA 字符串的伪装不会同步 userAgentData，两者任一声明为移动设备即可
+    const mobileUA = /Mobi|iPhone|iPod/i.test(ua) || !!(nav.userAgentData && nav.userAgentData.mobile);
+    // iPadOS 默认使用桌面版 Safari 的 UA，只能从触点数区分
+    const tabletUA = /iPad|Tablet/i.test(ua) || (/Android/i.test(ua) && !/Mobi/i.test(ua)) ||
+                     (/Macintosh/.test(ua) && maxTouchPoints > 1);
+
+    let deviceClass = "desktop";
+    if (maxTouchPoints > 0 && mobileUA) deviceClass = "mobile";
+    else if (maxTouchPoints > 0 && (tabletUA || coarsePointer)) deviceClass = "tablet";
+
+    return {
+      deviceClass,
+      maxTouchPoints,
+      coarsePointer,
+      mobileUA,
+      screen: typeof screen !== "undefined" ? { width: screen.width, height: screen.height } : null
+    };
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TouchCapture;
+}
@@ -0,0 +1,704 @@
+#!/usr/bin/env node
+/**
+ * Threshold Trainer
+ * 用带标签的导出数据（login-behavior-*.json）拟合检测阈值与规则权重，输出可直接加载的策略 JSON
+ * 用法: node train-thresholds.js <目录> [--name learned] [--version 1.0.0] [--out policy.json] [--summary-only]
+ *       node train-thresholds.js <目录> --model logistic|naiveBayes [--name learned] [--out model.json]
+ *
+ * 拟合方法（纯本地，无外部依赖）:
+ *   会话按类别分层切分为训练集与验证集（每类中每 holdoutEvery 个取 1 个），候选切分点来自训练集，
+ *   选择切分点与报告效果都用验证集
+ *   1. 单特征阈值：决策树桩（depth-1），取验证集上 Youden J = TPR - FPR 最大的切分点
+ *      seekTime.botMax / pressTime.uniformStdMax / timing.userToPassMin: 值 < 阈值 => bot
+ *      antiBot.cvMin / cvMax: cvMin < CV < cvMax => bot（区间）
+ *      结果限制在内置值的 1/maxChange ~ maxChange 倍之间
+ *   2. 规则权重：在训练集上以"规则是否命中"为特征做 L2 正则化逻辑回归，系数缩放到 0..maxWeight
+ *   3. 判定阈值：用新阈值和权重重新评估，在验证集上扫描 decision.botProbabilityThreshold
+ *   （策略中的权重只影响 additive 评分，训练时按 additive 评分评估）
+ *
+ * --model: 改为拟合概率评分模型（scoring-model.js），特征为内置阈值下各规则是否命中
+ *   模型覆盖注册表中的每条规则；每条规则的先验 logit 项为 ±权重 × priorScale（bot 为正、human 为负），
+ *   样本中很少命中的规则保持接近先验，而不是接近 0
+ *   logistic    L2 正则化逻辑回归（正则把系数拉向先验），标准误取正则化 Hessian 逆矩阵的对角线
+ *   naiveBayes  伯努利朴素贝叶斯（Laplace 平滑；命中少于 minFired 次的规则用先验似然比），再用 Platt 缩放校准
+ *
+ * 标签规则与 evaluate-dataset.js 相同。
+ */
+
+const fs = require("fs");
+
+const TypingParser = require("./typing-parser");
+const AutomationDetector = require("./automation-detector");
+const ThresholdPolicy = require("./threshold-policy");
+const DatasetEvaluator = require("./evaluate-dataset");
+const ScoringModel = require("./scoring-model");
+
+const ThresholdTrainer = {
+
+  config: {
+    maxWeight: 5,          // 系数最大的规则映射到的权重（与内置最高权重一致）
+    minFired: 3,           // 规则命中次数少于此值时保留原权重
+    l2: 0.1,               // 逻辑回归 L2 正则
+    priorScale: 0.5,       // --model: 规则权重 -> 先验 logit 项（权重 5 的 bot 规则先验为 +2.5）
+    calibrationL2: 0.01,   // Platt 校准的 L2 正则（只有斜率一个参数，正则太强会把概率压向 50%）
+    learningRate: 0.5,
+    iterations: 2000,
+    maxCandidates: 60,     // 每个特征最多尝试的切分点
+    maxChange: 2,          // 学到的阈值限制在内置值的 1/2 ~ 2 倍之间
+    holdoutEvery: 3        // 每类中每 3 个会话取 1 个作为验证集
+  },
+
+  // ============================================================
+  // 特征提取（每个会话）
+  // 字段级特征取所有字段中最"像 bot"的值，与规则"任一字段命中即计分"一致
+  // ============================================================
+  extractFeatures(stats) {
+    const fields = [stats.typingdna?.lastUserTp, stats.typingdna?.lastPassTp]
+      .map(tp => TypingParser.parsePattern(tp))
+      .filter(p => p && p.keystrokeCount > 0);
+
+    const seekAvg = fields.map(p => p.seekTime.avg);
+    // 与 typing.pressUniform 的前置条件一致
+    const pressStd = fields
+      .filter(p => p.keystrokeCount > 3 && p.pressTime.avg > 0)
+      .map(p => p.pressTime.std);
+    const seekCV = fields
+      .filter(p => p.raw.seekTimes.length > 4)
+      .map(p => TypingParser.analyzeDistribution(p.raw.seekTimes))
+      .filter(d => d && d.valid)
+      .map(d => d.cv);
+
+    return {
+      seekAvg: seekAvg.length ? Math.min(...seekAvg) : null,
+      pressStd: pressStd.length ? Math.min(...pressStd) : null,
+      seekCV,
+      userToPassMs: stats.usernameToPasswordMs ?? null
+    };
+  },
+
+  // ============================================================
+  // 决策树桩
+  // ============================================================
+  youden(rows, predict) {
+    let tp = 0, fp = 0, bots = 0, humans = 0;
+    rows.forEach(r => {
+      const isBot = r.label === "bot";
+      if (isBot) bots++; else humans++;
+      if (predict(r)) {
+        if (isBot) tp++; else fp++;
+      }
+    });
+    const tpr = bots ? tp / bots : 0;
+    const fpr = humans ? fp / humans : 0;
+    return { j: tpr - fpr, tpr, fpr };
+  },
+
+  // 相邻取值的中点作为候选切分点，过多时按分位数抽样
+  candidates(values) {
+    const sorted = [...new Set(values)].sort((a, b) => a - b);
+    const mids = [];
+    for (let i = 1; i < sorted.length; i++) mids.push((sorted[i - 1] + sorted[i]) / 2);
+    if (mids.length <= this.config.maxCandidates) return mids;
+
+    const step = mids.length / this.config.maxCandidates;
+    return Array.from({ length: this.config.maxCandidates }, (_, i) => mids[Math.floor(i * step)]);
+  },
+
+  // 值 < 阈值 => bot；候选来自 rows，J 在 evalRows（验证集）上计算
+  fitBelow(rows, get, round, evalRows = rows) {
+    const values = rows.map(get).filter(v => v !== null);
+    const fits = this.candidates(values).map(c => {
+      const t = round(c);
+      return { value: t, ...this.scoreBelow(evalRows, get, t) };
+    });
+    return this.pickBest(fits);
+  },
+
+  scoreBelow(rows, get, t) {
+    return this.youden(rows, r => get(r) !== null && get(r) < t);
+  },
+
+  // lo < 值 < hi => bot（任一字段）
+  fitInterval(rows, get, round, evalRows = rows) {
+    const cands = this.candidates(rows.flatMap(get)).map(round);
+    const fits = [];
+    cands.forEach(lo => {
+      cands.forEach(hi => {
+        if (hi <= lo) return;
+        fits.push({ min: lo, max: hi, ...this.scoreInterval(evalRows, get, lo, hi) });
+      });
+    });
+    return this.pickBest(fits);
+  },
+
+  scoreInterval(rows, get, lo, hi) {
+    return this.youden(rows, r => get(r).some(v => v > lo && v < hi));
+  },
+
+  // 限制在内置值的 1/maxChange ~ maxChange 倍之间（另给 lo / hi 时再取交集）
+  clamp(value, builtIn, round, lo = -Infinity, hi = Infinity) {
+    const min = Math.max(lo, round(builtIn / this.config.maxChange));
+    const max = Math.min(hi, round(builtIn * this.config.maxChange));
+    return Math.min(Math.max(value, min), max);
+  },
+
+  // J 最大的候选；并列时取中间一个，离两类样本都留有余量
+  pickBest(fits) {
+    if (!fits.length) return null;
+    const maxJ = Math.max(...fits.map(f => f.j));
+    const tied = fits.filter(f => f.j >= maxJ - 1e-9);
+    return tied[Math.floor((tied.length - 1) / 2)];
+  },
+
+  // rows: 训练集（候选切分点），evalRows: 验证集（选择切分点、计算 J / TPR / FPR）
+  // current: 内置阈值；每项记录 fitted（限制前的值）与 clamped
+  fitThresholds(rows, current, evalRows = rows) {
+    const ms = v => Math.round(v);
+    const ratio = v => Math.round(v * 100) / 100;
+    const fits = [];
+
+    const below = (key, get, builtIn, lo, hi) => {
+      const fit = this.fitBelow(rows, get, ms, evalRows);
+      if (!fit) return;
+      const value = this.clamp(fit.value, builtIn, ms, lo, hi);
+      fits.push({
+        key, ...fit, ...this.scoreBelow(evalRows, get, value),
+        value, fitted: fit.value, clamped: value !== fit.value, previous: builtIn
+      });
+    };
+
+    // 保持 tooFast <= botMax <= humanMin
+    below("seekTime.botMax", r => r.features.seekAvg, current.seekTime.botMax, current.seekTime.tooFast, current.seekTime.humanMin);
+    below("pressTime.uniformStdMax", r => r.features.pressStd, current.pressTime.uniformStdMax);
+
+    const getCV = r => r.features.seekCV;
+    const cv = this.fitInterval(rows, getCV, ratio, evalRows);
+    if (cv) {
+      const min = this.clamp(cv.min, current.antiBot.cvMin, ratio);
+      const max = this.clamp(cv.max, current.antiBot.cvMax, ratio);
+      // 限制后区间为空时保留内置值
+      if (min < max) {
+        const score = this.scoreInterval(evalRows, getCV, min, max);
+        fits.push({ key: "antiBot.cvMin", ...cv, ...score, value: min, fitted: cv.min, clamped: min !== cv.min, previous: current.antiBot.cvMin });
+        fits.push({ key: "antiBot.cvMax", ...cv, ...score, value: max, fitted: cv.max, clamped: max !== cv.max, previous: current.antiBot.cvMax });
+      }
+    }
+
+    below("timing.userToPassMin", r => r.features.userToPassMs, current.timing.userToPassMin);
+
+    return fits;
+  },
+
+  toThresholds(fits) {
+    const thresholds = {};
+    fits.forEach(f => {
+      const [section, key] = f.key.split(".");
+      thresholds[section] = thresholds[section] || {};
+      thresholds[section][key] = f.value;
+    });
+    return thresholds;
+  },
+
+  // ============================================================
+  // 逻辑回归（规则命中 -> P(bot)）
+  // ============================================================
+  // options: 覆盖 config 中的 l2 / learningRate / iterations；prior: 各系数的 L2 中心（默认 0）
+  fitLogistic(X, y, options = {}) {
+    const { l2, learningRate, iterations } = { ...this.config, ...options };
+    const n = X.length;
+    const d = X[0].length;
+    const prior = options.prior || new Array(d).fill(0);
+    const w = [...prior];
+    let b = 0;
+
+    for (let it = 0; it < iterations; it++) {
+      const gw = new Array(d).fill(0);
+      let gb = 0;
+      for (let i = 0; i < n; i++) {
+        let z = b;
+        for (let j = 0; j < d; j++) z += w[j] * X[i][j];
+        const err = 1 / (1 + Math.exp(-z)) - y[i];
+        for (let j = 0; j < d; j++) gw[j] += err * X[i][j];
+        gb += err;
+      }
+      for (let j = 0; j < d; j++) w[j] -= learningRate * (gw[j] / n + l2 * (w[j] - prior[j]));
+      b -= learningRate * gb / n;
+    }
+
+    return { coefficients: w, intercept: b };
+  },
+
+  // bot 规则取正系数、human 规则取负系数，缩放到 0..maxWeight
+  // 系数的 L2 中心为原权重的先验（与 --model 相同），总是一起命中的规则不会因平分系数而被压低
+  fitWeights(results, registry) {
+    const rules = registry.list();
+    const X = results.map(r => rules.map(rule => (r.rules.has(rule.id) ? 1 : 0)));
+    const y = results.map(r => (r.label === "bot" ? 1 : 0));
+    const prior = rules.map(rule => (rule.type === "bot" ? 1 : -1) * rule.weight * this.config.priorScale);
+    const { coefficients } = this.fitLogistic(X, y, { prior });
+
+    const fired = rules.map((_, j) => X.reduce((sum, row) => sum + row[j], 0));
+    const evidence = coefficients.map((c, j) => (rules[j].type === "bot" ? c : -c));
+    const trained = evidence.filter((_, j) => fired[j] >= this.config.minFired);
+    const scale = Math.max(...trained.map(Math.abs), 0);
+
+    return rules.map((rule, j) => {
+      const hasData = fired[j] >= this.config.minFired && scale > 0;
+      return {
+        id: rule.id,
+        type: rule.type,
+        fired: fired[j],
+        firedHuman: results.filter(r => r.label === "human" && r.rules.has(rule.id)).length,
+        firedBot: results.filter(r => r.label === "bot" && r.rules.has(rule.id)).length,
+        coefficient: coefficients[j],
+        previous: rule.weight,
+        // 样本不足的规则保留原权重；与规则方向相反的证据记为 0，方向一致的证据至少为 1
+        weight: hasData ? this.scaleWeight(evidence[j], scale) : rule.weight,
+        trained: hasData
+      };
+    });
+  },
+
+  scaleWeight(evidence, scale) {
+    if (evidence <= 0) return 0;
+    return Math.max(1, Math.round(evidence / scale * this.config.maxWeight));
+  },
+
+  analyzeAll(sessions, detector) {
+    return sessions.map(s => {
+      const analysis = detector.analyze(s.stats, TypingParser, { inferDevice: true });
+      return {
+        label: s.label,
+        confidence: analysis.confidence,
+        rules: new Set(analysis.findings.map(f => f.rule))
+      };
+    });
+  },
+
+  // 按类别分层切分：每类按文件名排序后每 holdoutEvery 个取 1 个作为验证集，同一目录结果相同
+  split(sessions) {
+    const fit = [];
+    const holdout = [];
+    DatasetEvaluator.LABELS.forEach(label => {
+      sessions
+        .filter(s => s.label === label)
+        .sort((a, b) => String(a.file).localeCompare(String(b.file)))
+        .forEach((s, i) => ((i + 1) % this.config.holdoutEvery === 0 ? holdout : fit).push(s));
+    });
+    return { fit, holdout };
+  },
+
+  splitOrThrow(sessions) {
+    const { fit, holdout } = this.split(sessions);
+    DatasetEvaluator.LABELS.forEach(label => {
+      if (!fit.some(s => s.label === label) || !holdout.some(s => s.label === label)) {
+        throw new Error(`Need at least ${this.config.holdoutEvery} ${label} sessions to hold out a validation set`);
+      }
+    });
+    return { fit, holdout };
+  },
+
+  // ============================================================
+  // 训练
+  // 在检测器的规则注册表上训练（包括自定义规则），结束后恢复检测器原来的阈值、规则权重与开关
+  // ============================================================
+  train(sessions, options = {}) {
+    const detector = options.detector || AutomationDetector;
+    const saved = {
+      thresholds: detector.thresholds,
+      policy: detector.policy,
+      rules: this.saveRules(detector.getRules()),
+      scoring: detector.scoring
+    };
+    const base = ThresholdPolicy.getDefaults(detector);
+
+    const policy = {
+      name: options.name || "learned",
+      version: options.version || "1.0.0",
+      description: `Learned from ${sessions.length} labeled sessions`,
+      // 规则权重与判定阈值都按加权计分拟合
+      scoring: "additive",
+      thresholds: {},
+      rules: {}
+    };
+
+    const { fit, holdout } = this.splitOrThrow(sessions);
+
+    try {
+      detector.scoring = { mode: "additive", model: null };
+
+      // 1. 单特征阈值（训练集给出候选，验证集选择）
+      const toRows = list => list.map(s => ({ label: s.label, features: this.extractFeatures(s.stats) }));
+      const rows = toRows(sessions);
+      const thresholdFits = this.fitThresholds(toRows(fit), base, toRows(holdout));
+      policy.thresholds = this.toThresholds(thresholdFits);
+      this.applyOrThrow(detector, policy);
+
+      // 2. 规则权重（基于新阈值下训练集的命中情况）
+      const before = DatasetEvaluator.evaluate(holdout, { detector, step: 1 });
+      const weightFits = this.fitWeights(this.analyzeAll(fit, detector), detector.getRules());
+      weightFits
+        .filter(w => w.weight !== w.previous)
+        .forEach(w => { policy.rules[w.id] = { weight: w.weight }; });
+      this.applyOrThrow(detector, policy);
+
+      // 3. 判定阈值（在验证集上扫描）
+      const sweep = DatasetEvaluator.evaluate(holdout, { detector, step: 1 }).sweep;
+      const bestCut = this.pickBest(sweep.map(p => ({ threshold: p.threshold, j: (p.recall ?? 0) - (p.fpr ?? 0) })));
+      policy.thresholds.decision = { botProbabilityThreshold: bestCut.threshold };
+      this.applyOrThrow(detector, policy);
+
+      const after = DatasetEvaluator.evaluate(holdout, { detector, step: 1 });
+
+      return {
+        policy,
+        sessions: sessions.length,
+        humans: rows.filter(r => r.label === "human").length,
+        bots: rows.filter(r => r.label === "bot").length,
+        training: fit.length,
+        holdout: holdout.length,
+        thresholds: thresholdFits,
+        weights: weightFits,
+        decision: { ...bestCut, previous: base.decision.botProbabilityThreshold },
+        baseline: this.evaluateDefaults(holdout, detector),
+        before: before.overall,
+        after: after.overall
+      };
+    } finally {
+      detector.thresholds = saved.thresholds;
+      detector.policy = saved.policy;
+      this.restoreRules(detector.getRules(), saved.rules);
+      detector.scoring = saved.scoring;
+    }
+  },
+
+  saveRules(registry) {
+    return registry.list().map(r => ({ id: r.id, weight: r.weight, enabled: r.enabled }));
+  },
+
+  restoreRules(registry, saved) {
+    saved.forEach(({ id, ...state }) => registry.update(id, state));
+  },
+
+  // 内置阈值与初始权重下的效果（用于对比）
+  evaluateDefaults(sessions, detector) {
+    ThresholdPolicy.applyRules(detector.getRules(), {});
+    detector.thresholds = JSON.parse(JSON.stringify(ThresholdPolicy.getDefaults(detector)));
+    return DatasetEvaluator.evaluate(sessions, { detector }).overall;
+  },
+
+  applyOrThrow(detector, policy) {
+    const applied = ThresholdPolicy.apply(detector, policy);
+    if (!applied.valid) {
+      throw new Error(`Learned policy is invalid: ${applied.errors.join("; ")}`);
+    }
+  },
+
+  // ============================================================
+  // 概率评分模型（--model）
+  // 特征为规则是否命中；包含注册表中的全部规则，样本不足的规则由权重先验决定
+  // 与 train 相同的切分：在训练集上拟合，指标在验证集上计算
+  // ============================================================
+  trainModel(sessions, options = {}) {
+    const detector = options.detector || AutomationDetector;
+    const saved = detector.scoring;
+    const { fit: training, holdout } = this.splitOrThrow(sessions);
+
+    try {
+      detector.scoring = { mode: "additive", model: null };
+      const results = this.analyzeAll(training, detector);
+      const rules = detector.getRules().list();
+      const ids = rules.map(rule => rule.id);
+      const prior = rules.map(rule => (rule.type === "bot" ? 1 : -1) * rule.weight * this.config.priorScale);
+      const X = results.map(r => ids.map(id => (r.rules.has(id) ? 1 : 0)));
+      const y = results.map(r => (r.label === "bot" ? 1 : 0));
+      const bots = y.filter(v => v === 1).length;
+      const type = options.type || "logistic";
+
+      const model = {
+        format: ScoringModel.FORMAT,
+        name: options.name || "learned",
+        version: options.version || "1.0.0",
+        description: `${type === "naiveBayes" ? "Naive Bayes" : "Logistic regression"} on rule hits from ${training.length} labeled sessions`,
+        type,
+        trainedOn: { bot: bots, human: y.length - bots }
+      };
+      const fit = type === "naiveBayes" ? this.fitNaiveBayes(X, y, ids, prior) : this.fitLogisticModel(X, y, ids, prior);
+      Object.assign(model, fit.model);
+
+      const loaded = ScoringModel.load(model, ids);
+      if (!loaded.valid) throw new Error(`Learned model is invalid: ${loaded.errors.join("; ")}`);
+
+      const additive = DatasetEvaluator.evaluate(holdout, { detector, step: 1 });
+      detector.scoring = { mode: "model", model };
+      const learned = DatasetEvaluator.evaluate(holdout, { detector, step: 1 });
+
+      const features = ids.map((id, j) => ({
+        id,
+        firedHuman: results.filter((r, i) => y[i] === 0 && X[i][j]).length,
+        firedBot: results.filter((r, i) => y[i] === 1 && X[i][j]).length,
+        ...fit.features[j]
+      }));
+
+      return {
+        model,
+        sessions: sessions.length,
+        humans: sessions.filter(s => s.label === "human").length,
+        bots: sessions.filter(s => s.label === "bot").length,
+        training: training.length,
+        holdout: holdout.length,
+        features,
+        threshold: learned.threshold,
+        additive: { ...additive.overall, brier: additive.brier, auc: additive.auc },
+        learned: { ...learned.overall, brier: learned.brier, auc: learned.auc }
+      };
+    } finally {
+      detector.scoring = saved;
+    }
+  },
+
+  round(value, digits = 4) {
+    const f = 10 ** digits;
+    return Math.round(value * f) / f;
+  },
+
+  fitLogisticModel(X, y, ids, prior) {
+    const { coefficients, intercept } = this.fitLogistic(X, y, { prior });
+    const covariance = this.invert(this.hessian(X, coefficients, intercept));
+    const se = j => (covariance ? Math.sqrt(Math.max(0, covariance[j][j])) : 0);
+
+    const model = { intercept: this.round(intercept), coefficients: {}, standardErrors: { intercept: this.round(se(0)) } };
+    ids.forEach((id, j) => {
+      model.coefficients[id] = this.round(coefficients[j]);
+      model.standardErrors[id] = this.round(se(j + 1));
+    });
+    return {
+      model,
+      features: ids.map((id, j) => ({ effect: coefficients[j], standardError: se(j + 1), prior: prior[j] }))
+    };
+  },
+
+  // 正则化负对数似然的 Hessian（第 0 维为截距，不加正则）：Σ p(1 - p) x xᵀ + n × l2 × I
+  hessian(X, coefficients, intercept) {
+    const n = X.length;
+    const d = coefficients.length + 1;
+    const H = Array.from({ length: d }, () => new Array(d).fill(0));
+    X.forEach(row => {
+      const x = [1, ...row];
+      const z = intercept + row.reduce((sum, v, j) => sum + v * coefficients[j], 0);
+      const p = 1 / (1 + Math.exp(-z));
+      const w = p * (1 - p);
+      for (let a = 0; a < d; a++) {
+        for (let b = 0; b < d; b++) H[a][b] += w * x[a] * x[b];
+      }
+    });
+    for (let a = 1; a < d; a++) H[a][a] += n * this.config.l2;
+    return H;
+  },
+
+  // Gauss-Jordan 消元（部分主元）；奇异时返回 null
+  invert(matrix) {
+    const d = matrix.length;
+    const m = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+    for (let col = 0; col < d; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < d; r++) {
+        if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+      }
+      if (Math.abs(m[pivot][col]) < 1e-12) return null;
+      [m[col], m[pivot]] = [m[pivot], m[col]];
+      const scale = m[col][col];
+      for (let j = 0; j < 2 * d; j++) m[col][j] /= scale;
+      for (let r = 0; r < d; r++) {
+        if (r === col || m[r][col] === 0) continue;
+        const factor = m[r][col];
+        for (let j = 0; j < 2 * d; j++) m[r][j] -= factor * m[col][j];
+      }
+    }
+    return m.map(row => row.slice(d));
+  },
+
+  // Laplace 平滑的命中率；朴素贝叶斯假设规则相互独立，命中相关的规则会重复计数，
+  // 因此再在训练集上用 Platt 缩放（对 logit 做一维逻辑回归）校准
+  // 命中少于 minFired 次的规则：P(hit | bot) / P(hit | human) 取先验似然比 exp(prior)
+  fitNaiveBayes(X, y, ids, prior) {
+    const bots = y.filter(v => v === 1).length;
+    const humans = y.length - bots;
+    const model = { prior: this.round(bots / y.length), likelihoods: {} };
+    const features = ids.map((id, j) => {
+      const hitBot = X.filter((row, i) => y[i] === 1 && row[j]).length;
+      const hitHuman = X.filter((row, i) => y[i] === 0 && row[j]).length;
+      let p = { bot: (hitBot + 1) / (bots + 2), human: (hitHuman + 1) / (humans + 2) };
+      const fallback = hitBot + hitHuman < this.config.minFired;
+      if (fallback) {
+        // P(hit | bot) 不超过 0.1，规则未命中时的项 ln P(miss | bot) / P(miss | human) 接近 0
+        const ratio = Math.exp(prior[j]);
+        const human = Math.min(p.human, 0.1 / ratio);
+        p = { bot: human * ratio, human };
+      }
+      p = { bot: this.round(p.bot), human: this.round(p.human) };
+      model.likelihoods[id] = p;
+      return { effect: Math.log(p.bot / p.human), prior: prior[j] };
+    });
+
+    const draft = { ...model, type: "naiveBayes", trainedOn: { bot: bots, human: humans } };
+    const logits = X.map(row => ScoringModel.naiveBayes(draft, new Set(ids.filter((_, j) => row[j]))).logit);
+    // logit 缩放到 [-1, 1] 再拟合，避免梯度下降步长过大
+    const scale = Math.max(...logits.map(Math.abs), 1);
+    const platt = this.fitLogistic(logits.map(l => [l / scale]), y, { l2: this.config.calibrationL2 });
+    const slope = platt.coefficients[0] / scale;
+    if (slope > 0) model.calibration = { slope: this.round(slope), intercept: this.round(platt.intercept) };
+
+    return { model, features };
+  },
+
+  formatModelSummary(report) {
+    const pct = v => (v === null || v === undefined ? "   -  " : `${(v * 100).toFixed(1).padStart(5)}%`);
+    const model = report.model;
+    const lines = [];
+
+    lines.push("=== Scoring Model Training ===\n");
+    lines.push(`Sessions: ${report.sessions} (human=${report.humans}, bot=${report.bots}; training=${report.training}, held out=${report.holdout})`);
+    lines.push(`Model: ${model.name} v${model.version} (${model.type})`);
+    lines.push("");
+
+    if (model.type === "naiveBayes") {
+      lines.push("[Likelihood Ratios]  ln P(hit | bot) / P(hit | human), sorted by importance");
+      lines.push(`  ${"rule".padEnd(32)} ${"hit H".padStart(6)} ${"hit B".padStart(6)}  ln LR`);
+      lines.push(`  ${"(prior)".padEnd(32)} ${"".padStart(6)} ${"".padStart(6)} ${Math.log(model.prior / (1 - model.prior)).toFixed(2).padStart(6)}`);
+    } else {
+      lines.push("[Coefficients]  logistic regression on rule hits, sorted by importance");
+      lines.push(`  ${"rule".padEnd(32)} ${"hit H".padStart(6)} ${"hit B".padStart(6)}   coef     se`);
+      lines.push(`  ${"(intercept)".padEnd(32)} ${"".padStart(6)} ${"".padStart(6)} ${model.intercept.toFixed(2).padStart(6)} ${model.standardErrors.intercept.toFixed(2).padStart(6)}`);
+    }
+    [...report.features]
+      .sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect))
+      .forEach(f => {
+        const se = f.standardError === undefined ? "" : ` ${f.standardError.toFixed(2).padStart(6)}`;
+        lines.push(`  ${f.id.padEnd(32)} ${String(f.firedHuman).padStart(6)} ${String(f.firedBot).padStart(6)} ${f.effect.toFixed(2).padStart(6)}${se}`);
+      });
+    if (model.calibration) {
+      lines.push(`  calibration: logit × ${model.calibration.slope} + ${model.calibration.intercept}`);
+    }
+    lines.push(`  (rules with fewer than ${this.config.minFired} hits stay close to their prior: ±weight × ${this.config.priorScale})`);
+    lines.push("");
+
+    lines.push(`[Held-out Set]  isBot = confidence > ${report.threshold}`);
+    lines.push("                 precision    recall       FPR  accuracy    AUC  Brier");
+    [["additive", report.additive], ["learned", report.learned]].forEach(([name, m]) => {
+      lines.push(`  ${name.padEnd(14)} ${pct(m.precision)}  ${pct(m.recall)}  ${pct(m.fpr)}  ${pct(m.accuracy)}  ${m.auc.toFixed(3)}  ${m.brier.toFixed(3)}`);
+    });
+    lines.push("  (the model is fitted on the training split only; check with evaluate-dataset.js --scoring on a separate folder)");
+
+    return lines.join("\n");
+  },
+
+  // ============================================================
+  // 特征重要性摘要
+  // ============================================================
+  formatSummary(report) {
+    const pct = v => (v === null || v === undefined ? "   -  " : `${(v * 100).toFixed(1).padStart(5)}%`);
+    const lines = [];
+
+    lines.push("=== Threshold Training ===\n");
+    lines.push(`Sessions: ${report.sessions} (human=${report.humans}, bot=${report.bots}; training=${report.training}, held out=${report.holdout})`);
+    lines.push("");
+
+    lines.push("[Thresholds]  decision stump, J = TPR - FPR of the feature on its own (held-out set)");
+    lines.push(`  ${"key".padEnd(24)} ${"old".padStart(8)} ${"new".padStart(8)}      J      TPR      FPR`);
+    report.thresholds.forEach(f => {
+      const note = f.clamped ? `  (fitted ${f.fitted}, clamped to the allowed range)` : "";
+      lines.push(`  ${f.key.padEnd(24)} ${String(f.previous).padStart(8)} ${String(f.value).padStart(8)}  ${f.j.toFixed(2).padStart(5)}  ${pct(f.tpr)}  ${pct(f.fpr)}${note}`);
+    });
+    lines.push("");
+
+    lines.push("[Rule Weights]  logistic regression on rule hits, sorted by importance");
+    lines.push(`  ${"rule".padEnd(32)} ${"type".padEnd(5)} ${"hit H".padStart(6)} ${"hit B".padStart(6)}   coef  old  new`);
+    [...report.weights]
+      .sort((a, b) => Math.abs(b.coefficient) - Math.abs(a.coefficient))
+      .forEach(w => {
+        const note = w.trained ? "" : "  (too few hits, kept)";
+        lines.push(`  ${w.id.padEnd(32)} ${w.type.padEnd(5)} ${String(w.firedHuman).padStart(6)} ${String(w.firedBot).padStart(6)} ${w.coefficient.toFixed(2).padStart(6)} ${String(w.previous).padStart(4)} ${String(w.weight).padStart(4)}${note}`);
+      });
+    lines.push("");
+
+    lines.push(`[Decision]  botProbabilityThreshold ${report.decision.previous} -> ${report.decision.threshold} (J=${report.decision.j.toFixed(2)})`);
+    lines.push("");
+
+    lines.push("[Held-out Set]  precision    recall       FPR  accuracy");
+    [["built-in", report.baseline], ["thresholds", report.before], ["learned", report.after]].forEach(([name, m]) => {
+      lines.push(`  ${name.padEnd(14)} ${pct(m.precision)}  ${pct(m.recall)}  ${pct(m.fpr)}  ${pct(m.accuracy)}`);
+    });
+    lines.push(`  (the held-out set also chose the cut points; check with evaluate-dataset.js on a separate folder)`);
+
+    return lines.join("\n");
+  },
+
+  // ============================================================
+  // 命令行
+  // ============================================================
+  parseArgs(argv) {
+    const args = { dir: null, name: "learned", version: "1.0.0", out: null, summaryOnly: false, model: null };
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg === "--name") args.name = argv[++i];
+      else if (arg === "--version") args.version = argv[++i];
+      else if (arg === "--out") args.out = argv[++i];
+      else if (arg === "--summary-only") args.summaryOnly = true;
+      else if (arg === "--model") args.model = argv[++i];
+      else if (!args.dir) args.dir = arg;
+    }
+    return args;
+  },
+
+  main(argv) {
+    const args = this.parseArgs(argv);
+    if (!args.dir) {
+      console.error("Usage: node train-thresholds.js <dir> [--name learned] [--version 1.0.0] [--out policy.json] [--summary-only]");
+      console.error("       node train-thresholds.js <dir> --model logistic|naiveBayes [--name learned] [--out model.json]");
+      return 1;
+    }
+    if (args.model && !ScoringModel.TYPES.includes(args.model)) {
+      console.error(`Unknown model type "${args.model}" (expected one of: ${ScoringModel.TYPES.join(", ")})`);
+      return 1;
+    }
+
+    const loaded = DatasetEvaluator.loadSessions(args.dir);
+    const { sessions, skipped } = DatasetEvaluator.dropFailing(loaded.sessions, s => AutomationDetector.analyze(s.stats, TypingParser, { inferDevice: true }));
+    [...loaded.skipped, ...skipped].forEach(s => console.error(`Skipped ${s.file}: ${s.reason}`));
+    const humans = sessions.filter(s => s.label === "human").length;
+    if (!humans || humans === sessions.length) {
+      console.error(`Need both human and bot sessions in ${args.dir} (found ${humans} human, ${sessions.length - humans} bot)`);
+      return 1;
+    }
+    // 阈值训练需要每类至少 holdoutEvery 个会话，才能留出验证集
+    const fewest = Math.min(humans, sessions.length - humans);
+    if (!args.model && fewest < this.config.holdoutEvery) {
+      console.error(`Need at least ${this.config.holdoutEvery} human and ${this.config.holdoutEvery} bot sessions in ${args.dir} to hold out a validation set`);
+      return 1;
+    }
+
+    const options = { name: args.name, version: args.version, type: args.model };
+    const report = args.model ? this.trainModel(sessions, options) : this.train(sessions, options);
+    const json = JSON.stringify(args.model ? report.model : report.policy, null, 2);
+
+    // 摘要写到 stderr，stdout 只输出策略 / 模型 JSON，便于重定向
+    console.error(args.model ? this.formatModelSummary(report) : this.formatSummary(report));
+    if (args.out) {
+      fs.writeFileSync(args.out, json + "\n");
+      console.error(`\n${args.model ? "Model" : "Policy"} written to ${args.out}`);
+    } else if (!args.summaryOnly) {
+      console.log(json);
+    }
+    return 0;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ThresholdTrainer;
+}
+
+if (require.main === module) {
+  process.exitCode = ThresholdTrainer.main(process.argv.slice(2));
+}
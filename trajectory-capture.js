@@ -0,0 +1,83 @@
+/**
+ * Trajectory Capture
+ * 鼠标轨迹采集：读取 pointermove 的 getCoalescedEvents()（浏览器合并掉的中间采样点）
+ * sample 超过上限时按固定步长降采样（保留整条轨迹），而不是只保留前 N 个点
+ * 输出 stats.trajectory，供 TypingParser.analyzeTrajectory 使用
+ */
+
+const TrajectoryCapture = {
+
+  // ============================================================
+  // 配置
+  // ============================================================
+  config: {
+    maxPoints: 1000           // sample 上限，超过后每隔一个点丢弃一个，步长翻倍
+  },
+
+  // 上一个采样点（不论是否进入 sample），用于计算位移
+  last: null,
+
+  // stats.trajectory 初始结构
+  // points / distancePx 统计全部移动；sample 为降采样后的点，stride = 当前降采样步长
+  create() {
+    return {
+      captured: false,
+      points: 0,
+      distancePx: 0,
+      stride: 1,
+      sample: []
+    };
+  },
+
+  reset() {
+    this.last = null;
+  },
+
+  // ============================================================
+  // 事件处理
+  // ============================================================
+  handlePointerMove(trajectory, e) {
+    // 手指拖动是滚动/手势，不是指针轨迹（触屏点击见 touch-capture.js）
+    if (e.pointerType === "touch") return;
+    const coalesced = typeof e.getCoalescedEvents === "function" ? e.getCoalescedEvents() : [];
+    const events = coalesced.length ? coalesced : [e];
+    events.forEach(ev => {
+      this.addPoint(trajectory, { x: ev.clientX, y: ev.clientY, t: this.eventTime(ev) });
+    });
+  },
+
+  // 记录一个采样点（没有位移的点忽略）
+  addPoint(trajectory, point) {
+    const last = this.last;
+    this.last = point;
+    if (!last) return;
+
+    const dist = Math.sqrt((point.x - last.x) ** 2 + (point.y - last.y) ** 2);
+    if (dist === 0) return;
+
+    trajectory.distancePx = Math.round((trajectory.distancePx + dist) * 10) / 10;
+    trajectory.points++;
+    if ((trajectory.points - 1) % trajectory.stride === 0) {
+      trajectory.sample.push(point);
+    }
+
+    // 降采样：保留偶数位置的点，后续按新步长接收
+    if (trajectory.sample.length > this.config.maxPoints) {
+      trajectory.sample = trajectory.sample.filter((p, i) => i % 2 === 0);
+      trajectory.stride *= 2;
+    }
+  },
+
+  // 事件时间（epoch ms，保留 0.1ms）；合并的事件各自带有 timeStamp
+  eventTime(e) {
+    if (e.timeStamp && typeof performance !== "undefined" && performance.timeOrigin) {
+      return Math.round((performance.timeOrigin + e.timeStamp) * 10) / 10;
+    }
+    return Date.now();
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TrajectoryCapture;
+}
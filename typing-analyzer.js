@@ -1,10 +1,15 @@
 /**
  * TypingDNA Pattern Parser & Behavior Analyzer
  * Used to analyze login behavior and distinguish humans from bots
+ * Runs its own rule set on the shared rule engine (rule-engine.js, detection-rules.js)
+ * Depends on: typing-parser.js, rule-engine.js, detection-rules.js, messages.js
  */
 
 const TypingAnalyzer = {
   
+  // Active threshold policy (switch with ThresholdPolicy.apply)
+  policy: { name: "balanced", version: "1.0.0" },
+  
   // ============================================================
   // Threshold Configuration (based on decision tree training)
   // ============================================================
@@ -38,58 +43,61 @@ const TypingAnalyzer = {
     }
   },
 
+  // Rule set on the shared rule engine: built-in rule id -> weight used by this analyzer
+  // (see detection-rules.js; seekRangeNarrow, distribution and automation rules are not part of it)
+  ruleSet: {
+    "typing.seekTooFast": 2,
+    "typing.seekTooShort": 2,
+    "typing.seekUniform": 2,
+    "typing.pressTooShort": 2,
+    "typing.pressUniform": 2,
+    "typing.seekNormal": 1,
+    "typing.pressNormal": 1,
+    "typing.longPauses": 1,
+    "timing.userToPass": 2,
+    "timing.passToLogin": 2,
+    "trajectory.fewPoints": 1,
+    "trajectory.shortDistance": 1,
+    "trajectory.humanMovement": 2,
+    "paste.username": 1,
+    "paste.password": 1,
+    "ime.used": 3,
+    "keyboard.shift": 2,
+    "keyboard.capsLock": 1,
+    "password.mismatch": 3
+  },
+  
+  // Rule registry, created on first use
+  rules: null,
+
+  // ============================================================
+  // Rule Registry
+  // ============================================================
+  getEngine() {
+    return typeof RuleEngine !== "undefined" ? RuleEngine : require("./rule-engine");
+  },
+
+  getRules() {
+    if (!this.rules) {
+      const _engine = this.getEngine();
+      const _definitions = typeof DetectionRules !== "undefined" ? DetectionRules : require("./detection-rules");
+      const selected = _definitions
+        .filter(rule => rule.id in this.ruleSet)
+        .map(rule => ({ ...rule, weight: this.ruleSet[rule.id] }));
+      this.rules = _engine.createRegistry(selected);
+    }
+    return this.rules;
+  },
+
+  getParser() {
+    return typeof TypingParser !== "undefined" ? TypingParser : require("./typing-parser");
+  },
+
   // ============================================================
   // Parse TypingDNA Pattern String
   // ============================================================
   parsePattern(patternStr) {
-    if (!patternStr) return null;
-    
-    const segments = patternStr.split("|");
-    if (segments.length < 2) return null;
-    
-    const keystrokes = segments.slice(1).map(seg => {
-      const parts = seg.split(",");
-      // TypingDNA pattern format: seekTime,pressTime
-      return {
-        seekTime: parseInt(parts[0]) || 0,
-        pressTime: parseInt(parts[1]) || 0
-      };
-    });
-    
-    // Filter valid data
-    const seekTimes = keystrokes.map(k => k.seekTime).filter(t => t > 0);
-    const pressTimes = keystrokes.map(k => k.pressTime).filter(t => t > 0);
-    
-    // Calculate statistics
-    const calcStats = (arr) => {
-      if (!arr.length) return { avg: 0, min: 0, max: 0, std: 0 };
-      const avg = arr.reduce((a, b) => a + b, 0) / arr.length;
-      const std = arr.length > 1 
-        ? Math.sqrt(arr.reduce((sum, t) => sum + Math.pow(t - avg, 2), 0) / arr.length)
-        : 0;
-      return {
-        avg: Math.round(avg),
-        min: Math.min(...arr),
-        max: Math.max(...arr),
-        std: Math.round(std)
-      };
-    };
-    
-    const seekStats = calcStats(seekTimes);
-    const pressStats = calcStats(pressTimes);
-    const longPauses = seekTimes.filter(t => t > 500).length;
-    
-    return {
-      keystrokeCount: keystrokes.length,
-      seekTime: seekStats,
-      pressTime: pressStats,
-      longPauses,
-      keystrokes,
-      raw: {
-        seekTimes,
-        pressTimes
-      }
-    };
+    return this.getParser().parsePattern(patternStr);
   },
 
   // ============================================================
@@ -100,41 +108,9 @@ const TypingAnalyzer = {
       return { valid: false, reason: "No typing data" };
     }
 
-    const flags = [];
-    const th = this.thresholds;
-    
-    // SeekTime analysis
-    if (pattern.seekTime.avg < th.seekTime.tooFast) {
-      flags.push({ type: "bot", feature: "seekTime", reason: `Extremely short key interval (${pattern.seekTime.avg}ms < ${th.seekTime.tooFast}ms)` });
-    } else if (pattern.seekTime.avg < th.seekTime.botMax) {
-      flags.push({ type: "bot", feature: "seekTime", reason: `Key interval too short (${pattern.seekTime.avg}ms < ${th.seekTime.botMax}ms)` });
-    }
-    
-    if (pattern.seekTime.std < th.seekTime.uniformStdMax && pattern.keystrokeCount > 3) {
-      flags.push({ type: "bot", feature: "seekTimeStd", reason: `Key interval too uniform (std=${pattern.seekTime.std}ms < ${th.seekTime.uniformStdMax}ms)` });
-    }
-    
-    // PressTime analysis
-    if (pattern.pressTime.avg > 0 && pattern.pressTime.avg < th.pressTime.botMax) {
-      flags.push({ type: "bot", feature: "pressTime", reason: `Extremely short key press duration (${pattern.pressTime.avg}ms < ${th.pressTime.botMax}ms)` });
-    }
-    
-    if (pattern.pressTime.std < th.pressTime.uniformStdMax && pattern.keystrokeCount > 3 && pattern.pressTime.avg > 0) {
-      flags.push({ type: "bot", feature: "pressTimeStd", reason: `Key press duration too uniform (std=${pattern.pressTime.std}ms < ${th.pressTime.uniformStdMax}ms)` });
-    }
-    
-    // Human indicators
-    if (pattern.seekTime.avg > th.seekTime.humanMin) {
-      flags.push({ type: "human", feature: "seekTime", reason: `Normal key interval (${pattern.seekTime.avg}ms)` });
-    }
-    
-    if (pattern.pressTime.avg > th.pressTime.humanMin) {
-      flags.push({ type: "human", feature: "pressTime", reason: `Normal key press duration (${pattern.pressTime.avg}ms)` });
-    }
-    
-    if (pattern.longPauses > 0) {
-      flags.push({ type: "human", feature: "longPauses", reason: `Has long pauses (${pattern.longPauses}x > 500ms), possibly thinking` });
-    }
+    const ctx = { stats: {}, thresholds: this.thresholds, fields: [{ name: null, typing: pattern }] };
+    const flags = this.getRules().run(ctx, { categories: ["typing"] }).findings
+      .map(f => ({ type: f.type, feature: f.rule, reason: f.reason }));
     
     return {
       valid: true,
@@ -146,133 +122,81 @@ const TypingAnalyzer = {
 
   // ============================================================
   // Complete Login Behavior Analysis
+  // options.locale: language of the reason text ("en" | "zh-CN", defaults to Messages.locale)
   // ============================================================
-  analyzeLogin(stats) {
+  analyzeLogin(stats, options = {}) {
+    const locale = this.getEngine().getMessages().resolveLocale(options.locale);
     const result = {
       isBot: false,
       confidence: 0,
       reasons: [],
-      details: {}
+      findings: [],
+      details: {},
+      policy: { ...this.policy },
+      locale
     };
     
-    let botScore = 0;
-    let humanScore = 0;
-    
-    // 1. Analyze username typing
+    // 1. Parse username / password typing
     const userPattern = this.parsePattern(stats.typingdna?.lastUserTp);
-    const userAnalysis = this.analyzeFieldTyping(userPattern);
-    result.details.username = { pattern: userPattern, analysis: userAnalysis };
-    
-    if (userAnalysis.valid) {
-      botScore += userAnalysis.botFlags.length * 2;
-      humanScore += userAnalysis.humanFlags.length;
-      userAnalysis.botFlags.forEach(f => result.reasons.push(`[Username] ${f.reason}`));
-    }
-    
-    // 2. Analyze password typing
     const passPattern = this.parsePattern(stats.typingdna?.lastPassTp);
-    const passAnalysis = this.analyzeFieldTyping(passPattern);
-    result.details.password = { pattern: passPattern, analysis: passAnalysis };
+    const fields = [
+      { name: "username", label: "Username", typing: userPattern && userPattern.keystrokeCount > 0 ? userPattern : null },
+      { name: "password", label: "Password", typing: passPattern && passPattern.keystrokeCount > 0 ? passPattern : null }
+    ];
     
-    if (passAnalysis.valid) {
-      botScore += passAnalysis.botFlags.length * 2;
-      humanScore += passAnalysis.humanFlags.length;
-      passAnalysis.botFlags.forEach(f => result.reasons.push(`[Password] ${f.reason}`));
-    }
-    
-    // 3. Analyze timing intervals
-    const th = this.thresholds;
-    
-    if (stats.usernameToPasswordMs != null && stats.usernameToPasswordMs < th.timing.userToPassMin) {
-      botScore += 2;
-      result.reasons.push(`Username to password interval too short (${stats.usernameToPasswordMs}ms < ${th.timing.userToPassMin}ms)`);
-    }
-    
-    if (stats.passwordToLoginMs != null && stats.passwordToLoginMs < th.timing.passToLoginMin) {
-      botScore += 2;
-      result.reasons.push(`Password to login interval too short (${stats.passwordToLoginMs}ms < ${th.timing.passToLoginMin}ms)`);
-    }
-    
-    // 4. Analyze mouse trajectory
+    // 2. Mouse trajectory (raw counters collected by the page)
     const traj = stats.trajectory;
-    if (traj) {
-      if (traj.points < th.trajectory.minPoints) {
-        botScore += 1;
-        result.reasons.push(`Too few mouse trajectory points (${traj.points} < ${th.trajectory.minPoints})`);
-      }
-      if (traj.distancePx < th.trajectory.minDistance && traj.captured) {
-        botScore += 1;
-        result.reasons.push(`Mouse movement distance too short (${traj.distancePx}px < ${th.trajectory.minDistance}px)`);
-      }
-      if (traj.points > 5 && traj.distancePx > 100) {
-        humanScore += 2;
-      }
-    }
-    
-    // 5. Analyze paste behavior
-    if (stats.pasteUser > 0) {
-      botScore += 1;
-      result.reasons.push("Username was pasted");
-    }
-    if (stats.pastePass > 0) {
-      botScore += 1;
-      result.reasons.push("Password was pasted");
-    }
+    const trajectoryAnalysis = traj ? { valid: true, points: traj.points, distance: traj.distancePx } : null;
+    
+    // 3. Run the rule set
+    const outcome = this.getRules().run({ stats, thresholds: this.thresholds, fields, trajectoryAnalysis, locale });
+    result.findings = outcome.findings;
+    result.reasons = outcome.findings.filter(f => f.type === "bot").map(f => f.text);
+    
+    const fieldAnalysis = (name, pattern) => {
+      if (!pattern || pattern.keystrokeCount === 0) return { valid: false, reason: "No typing data" };
+      const flags = outcome.findings
+        .filter(f => f.field === name && f.category === "typing")
+        .map(f => ({ type: f.type, feature: f.rule, reason: f.reason }));
+      return {
+        valid: true,
+        flags,
+        botFlags: flags.filter(f => f.type === "bot"),
+        humanFlags: flags.filter(f => f.type === "human")
+      };
+    };
+    result.details.username = { pattern: userPattern, analysis: fieldAnalysis("username", userPattern) };
+    result.details.password = { pattern: passPattern, analysis: fieldAnalysis("password", passPattern) };
     
-    // 6. Analyze IME input method usage (human indicator)
+    // 4. IME / Shift / CapsLock / password details
     const imeUserCount = stats.usernameIMECompositionCount || stats.imeUser || 0;
     const imePassCount = stats.passwordIMECompositionCount || stats.imePass || 0;
     const totalIME = imeUserCount + imePassCount;
-    
     if (totalIME > 0) {
-      // Using IME is a strong human indicator, bots don't trigger input methods
-      humanScore += 3;
       result.details.ime = { username: imeUserCount, password: imePassCount, total: totalIME };
     }
     
-    // 7. Analyze Shift/CapsLock usage (human indicator)
     const shiftCount = stats.passwordShiftCount || stats.shiftCount || 0;
     const capsLockCount = stats.passwordCapsLockCount || stats.capsLockCount || 0;
-    const pastePass = stats.pastePass || 0;
-    const password = stats.password || "";
+    if (shiftCount > 0) result.details.shift = shiftCount;
+    if (capsLockCount > 0) result.details.capsLock = capsLockCount;
     
-    if (shiftCount > 0) {
-      // Using Shift for uppercase or special chars is human indicator
-      humanScore += 2;
-      result.details.shift = shiftCount;
-    }
-    
-    if (capsLockCount > 0) {
-      // Using CapsLock is human indicator (bots send uppercase directly)
-      humanScore += 1;
-      result.details.capsLock = capsLockCount;
-    }
-    
-    // 8. Detect password complexity vs keystroke behavior mismatch (bot indicator)
-    // If password contains uppercase or special chars but no Shift/CapsLock and no paste, it's suspicious
+    const password = stats.password || "";
     if (password) {
       const hasUpperCase = /[A-Z]/.test(password);
       const hasSpecialChar = /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?`~]/.test(password);
-      const needsShift = hasUpperCase || hasSpecialChar;
-      const usedShiftOrCaps = shiftCount > 0 || capsLockCount > 0;
-      const usedPaste = pastePass > 0;
-      
-      if (needsShift && !usedShiftOrCaps && !usedPaste) {
-        // Password has uppercase/special chars but no Shift/CapsLock pressed and no paste → bot
-        botScore += 3;
-        result.reasons.push("Password contains uppercase or special chars but no Shift/CapsLock detected and not pasted");
-      }
-      
       result.details.passwordAnalysis = {
         hasUpperCase,
         hasSpecialChar,
-        needsShift,
-        usedShiftOrCaps,
-        usedPaste
+        needsShift: hasUpperCase || hasSpecialChar,
+        usedShiftOrCaps: shiftCount > 0 || capsLockCount > 0,
+        usedPaste: (stats.pastePass || 0) > 0
       };
     }
     
-    // 9. Calculate final result
+    // 5. Calculate final result
+    const botScore = outcome.scores.bot;
+    const humanScore = outcome.scores.human;
     const totalScore = botScore + humanScore;
     if (totalScore > 0) {
       result.confidence = Math.round((botScore / totalScore) * 100);
@@ -288,79 +212,84 @@ const TypingAnalyzer = {
 
   // ============================================================
   // Generate Analysis Report (text format)
+  // options: same as analyzeLogin
   // ============================================================
-  generateReport(stats) {
-    const analysis = this.analyzeLogin(stats);
+  generateReport(stats, options = {}) {
+    const analysis = this.analyzeLogin(stats, options);
+    const engine = this.getEngine();
+    const messages = engine.getMessages();
+    const locale = analysis.locale;
+    const t = (key, params) => messages.format(key, params, locale);
     const lines = [];
     
-    lines.push("=== Login Behavior Analysis Report ===\n");
+    lines.push(t("report.title") + "\n");
     
     // Conclusion
-    lines.push(`[Result]`);
-    lines.push(`- Verdict: ${analysis.isBot ? "🤖 Bot/Script" : "✅ Human"}`);
-    lines.push(`- Bot Probability: ${analysis.confidence}%`);
-    lines.push(`- Scores: Bot=${analysis.scores.bot}, Human=${analysis.scores.human}`);
+    lines.push(t("report.result"));
+    lines.push(t("report.verdict", { verdict: { message: analysis.isBot ? "verdict.bot" : "verdict.human" } }));
+    lines.push(t("report.botProbability", { confidence: analysis.confidence }));
+    lines.push(t("report.scores", analysis.scores));
     lines.push("");
     
-    // Anomalies detected
-    if (analysis.reasons.length > 0) {
-      lines.push(`[Anomalies Detected]`);
-      analysis.reasons.forEach(r => lines.push(`  ⚠️ ${r}`));
+    // Rules that fired (rule id, observed value, threshold, weight, contribution to the bot probability)
+    const botFindings = analysis.findings.filter(f => f.type === "bot");
+    const humanFindings = analysis.findings.filter(f => f.type === "human");
+    if (botFindings.length > 0) {
+      lines.push(t("report.anomalies"));
+      botFindings.forEach(f => lines.push(`  ⚠️ ${engine.formatFinding(f, locale)}`));
       lines.push("");
     }
-    
-    // Username typing details
-    const userPattern = analysis.details.username?.pattern;
-    if (userPattern) {
-      lines.push(`[Username Typing Features]`);
-      lines.push(`- Keystroke Count: ${userPattern.keystrokeCount}`);
-      lines.push(`- SeekTime: avg=${userPattern.seekTime.avg}ms, range=${userPattern.seekTime.min}-${userPattern.seekTime.max}ms, std=${userPattern.seekTime.std}ms`);
-      lines.push(`- PressTime: avg=${userPattern.pressTime.avg}ms, range=${userPattern.pressTime.min}-${userPattern.pressTime.max}ms, std=${userPattern.pressTime.std}ms`);
-      lines.push(`- Long Pauses: ${userPattern.longPauses}x`);
+    if (humanFindings.length > 0) {
+      lines.push(t("report.humanIndicators"));
+      humanFindings.forEach(f => lines.push(`  ✅ ${engine.formatFinding(f, locale)}`));
       lines.push("");
     }
     
-    // Password typing details
-    const passPattern = analysis.details.password?.pattern;
-    if (passPattern) {
-      lines.push(`[Password Typing Features]`);
-      lines.push(`- Keystroke Count: ${passPattern.keystrokeCount}`);
-      lines.push(`- SeekTime: avg=${passPattern.seekTime.avg}ms, range=${passPattern.seekTime.min}-${passPattern.seekTime.max}ms, std=${passPattern.seekTime.std}ms`);
-      lines.push(`- PressTime: avg=${passPattern.pressTime.avg}ms, range=${passPattern.pressTime.min}-${passPattern.pressTime.max}ms, std=${passPattern.pressTime.std}ms`);
-      lines.push(`- Long Pauses: ${passPattern.longPauses}x`);
+    // Username / password typing details
+    [
+      ["report.usernameTypingFeatures", analysis.details.username?.pattern],
+      ["report.passwordTypingFeatures", analysis.details.password?.pattern]
+    ].forEach(([title, pattern]) => {
+      if (!pattern) return;
+      lines.push(t(title));
+      lines.push(t("report.keystrokeCount", { count: pattern.keystrokeCount }));
+      lines.push(t("report.seekTimeRange", pattern.seekTime));
+      lines.push(t("report.pressTimeRange", pattern.pressTime));
+      lines.push(t("report.longPauses", { count: pattern.longPauses }));
       lines.push("");
-    }
+    });
     
     // Other features
-    lines.push(`[Other Features]`);
-    lines.push(`- Username→Password Interval: ${stats.usernameToPasswordMs ?? "Not recorded"}ms`);
-    lines.push(`- Password→Login Interval: ${stats.passwordToLoginMs ?? "Not recorded"}ms`);
-    lines.push(`- Paste Count: Username=${stats.pasteUser ?? 0}, Password=${stats.pastePass ?? 0}`);
+    const interval = ms => ms == null ? { message: "report.notRecorded" } : { message: "report.ms", params: { ms } };
+    lines.push(t("report.other"));
+    lines.push(t("report.userToPass", { value: interval(stats.usernameToPasswordMs) }));
+    lines.push(t("report.passToLogin", { value: interval(stats.passwordToLoginMs) }));
+    lines.push(t("report.pasteCount", { username: stats.pasteUser ?? 0, password: stats.pastePass ?? 0 }));
     
     // IME usage
     const imeUserCount = stats.usernameIMECompositionCount || stats.imeUser || 0;
     const imePassCount = stats.passwordIMECompositionCount || stats.imePass || 0;
     if (imeUserCount > 0 || imePassCount > 0) {
-      lines.push(`- IME Input Method: Username=${imeUserCount}x, Password=${imePassCount}x ✅ Human indicator`);
+      lines.push(t("report.imeUsed", { username: imeUserCount, password: imePassCount }));
     } else {
-      lines.push(`- IME Input Method: Not used`);
+      lines.push(t("report.imeNotUsed"));
     }
     
     // Shift/CapsLock usage
     const shiftCount = stats.passwordShiftCount || stats.shiftCount || 0;
     const capsLockCount = stats.passwordCapsLockCount || stats.capsLockCount || 0;
     if (shiftCount > 0) {
-      lines.push(`- Shift Key: ${shiftCount}x ✅ Human indicator`);
+      lines.push(t("report.shiftKey", { count: shiftCount }));
     }
     if (capsLockCount > 0) {
-      lines.push(`- CapsLock Key: ${capsLockCount}x ✅ Human indicator`);
+      lines.push(t("report.capsLockKey", { count: capsLockCount }));
     }
     if (shiftCount === 0 && capsLockCount === 0) {
-      lines.push(`- Shift/CapsLock: Not used`);
+      lines.push(t("report.shiftNotUsed"));
     }
     
     if (stats.trajectory) {
-      lines.push(`- Mouse Trajectory: ${stats.trajectory.points} points, ${stats.trajectory.distancePx}px`);
+      lines.push(t("report.mouseTrajectory", { points: stats.trajectory.points, distance: stats.trajectory.distancePx }));
     }
     
     return lines.join("\n");
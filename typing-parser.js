@@ -8,21 +8,208 @@ const TypingParser = {
   // ============================================================
   // 解析 TypingDNA Pattern 字符串
   // ============================================================
+  // 既不是字符串也不是对象（如数字）的输入视为无效 pattern，返回 null
   parsePattern(patternStr) {
     if (!patternStr) return null;
     
+    // 内置采集引擎的原生格式（对象）
+    if (typeof patternStr === "object") {
+      return this.parseNativePattern(patternStr);
+    }
+    if (typeof patternStr !== "string") return null;
+    
     const segments = patternStr.split("|");
     if (segments.length < 2) return null;
     
     const keystrokes = segments.slice(1).map(seg => {
       const parts = seg.split(",");
       // TypingDNA pattern format: seekTime,pressTime
+      // 内置采集 kc2 格式额外带键位分区: seekTime,pressTime,zone
       return {
         seekTime: parseInt(parts[0]) || 0,
-        pressTime: parseInt(parts[1]) || 0
+        pressTime: parseInt(parts[1]) || 0,
+        key: parts[2] || null
       };
     });
     
+    return this.summarizeKeystrokes(keystrokes);
+  },
+
+  // ============================================================
+  // 解析原生格式 (keystroke-capture.js)
+  // { format: "kc-native", keystrokes: [{ kind, down, up, zone, key, replace }] }
+  // ============================================================
+  parseNativePattern(native) {
+    if (!native || !Array.isArray(native.keystrokes)) return null;
+    
+    const keystrokes = this.nativeToKeystrokes(native);
+    if (!keystrokes.length) return null;
+    
+    return this.summarizeKeystrokes(keystrokes);
+  },
+
+  // 原生击键记录 -> seekTime/pressTime 序列（仅字符键，与 TypingDNA 一致）
+  // seekTime: 上一个键抬起到当前键按下; pressTime: 按住时长
+  nativeToKeystrokes(native) {
+    if (!native || !Array.isArray(native.keystrokes)) return [];
+    
+    const chars = native.keystrokes.filter(k => k.kind === "char");
+    
+    return chars.map((k, i) => {
+      const prev = chars[i - 1];
+      let seekTime = 0;
+      if (prev) {
+        seekTime = k.down - (prev.up != null ? prev.up : prev.down);
+      }
+      return {
+        seekTime: Math.round(seekTime),
+        pressTime: k.up != null ? Math.round(k.up - k.down) : 0,
+        key: k.zone || null
+      };
+    });
+  },
+
+  // ============================================================
+  // 按键重叠（rollover）与长按重复（原生格式）
+  // 重叠: 字符键按下时，前面还有字符键没有抬起
+  // ============================================================
+  analyzeRollover(native) {
+    if (!native || !Array.isArray(native.keystrokes)) return { valid: false };
+
+    const chars = native.keystrokes
+      .filter(k => k.kind === "char")
+      .sort((a, b) => a.down - b.down);
+    if (!chars.length) return { valid: false };
+
+    let overlaps = 0;
+    let maxConcurrent = 1;
+    chars.forEach((k, i) => {
+      // 没有 keyup 记录的键（焦点离开时仍按着）不参与判断
+      const held = chars.slice(0, i).filter(p => p.up != null && p.up > k.down).length;
+      if (held > 0) overlaps++;
+      maxConcurrent = Math.max(maxConcurrent, held + 1);
+    });
+
+    return {
+      valid: true,
+      keystrokes: chars.length,
+      overlaps,
+      overlapRatio: chars.length > 1 ? Math.round(overlaps / (chars.length - 1) * 100) / 100 : 0,
+      maxConcurrent,
+      repeats: native.repeats || 0
+    };
+  },
+
+  // ============================================================
+  // 纠错行为（原生格式）
+  // 一次纠错 = 连续的一串 Backspace/Delete；纠错延迟 = 最后一个字符键按下到第一次删除
+  // lengthRatio = 字段最终长度 / (字符键 + 删除键)，没有任何修改时为 1
+  // ============================================================
+  analyzeCorrections(native) {
+    if (!native || !Array.isArray(native.keystrokes)) return { valid: false };
+
+    const records = native.keystrokes
+      .filter(k => k.kind !== "modifier")
+      .sort((a, b) => a.down - b.down);
+    const chars = records.filter(k => k.kind === "char").length;
+    if (!chars) return { valid: false };
+
+    const edits = records.filter(k => k.kind === "edit");
+    const latencies = [];
+    let corrections = 0;
+    let lastChar = null;
+    records.forEach((k, i) => {
+      if (k.kind === "char") lastChar = k;
+      if (k.kind !== "edit" || (records[i - 1] && records[i - 1].kind === "edit")) return;
+      corrections++;
+      if (lastChar) latencies.push(k.down - lastChar.down);
+    });
+
+    // Tab 是切换字段，不是移动光标
+    const navMoves = records.filter(k => k.kind === "nav" && k.key !== "Tab").length;
+    const finalLength = typeof native.length === "number" ? native.length : null;
+
+    return {
+      valid: true,
+      keystrokes: chars + edits.length,
+      backspace: edits.filter(k => k.key !== "Delete").length,
+      delete: edits.filter(k => k.key === "Delete").length,
+      corrections,
+      fixes: latencies.length,
+      fixLatency: this.calcStats(latencies),
+      navMoves,
+      caretMoves: native.caretMoves || 0,
+      replacements: records.filter(k => k.replace).length,
+      finalLength,
+      lengthRatio: finalLength != null ? Math.round(finalLength / (chars + edits.length) * 100) / 100 : null
+    };
+  },
+
+  // ============================================================
+  // 触屏点击（touch-capture.js 的 stats.touch）
+  // contactSizes / pressure.distinct: 不同取值的个数，真实手指每次按下的接触面积和压力都略有不同
+  // ============================================================
+  analyzeTouch(touch) {
+    if (!touch || !Array.isArray(touch.sample) || !touch.sample.length) return { valid: false };
+
+    const taps = touch.sample;
+    const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+    return {
+      valid: true,
+      taps: touch.taps || taps.length,
+      duration: this.calcStats(taps.map(t => t.duration)),
+      moved: this.calcStats(taps.map(t => t.moved || 0)),
+      contact: {
+        width: Math.round(mean(taps.map(t => t.width || 0)) * 10) / 10,
+        height: Math.round(mean(taps.map(t => t.height || 0)) * 10) / 10
+      },
+      contactSizes: new Set(taps.map(t => `${t.width}x${t.height}`)).size,
+      pressure: {
+        avg: Math.round(mean(taps.map(t => t.pressure || 0)) * 100) / 100,
+        distinct: new Set(taps.map(t => t.pressure)).size
+      }
+    };
+  },
+
+  // ============================================================
+  // 焦点与页面切换（focus-capture.js 的 stats.focus）
+  // keystrokes: stats.keystrokes（原生格式），用于找出没有获得焦点就收到击键的字段
+  // ============================================================
+  analyzeFocus(focus, keystrokes = null) {
+    if (!focus || !Array.isArray(focus.fields)) return { valid: false };
+
+    const methods = {};
+    focus.fields.forEach(f => {
+      (methods[f.field] = methods[f.field] || []).push(f.method);
+    });
+    const unique = names => names.filter((name, i) => names.indexOf(name) === i);
+
+    const typedWithoutFocus = Object.keys(keystrokes || {}).filter(name => {
+      const native = keystrokes[name];
+      return native && Array.isArray(native.keystrokes) && native.keystrokes.length > 0 && !methods[name];
+    });
+    const switches = (focus.switches || []).filter(s => s.end != null);
+
+    return {
+      valid: true,
+      methods,
+      programmatic: unique(focus.fields.filter(f => f.method === "programmatic").map(f => f.field)),
+      hiddenFocus: unique(focus.fields.filter(f => f.hidden).map(f => f.field)),
+      typedWithoutFocus,
+      switches: {
+        count: switches.length,
+        totalMs: switches.reduce((sum, s) => sum + s.duration, 0),
+        list: switches
+      },
+      idle: focus.idle || { count: 0, totalMs: 0, longestMs: 0 }
+    };
+  },
+
+  // ============================================================
+  // 击键序列统计
+  // ============================================================
+  summarizeKeystrokes(keystrokes) {
     // 过滤有效数据
     const seekTimes = keystrokes.map(k => k.seekTime).filter(t => t > 0);
     const pressTimes = keystrokes.map(k => k.pressTime).filter(t => t > 0);
@@ -38,6 +225,7 @@ const TypingParser = {
       pressTime: pressStats,
       longPauses,
       keystrokes,
+      digraphs: this.analyzeDigraphs(keystrokes),
       raw: {
         seekTimes,
         pressTimes
@@ -45,6 +233,64 @@ const TypingParser = {
     };
   },
 
+  // ============================================================
+  // Digraph（相邻键对）时序
+  // 需要键位标识（kc2 格式），TypingDNA 字符串没有时返回 { valid: false }
+  //   dd: 上一键按下 -> 当前键按下   ud: 上一键抬起 -> 当前键按下（即 seekTime，rollover 时为负）
+  //   du: 上一键按下 -> 当前键抬起
+  // ============================================================
+  analyzeDigraphs(keystrokes) {
+    const pairs = this.digraphPairs(keystrokes);
+    if (!pairs.length) return { valid: false, count: 0 };
+
+    const table = {};
+    pairs.forEach(p => {
+      if (!table[p.id]) table[p.id] = { dd: [], ud: [], du: [] };
+      table[p.id].dd.push(p.dd);
+      table[p.id].ud.push(p.ud);
+      table[p.id].du.push(p.du);
+    });
+    Object.keys(table).forEach(id => {
+      const t = table[id];
+      table[id] = { count: t.dd.length, dd: this.calcStats(t.dd), ud: this.calcStats(t.ud), du: this.calcStats(t.du) };
+    });
+
+    // 同手连击与左右手交替的 dd 对比（人类交替击键通常更快）
+    const sameHand = pairs.filter(p => p.sameHand).map(p => p.dd);
+    const alternate = pairs.filter(p => p.alternate).map(p => p.dd);
+
+    return {
+      valid: true,
+      count: pairs.length,
+      table,
+      sameHand: { count: sameHand.length, dd: this.calcStats(sameHand) },
+      alternate: { count: alternate.length, dd: this.calcStats(alternate) }
+    };
+  },
+
+  // 相邻键对列表: [{ id: "L2>R1", sameHand, alternate, dd, ud, du }]
+  digraphPairs(keystrokes) {
+    const pairs = [];
+    for (let i = 1; i < keystrokes.length; i++) {
+      const prev = keystrokes[i - 1];
+      const cur = keystrokes[i];
+      // 缺少键位或按住时长时无法还原按下/抬起时刻
+      if (!prev.key || !cur.key || prev.pressTime <= 0 || cur.pressTime <= 0) continue;
+
+      const hands = [prev.key[0], cur.key[0]];
+      const bothHands = hands.every(h => h === "L" || h === "R");
+      pairs.push({
+        id: `${prev.key}>${cur.key}`,
+        sameHand: bothHands && hands[0] === hands[1],
+        alternate: bothHands && hands[0] !== hands[1],
+        dd: prev.pressTime + cur.seekTime,
+        ud: cur.seekTime,
+        du: prev.pressTime + cur.seekTime + cur.pressTime
+      });
+    }
+    return pairs;
+  },
+
   // ============================================================
   // 基础统计计算
   // ============================================================
@@ -122,20 +368,21 @@ const TypingParser = {
 
   // ============================================================
   // 分析鼠标轨迹基础特征
+  // sample 可能包含 coalesced 事件（相邻点只差 1-2px），角度与时间间隔按重采样后的
+  // 路径（相邻点 >= 5px，与旧版采集一致）计算，否则像素取整会让角度失去意义
   // ============================================================
   analyzeTrajectory(trajectory) {
     if (!trajectory || !trajectory.sample || trajectory.sample.length < 3) {
       return { valid: false, points: 0, distance: 0 };
     }
     
-    const points = trajectory.sample;
+    const sample = trajectory.sample;
+    const points = this.resamplePath(sample, 5);
     
     // 计算总距离
     let totalDistance = 0;
-    for (let i = 1; i < points.length; i++) {
-      const dx = points[i].x - points[i-1].x;
-      const dy = points[i].y - points[i-1].y;
-      totalDistance += Math.sqrt(dx * dx + dy * dy);
+    for (let i = 1; i < sample.length; i++) {
+      totalDistance += this.pointDistance(sample[i - 1], sample[i]);
     }
     
     // 计算平滑度（角度变化）
@@ -143,20 +390,11 @@ const TypingParser = {
     let corrections = 0;
     
     for (let i = 2; i < points.length; i++) {
-      const v1 = { x: points[i-1].x - points[i-2].x, y: points[i-1].y - points[i-2].y };
-      const v2 = { x: points[i].x - points[i-1].x, y: points[i].y - points[i-1].y };
+      const angle = this.turnAngle(points[i - 2], points[i - 1], points[i]);
+      if (angle === null) continue;
       
-      const mag1 = Math.sqrt(v1.x * v1.x + v1.y * v1.y);
-      const mag2 = Math.sqrt(v2.x * v2.x + v2.y * v2.y);
-      
-      if (mag1 > 0 && mag2 > 0) {
-        const dot = v1.x * v2.x + v1.y * v2.y;
-        const cosAngle = Math.max(-1, Math.min(1, dot / (mag1 * mag2)));
-        const angle = Math.acos(cosAngle);
-        
-        if (angle < 0.1) smoothSegments++;
-        if (angle > 0.09 && angle < 0.52) corrections++;
-      }
+      if (angle < 0.1) smoothSegments++;
+      if (angle > 0.09 && angle < 0.52) corrections++;
     }
     
     const smoothRatio = points.length > 2 ? smoothSegments / (points.length - 2) : 0;
@@ -174,12 +412,164 @@ const TypingParser = {
     
     return {
       valid: true,
-      points: points.length,
+      points: sample.length,
       distance: Math.round(totalDistance),
       smoothRatio: Math.round(smoothRatio * 100) / 100,
       correctionRatio: Math.round(correctionRatio * 100) / 100,
-      intervalStats
+      intervalStats,
+      kinematics: this.analyzeKinematics(sample)
     };
+  },
+
+  // ============================================================
+  // 鼠标运动学：速度（px/s）、加速度（px/s²）、加加速度 jerk（px/s³）、曲率（rad/px）
+  // 一段移动（stroke）= 两次停顿之间的连续移动；pointermove 只在移动时触发，相邻采样间隔 > 100ms 即停顿
+  // 人类指向目标时速度先升后降（钟形，类似 Fitts 定律的加速-减速），匀速或直线插值的脚本没有这个过程
+  // ============================================================
+  analyzeKinematics(sample) {
+    if (!sample || sample.length < 3 || sample[0].t == null) return { valid: false };
+    
+    const pauseMs = 100;
+    const minStrokeDistance = 50;
+    
+    // 按停顿切分
+    const strokes = [[sample[0]]];
+    const pauses = [];
+    for (let i = 1; i < sample.length; i++) {
+      const gap = sample[i].t - sample[i - 1].t;
+      if (gap > pauseMs) {
+        pauses.push(gap);
+        strokes.push([]);
+      }
+      strokes[strokes.length - 1].push(sample[i]);
+    }
+    
+    const speeds = [];
+    const accelerations = [];
+    const jerks = [];
+    const curvatures = [];
+    const profiles = [];
+    
+    strokes.forEach(stroke => {
+      const path = this.resamplePath(stroke, 5);
+      if (path.length < 3) return;
+      
+      // 逐段速度，时间取段中点
+      const segments = [];
+      for (let i = 1; i < path.length; i++) {
+        const dt = path[i].t - path[i - 1].t;
+        if (dt <= 0) continue;
+        const d = this.pointDistance(path[i - 1], path[i]);
+        segments.push({ d, v: d / dt * 1000, t: (path[i].t + path[i - 1].t) / 2 });
+      }
+      
+      const accel = [];
+      for (let i = 1; i < segments.length; i++) {
+        const dt = (segments[i].t - segments[i - 1].t) / 1000;
+        if (dt > 0) accel.push({ a: (segments[i].v - segments[i - 1].v) / dt, t: (segments[i].t + segments[i - 1].t) / 2 });
+      }
+      for (let i = 1; i < accel.length; i++) {
+        const dt = (accel[i].t - accel[i - 1].t) / 1000;
+        if (dt > 0) jerks.push(Math.abs(accel[i].a - accel[i - 1].a) / dt);
+      }
+      
+      // 曲率：转角 / 两段平均长度
+      for (let i = 2; i < path.length; i++) {
+        const angle = this.turnAngle(path[i - 2], path[i - 1], path[i]);
+        const arc = (this.pointDistance(path[i - 2], path[i - 1]) + this.pointDistance(path[i - 1], path[i])) / 2;
+        if (angle !== null && arc > 0) curvatures.push(angle / arc);
+      }
+      
+      segments.forEach(seg => speeds.push(seg.v));
+      accel.forEach(x => accelerations.push(Math.abs(x.a)));
+      
+      const length = segments.reduce((sum, seg) => sum + seg.d, 0);
+      if (length >= minStrokeDistance && segments.length >= 4) {
+        profiles.push(this.strokeProfile(path[0], path[path.length - 1], segments, length));
+      }
+    });
+    
+    if (!speeds.length) return { valid: false };
+    
+    const round = (v, digits = 2) => Math.round(v * Math.pow(10, digits)) / Math.pow(10, digits);
+    const mean = arr => (arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0);
+    const bellShaped = profiles.filter(p => p.bellShaped).length;
+    
+    return {
+      valid: true,
+      speed: this.calcStats(speeds.map(Math.round)),
+      acceleration: this.calcStats(accelerations.map(Math.round)),
+      jerk: this.calcStats(jerks.map(Math.round)),
+      curvature: {
+        avg: round(mean(curvatures), 4),
+        max: curvatures.length ? round(Math.max(...curvatures), 4) : 0
+      },
+      pauses: {
+        count: pauses.length,
+        totalMs: Math.round(pauses.reduce((a, b) => a + b, 0)),
+        longest: pauses.length ? Math.round(Math.max(...pauses)) : 0
+      },
+      strokes: {
+        count: profiles.length,
+        bellShaped,
+        bellShapedRatio: profiles.length ? round(bellShaped / profiles.length) : 0,
+        straightness: round(mean(profiles.map(p => p.straightness)), 3),
+        speedCV: round(mean(profiles.map(p => p.speedCV))),
+        peakAt: round(mean(profiles.map(p => p.peakAt)))
+      },
+      strokeProfiles: profiles
+    };
+  },
+  
+  // 单段移动的速度曲线
+  // bellShaped: 起始与结束的速度（前/后 20% 的段）都低于峰值的一半
+  strokeProfile(first, last, segments, length) {
+    const speeds = segments.map(seg => seg.v);
+    const mean = speeds.reduce((a, b) => a + b, 0) / speeds.length;
+    const std = Math.sqrt(speeds.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / speeds.length);
+    const peak = Math.max(...speeds);
+    const peakIndex = speeds.indexOf(peak);
+    const edge = Math.max(1, Math.round(speeds.length * 0.2));
+    const startSpeed = speeds.slice(0, edge).reduce((a, b) => a + b, 0) / edge;
+    const endSpeed = speeds.slice(-edge).reduce((a, b) => a + b, 0) / edge;
+    const duration = last.t - first.t;
+    
+    return {
+      length: Math.round(length),
+      duration: Math.round(duration),
+      straightness: Math.round(this.pointDistance(first, last) / length * 1000) / 1000,
+      speedCV: mean > 0 ? Math.round(std / mean * 100) / 100 : 0,
+      peakAt: duration > 0 ? Math.round((segments[peakIndex].t - first.t) / duration * 100) / 100 : 0,
+      bellShaped: startSpeed < peak * 0.5 && endSpeed < peak * 0.5
+    };
+  },
+  
+  // 按距离重采样：只保留与上一个保留点相距 >= minStep 的点
+  resamplePath(points, minStep) {
+    if (!points.length) return [];
+    const path = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+      if (this.pointDistance(path[path.length - 1], points[i]) >= minStep) path.push(points[i]);
+    }
+    return path;
+  },
+  
+  pointDistance(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  },
+  
+  // a -> b -> c 的转角（弧度），有零长度段时返回 null
+  turnAngle(a, b, c) {
+    const v1 = { x: b.x - a.x, y: b.y - a.y };
+    const v2 = { x: c.x - b.x, y: c.y - b.y };
+    const mag1 = Math.sqrt(v1.x * v1.x + v1.y * v1.y);
+    const mag2 = Math.sqrt(v2.x * v2.x + v2.y * v2.y);
+    if (mag1 === 0 || mag2 === 0) return null;
+    
+    const cosAngle = Math.max(-1, Math.min(1, (v1.x * v2.x + v1.y * v2.y) / (mag1 * mag2)));
+    return Math.acos(cosAngle);
   }
 };
 
@@ -0,0 +1,356 @@
+/**
+ * Typing Profile
+ * 按用户名建立打字模板（enrollment），后续登录计算相似度并判定是否为同一人（verification）
+ * 模板基于 TypingParser.parsePattern 的 keystrokes 数组（含键对节奏），验证通过后逐步更新
+ * 依赖: typing-parser.js
+ */
+
+const TypingProfile = {
+
+  // ============================================================
+  // 配置
+  // ============================================================
+  config: {
+    minSamples: 3,          // 建立模板所需的样本数
+    matchThreshold: 60,     // 相似度 >= 60 判定为同一人
+    adaptRate: 0.1,         // 验证通过后模板更新速率（指数滑动平均）
+    minStd: {
+      seekTime: 20,         // std 下限，避免样本过于一致导致距离放大
+      pressTime: 10
+    },
+    fieldWeights: {
+      username: 0.4,
+      password: 0.6
+    }
+  },
+
+  STORAGE_PREFIX: "typinggene.profile.",
+  FIELDS: ["username", "password"],
+
+  // 存储后端: { getItem, setItem, removeItem }，默认 localStorage，Node 下使用内存
+  storage: null,
+  memoryStore: {},
+
+  getStorage() {
+    if (this.storage) return this.storage;
+    if (typeof localStorage !== "undefined") return localStorage;
+
+    const store = this.memoryStore;
+    return {
+      getItem: key => (key in store ? store[key] : null),
+      setItem: (key, value) => { store[key] = String(value); },
+      removeItem: key => { delete store[key]; }
+    };
+  },
+
+  // ============================================================
+  // 档案读写
+  // ============================================================
+  normalizeUsername(username) {
+    return String(username || "").trim().toLowerCase();
+  },
+
+  loadProfile(username) {
+    const key = this.STORAGE_PREFIX + this.normalizeUsername(username);
+    const raw = this.getStorage().getItem(key);
+    if (!raw) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      console.error("Corrupted typing profile:", username, err);
+      return null;
+    }
+  },
+
+  saveProfile(username, profile) {
+    const key = this.STORAGE_PREFIX + this.normalizeUsername(username);
+    this.getStorage().setItem(key, JSON.stringify(profile));
+  },
+
+  removeProfile(username) {
+    const key = this.STORAGE_PREFIX + this.normalizeUsername(username);
+    this.getStorage().removeItem(key);
+  },
+
+  isEnrolled(username) {
+    const profile = this.loadProfile(username);
+    return !!(profile && profile.template);
+  },
+
+  // ============================================================
+  // 从 stats 提取各字段的 keystrokes
+  // ============================================================
+  extractSample(stats, parser = null) {
+    const _parser = parser || (typeof TypingParser !== "undefined" ? TypingParser : null);
+    if (!_parser) {
+      console.error("TypingParser not found");
+      return null;
+    }
+
+    const userPattern = _parser.parsePattern(stats.typingdna?.lastUserTp);
+    const passPattern = _parser.parsePattern(stats.typingdna?.lastPassTp);
+    if (!userPattern || !passPattern) return null;
+
+    return {
+      username: userPattern.keystrokes,
+      password: passPattern.keystrokes
+    };
+  },
+
+  // ============================================================
+  // 注册：收集 N 个样本后建立模板
+  // ============================================================
+  enroll(username, stats, parser = null) {
+    const name = this.normalizeUsername(username);
+    if (!name) {
+      return { accepted: false, reason: "Username is required" };
+    }
+
+    const sample = this.extractSample(stats, parser);
+    if (!sample) {
+      return { accepted: false, reason: "No typing data for username and password" };
+    }
+
+    const profile = this.loadProfile(name) || {
+      username: name,
+      createdAt: new Date().toISOString(),
+      samples: [],
+      template: null
+    };
+
+    // 所有样本需按键数一致（同样的用户名/密码），否则位置无法对齐
+    const first = profile.samples[0];
+    if (first && this.FIELDS.some(f => first[f].length !== sample[f].length)) {
+      return {
+        accepted: false,
+        reason: "Keystroke count differs from previous samples (typo or different password?)",
+        samples: profile.samples.length,
+        required: this.config.minSamples
+      };
+    }
+
+    profile.samples.push(sample);
+    if (profile.samples.length >= this.config.minSamples) {
+      profile.template = this.buildTemplate(profile.samples);
+      profile.updatedAt = new Date().toISOString();
+    }
+    this.saveProfile(name, profile);
+
+    return {
+      accepted: true,
+      enrolled: !!profile.template,
+      samples: profile.samples.length,
+      required: this.config.minSamples
+    };
+  },
+
+  getParser() {
+    return typeof TypingParser !== "undefined" ? TypingParser : require("./typing-parser");
+  },
+
+  // ============================================================
+  // 建立模板：每个位置的 seekTime/pressTime 均值与标准差
+  // 有键位分区（kc2）时，另外记录每个键对的 down-down 均值与标准差
+  // ============================================================
+  buildTemplate(samples) {
+    const template = { digraphs: {} };
+
+    this.FIELDS.forEach(field => {
+      const length = samples[0][field].length;
+      const positions = [];
+
+      for (let i = 0; i < length; i++) {
+        const seeks = samples.map(s => s[field][i].seekTime);
+        const presses = samples.map(s => s[field][i].pressTime);
+        positions.push({
+          seekTime: this.meanStd(seeks),
+          pressTime: this.meanStd(presses)
+        });
+      }
+
+      template[field] = positions;
+
+      const times = {};
+      samples.forEach(sample => {
+        this.getParser().digraphPairs(sample[field]).forEach(p => {
+          (times[p.id] = times[p.id] || []).push(p.dd);
+        });
+      });
+      template.digraphs[field] = {};
+      Object.keys(times).forEach(id => {
+        template.digraphs[field][id] = { ...this.meanStd(times[id]), count: times[id].length };
+      });
+    });
+
+    return template;
+  },
+
+  meanStd(values) {
+    const n = values.length;
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / n;
+    return { mean, std: Math.sqrt(variance) };
+  },
+
+  // ============================================================
+  // 单字段相似度 (0-100)
+  // 缩放曼哈顿距离：每个位置 |x - mean| / std 的平均值
+  // 键对节奏按键对而不是位置对齐，多打/漏打一个键时仍然可以比较
+  // ============================================================
+  compareField(positions, keystrokes, digraphs = null) {
+    if (!positions || !positions.length || !keystrokes || !keystrokes.length) {
+      return { valid: false, score: 0, distance: null };
+    }
+
+    const minStd = this.config.minStd;
+    const length = Math.min(positions.length, keystrokes.length);
+    let total = 0;
+    let count = 0;
+
+    for (let i = 0; i < length; i++) {
+      const pos = positions[i];
+      const k = keystrokes[i];
+
+      // 第一个键没有 seekTime
+      if (i > 0) {
+        total += Math.abs(k.seekTime - pos.seekTime.mean) / Math.max(pos.seekTime.std, minStd.seekTime);
+        count++;
+      }
+      total += Math.abs(k.pressTime - pos.pressTime.mean) / Math.max(pos.pressTime.std, minStd.pressTime);
+      count++;
+    }
+
+    const rhythm = this.compareDigraphs(digraphs, keystrokes);
+    total += rhythm.total;
+    count += rhythm.count;
+
+    const distance = count > 0 ? total / count : 0;
+
+    // 按键数不同（多打/漏打）按覆盖率扣分
+    const coverage = length / Math.max(positions.length, keystrokes.length);
+    const score = 100 * Math.exp(-(distance * distance) / 4) * coverage;
+
+    return {
+      valid: true,
+      score: Math.round(score),
+      distance: Math.round(distance * 100) / 100,
+      coverage: Math.round(coverage * 100) / 100,
+      digraphs: rhythm.count
+    };
+  },
+
+  // 模板中已有的键对：|dd - mean| / std 之和与个数
+  compareDigraphs(digraphs, keystrokes) {
+    if (!digraphs) return { total: 0, count: 0 };
+
+    const minStd = this.config.minStd.seekTime;
+    let total = 0;
+    let count = 0;
+    this.getParser().digraphPairs(keystrokes).forEach(p => {
+      const stat = digraphs[p.id];
+      if (!stat) return;
+      total += Math.abs(p.dd - stat.mean) / Math.max(stat.std, minStd);
+      count++;
+    });
+    return { total, count };
+  },
+
+  // ============================================================
+  // 验证：与模板比较，给出相似度与是否匹配
+  // ============================================================
+  verify(username, stats, parser = null, options = {}) {
+    const adapt = options.adapt !== false;
+    const name = this.normalizeUsername(username);
+    const profile = this.loadProfile(name);
+
+    if (!profile || !profile.template) {
+      return {
+        enrolled: false,
+        samples: profile ? profile.samples.length : 0,
+        required: this.config.minSamples,
+        score: null,
+        isMatch: null
+      };
+    }
+
+    const sample = this.extractSample(stats, parser);
+    if (!sample) {
+      return { enrolled: true, score: 0, isMatch: false, reason: "No typing data" };
+    }
+
+    const fields = {};
+    let score = 0;
+    let weightSum = 0;
+
+    this.FIELDS.forEach(field => {
+      const digraphs = profile.template.digraphs ? profile.template.digraphs[field] : null;
+      const comparison = this.compareField(profile.template[field], sample[field], digraphs);
+      fields[field] = comparison;
+      const weight = this.config.fieldWeights[field];
+      score += comparison.score * weight;
+      weightSum += weight;
+    });
+
+    score = weightSum > 0 ? Math.round(score / weightSum) : 0;
+    const isMatch = score >= this.config.matchThreshold;
+
+    // 验证通过后逐步更新模板，跟随用户打字习惯的变化
+    let adapted = false;
+    if (isMatch && adapt) {
+      adapted = this.adaptTemplate(profile, sample);
+      if (adapted) this.saveProfile(name, profile);
+    }
+
+    return {
+      enrolled: true,
+      score,
+      isMatch,
+      threshold: this.config.matchThreshold,
+      fields,
+      adapted
+    };
+  },
+
+  // ============================================================
+  // 模板更新（指数滑动平均）
+  // ============================================================
+  adaptTemplate(profile, sample) {
+    const rate = this.config.adaptRate;
+
+    // 按键数不一致时不更新
+    if (this.FIELDS.some(f => profile.template[f].length !== sample[f].length)) {
+      return false;
+    }
+
+    const update = (stat, x) => {
+      const diff = x - stat.mean;
+      stat.mean += rate * diff;
+      stat.std = Math.sqrt((1 - rate) * (stat.std * stat.std + rate * diff * diff));
+    };
+
+    this.FIELDS.forEach(field => {
+      profile.template[field].forEach((pos, i) => {
+        update(pos.seekTime, sample[field][i].seekTime);
+        update(pos.pressTime, sample[field][i].pressTime);
+      });
+
+      // 只更新模板中已有的键对
+      const digraphs = profile.template.digraphs ? profile.template.digraphs[field] : null;
+      if (digraphs) {
+        this.getParser().digraphPairs(sample[field]).forEach(p => {
+          if (digraphs[p.id]) update(digraphs[p.id], p.dd);
+        });
+      }
+    });
+
+    profile.updatedAt = new Date().toISOString();
+    profile.verifiedCount = (profile.verifiedCount || 0) + 1;
+    return true;
+  }
+};
+
+// 导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TypingProfile;
+}